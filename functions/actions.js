@@ -0,0 +1,154 @@
+import express from 'express';
+import db from '../db.js';
+import { requireScope } from './auth.js';
+import { reviveMessage } from './messages.js';
+
+// proto.PinInChat.Type
+const PIN_FOR_ALL = 1;
+const UNPIN_FOR_ALL = 2;
+// pin durations WhatsApp offers: 24 hours, 7 days, 30 days
+export const PIN_DURATIONS = [86400, 604800, 2592000];
+
+// Registers actions on stored messages (reply, react, edit, delete, forward, pin) and returns the Router
+export default function registerMessageActionRoutes(manager) {
+  const router = express.Router();
+
+  // Load the original message and check the session can send. Responds with an error and
+  // returns null when the action can't go ahead.
+  const resolveOriginal = async (req, res) => {
+    const sessionId = req.params.id;
+    const s = manager.sockets.get(sessionId);
+    if (!s || !s.sock) {
+      res.status(404).json({ error: 'Session not found or not initialized' });
+      return null;
+    }
+    if (!s.isConnected) {
+      res.status(503).json({ error: 'WhatsApp is not connected for this session' });
+      return null;
+    }
+    const stored = await db.getRawMessage(sessionId, req.params.msgId);
+    if (!stored) {
+      res.status(404).json({ error: 'Message not found' });
+      return null;
+    }
+    const original = reviveMessage(stored.raw);
+    if (!original?.key?.remoteJid) {
+      res.status(422).json({ error: 'Stored message has no usable key' });
+      return null;
+    }
+    return { stored, original };
+  };
+
+  // Send through the session's socket, sharing the outbox rate limit
+  const send = async (req, res, jid, content, options = {}) => {
+    const sessionId = req.params.id;
+    if (!manager.outbox.reserve(sessionId)) {
+      return res.status(429).json({ error: 'Send rate limit reached for this session, try again shortly' });
+    }
+    const result = await manager.sendContent(sessionId, jid, content, options);
+    res.json({ success: true, messageId: result?.key?.id || null, timestamp: result?.messageTimestamp || null });
+  };
+
+  const fail = (res, action, err) => {
+    res.req.log.error({ err }, `Failed to ${action}`);
+    const status = err.permanent ? 400 : 500;
+    res.status(status).json({ error: `Failed to ${action}`, details: err.message });
+  };
+
+  // Quote-reply in the same chat. body: { text }
+  router.post('/sessions/:id/messages/:msgId/reply', requireScope('send'), async (req, res) => {
+    const { text } = req.body || {};
+    if (!text) return res.status(400).json({ error: '"text" is required' });
+    try {
+      const found = await resolveOriginal(req, res);
+      if (!found) return;
+      await send(req, res, found.original.key.remoteJid, { text }, { quoted: found.original });
+    } catch (err) {
+      fail(res, 'send reply', err);
+    }
+  });
+
+  // React with an emoji. body: { emoji } (empty string removes our reaction)
+  router.post('/sessions/:id/messages/:msgId/react', requireScope('send'), async (req, res) => {
+    const { emoji } = req.body || {};
+    if (typeof emoji !== 'string') return res.status(400).json({ error: '"emoji" is required (empty string removes the reaction)' });
+    try {
+      const found = await resolveOriginal(req, res);
+      if (!found) return;
+      await send(req, res, found.original.key.remoteJid, { react: { text: emoji, key: found.original.key } });
+    } catch (err) {
+      fail(res, 'send reaction', err);
+    }
+  });
+
+  // Edit the text or caption of a message we sent. body: { text }
+  router.post('/sessions/:id/messages/:msgId/edit', requireScope('send'), async (req, res) => {
+    const { text } = req.body || {};
+    if (!text) return res.status(400).json({ error: '"text" is required' });
+    try {
+      const found = await resolveOriginal(req, res);
+      if (!found) return;
+      if (!found.original.key.fromMe) return res.status(400).json({ error: 'Only messages sent by this session can be edited' });
+      if (found.stored.deleted) return res.status(409).json({ error: 'Message was deleted' });
+      await send(req, res, found.original.key.remoteJid, { text, edit: found.original.key });
+    } catch (err) {
+      fail(res, 'edit message', err);
+    }
+  });
+
+  // Delete a message. Revokes it for everyone by default; ?forEveryone=false only removes it from this account's devices.
+  router.delete('/sessions/:id/messages/:msgId', requireScope('send'), async (req, res) => {
+    const forEveryone = req.query.forEveryone !== 'false';
+    try {
+      const found = await resolveOriginal(req, res);
+      if (!found) return;
+      const { original } = found;
+      if (forEveryone) return await send(req, res, original.key.remoteJid, { delete: original.key });
+
+      const s = manager.sockets.get(req.params.id);
+      await s.sock.chatModify({
+        deleteForMe: { key: original.key, timestamp: Number(original.messageTimestamp || 0), deleteMedia: req.query.deleteMedia === 'true' }
+      }, original.key.remoteJid);
+      // the message's own key, so the sender check in applyMessageChange passes for whoever sent it
+      await db.applyMessageChange(req.params.id, { type: 'delete', targetMessageId: original.key.id }, original.key);
+      res.json({ success: true });
+    } catch (err) {
+      fail(res, 'delete message', err);
+    }
+  });
+
+  // Forward a stored message to another chat. body: { to }
+  router.post('/sessions/:id/messages/:msgId/forward', requireScope('send'), async (req, res) => {
+    const { to } = req.body || {};
+    if (!to) return res.status(400).json({ error: '"to" is required' });
+    try {
+      const found = await resolveOriginal(req, res);
+      if (!found) return;
+      if (found.stored.deleted) return res.status(409).json({ error: 'Message was deleted' });
+      await send(req, res, String(to), { forward: found.original });
+    } catch (err) {
+      fail(res, 'forward message', err);
+    }
+  });
+
+  // Pin or unpin a message in its chat. body: { pinned: bool (default true), durationSeconds: 86400|604800|2592000 (default 7 days) }
+  router.post('/sessions/:id/messages/:msgId/pin', requireScope('send'), async (req, res) => {
+    const pinned = req.body?.pinned !== false;
+    const duration = Number(req.body?.durationSeconds ?? 604800);
+    if (pinned && !PIN_DURATIONS.includes(duration)) {
+      return res.status(400).json({ error: `durationSeconds must be one of ${PIN_DURATIONS.join(', ')}`, supported: PIN_DURATIONS });
+    }
+    try {
+      const found = await resolveOriginal(req, res);
+      if (!found) return;
+      const content = pinned
+        ? { pin: found.original.key, type: PIN_FOR_ALL, time: duration }
+        : { pin: found.original.key, type: UNPIN_FOR_ALL };
+      await send(req, res, found.original.key.remoteJid, content);
+    } catch (err) {
+      fail(res, pinned ? 'pin message' : 'unpin message', err);
+    }
+  });
+
+  return router;
+}
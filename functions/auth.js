@@ -0,0 +1,191 @@
+import express from 'express';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('auth');
+
+// Admin key from env; anyone presenting it can manage every session and issue tokens
+const ADMIN_API_KEY = process.env.API_ADMIN_KEY || null;
+// Secret used to sign issued tokens (falls back to the admin key so a single env var is enough)
+const JWT_SECRET = process.env.JWT_SECRET || ADMIN_API_KEY;
+
+// Permissions a session-scoped token can be granted
+export const SCOPES = ['send', 'read-messages', 'manage-webhooks', 'status', 'groups', 'contacts', 'events', 'rules', 'campaigns', 'chats', 'logs'];
+
+// Routes reachable without credentials (/metrics too with METRICS_PUBLIC=true, see functions/metrics.js)
+const PUBLIC_PATHS = new Set(['/', '/health', '/health/live', '/health/ready', ...(process.env.METRICS_PUBLIC === 'true' ? ['/metrics'] : [])]);
+
+if (!ADMIN_API_KEY) {
+  log.warn('API_ADMIN_KEY is not set - authenticated routes will reject every request');
+}
+
+// Constant-time comparison so the admin key can't be guessed byte by byte
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  if (ab.length !== bb.length) return false;
+  return crypto.timingSafeEqual(ab, bb);
+}
+
+// Accept "Authorization: Bearer <token>", "X-API-Key: <token>" or ?access_token=<token>
+// (the query form is for clients that can't set headers, e.g. EventSource and <img> tags)
+function extractToken(req) {
+  const header = req.headers.authorization || '';
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  if (m) return m[1].trim();
+  return req.headers['x-api-key'] || req.query?.access_token || null;
+}
+
+// Resolve a raw token to { auth } or { status, error, details }.
+// Shared by the express middleware and the WebSocket upgrade handler.
+export async function resolveToken(token) {
+  if (!token) return { status: 401, error: 'Authentication required' };
+
+  if (ADMIN_API_KEY && safeEqual(token, ADMIN_API_KEY)) {
+    return { auth: { role: 'admin', sessionId: null, scopes: ['*'], tokenId: null } };
+  }
+
+  if (!JWT_SECRET) return { status: 401, error: 'Invalid token' };
+
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET);
+  } catch (e) {
+    return { status: 401, error: 'Invalid token', details: e.message };
+  }
+
+  try {
+    // tokens are revocable, so the DB row is the source of truth for role/scopes
+    const row = await db.getApiToken(claims.jti);
+    if (!row || row.revokedAt) return { status: 401, error: 'Token has been revoked' };
+    return { auth: { role: row.role, sessionId: row.sessionId, scopes: row.scopes, tokenId: row.id } };
+  } catch (e) {
+    log.error({ err: e }, 'Failed to verify API token');
+    return { status: 500, error: 'Failed to verify token', details: e.message };
+  }
+}
+
+// Resolve the caller identity and attach it as req.auth ({ role, sessionId, scopes, tokenId })
+export async function authenticate(req, res, next) {
+  if (PUBLIC_PATHS.has(req.path)) return next();
+
+  const { auth, status, error, details } = await resolveToken(extractToken(req));
+  if (!auth) return res.status(status).json(details ? { error, details } : { error });
+  req.auth = auth;
+  next();
+}
+
+// Only admin credentials may pass
+export function requireAdmin(req, res, next) {
+  if (req.auth?.role === 'admin') return next();
+  return res.status(403).json({ error: 'Admin credentials required' });
+}
+
+// Returns null when auth may act on sessionId with scope, otherwise { status, error }
+export function checkScope(auth, sessionId, scope) {
+  if (!auth) return { status: 401, error: 'Authentication required' };
+  if (auth.role === 'admin') return null;
+  if (!auth.sessionId || auth.sessionId !== sessionId) {
+    return { status: 403, error: 'Token is not valid for this session' };
+  }
+  if (scope && !auth.scopes.includes('*') && !auth.scopes.includes(scope)) {
+    return { status: 403, error: `Missing required scope: ${scope}` };
+  }
+  return null;
+}
+
+// Admins always pass; session tokens must match :id and (when given) hold the scope
+export function requireScope(scope) {
+  return (req, res, next) => {
+    const denied = checkScope(req.auth, req.params.id, scope);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+    next();
+  };
+}
+
+// Registers token issuing/revoking routes on an express Router and returns it
+export default function registerAuthRoutes(manager) {
+  const router = express.Router();
+
+  // Describe the credentials used for this request
+  router.get('/auth/me', (req, res) => {
+    res.json({ auth: req.auth });
+  });
+
+  // Issue a token
+  // POST /auth/tokens
+  // body: { role: 'admin'|'session', sessionId, scopes: [...], name, expiresIn: '30d' }
+  router.post('/auth/tokens', requireAdmin, async (req, res) => {
+    const { role = 'session', sessionId, name, expiresIn } = req.body || {};
+    let { scopes } = req.body || {};
+
+    if (!JWT_SECRET) return res.status(500).json({ error: 'JWT_SECRET or API_ADMIN_KEY must be configured to issue tokens' });
+    if (!['admin', 'session'].includes(role)) return res.status(400).json({ error: 'Invalid role. Supported: admin, session' });
+
+    if (role === 'session') {
+      if (!sessionId) return res.status(400).json({ error: 'sessionId is required for session tokens' });
+      if (!Array.isArray(scopes) || scopes.length === 0) scopes = SCOPES.slice();
+      const invalid = scopes.filter(s => s !== '*' && !SCOPES.includes(s));
+      if (invalid.length) return res.status(400).json({ error: `Invalid scopes: ${invalid.join(', ')}`, supported: SCOPES });
+    } else {
+      scopes = ['*'];
+    }
+
+    try {
+      if (role === 'session') {
+        const rows = await db.listSessions();
+        if (!rows.some(r => r.id === sessionId)) return res.status(404).json({ error: 'Session not found' });
+      }
+
+      const id = uuidv4();
+      const signOpts = {};
+      if (expiresIn) signOpts.expiresIn = expiresIn;
+      let token;
+      try {
+        token = jwt.sign({ jti: id, role, sid: role === 'session' ? sessionId : undefined }, JWT_SECRET, signOpts);
+      } catch (e) {
+        return res.status(400).json({ error: 'Invalid expiresIn', details: e.message });
+      }
+      const { exp } = jwt.decode(token);
+      const record = await db.createApiToken({
+        id,
+        name,
+        role,
+        sessionId: role === 'session' ? sessionId : null,
+        scopes,
+        expiresAt: exp ? new Date(exp * 1000) : null
+      });
+      // the raw token is only ever returned here
+      res.status(201).json({ token, ...record });
+    } catch (e) {
+      req.log.error({ err: e }, 'Failed to issue token');
+      res.status(500).json({ error: 'Failed to issue token', details: e.message });
+    }
+  });
+
+  // List issued tokens (optional ?sessionId= filter)
+  router.get('/auth/tokens', requireAdmin, async (req, res) => {
+    try {
+      const rows = await db.listApiTokens(req.query.sessionId);
+      res.json({ count: rows.length, tokens: rows });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to list tokens', details: e.message });
+    }
+  });
+
+  // Revoke a token
+  router.delete('/auth/tokens/:tokenId', requireAdmin, async (req, res) => {
+    try {
+      const changed = await db.revokeApiToken(req.params.tokenId);
+      if (!changed) return res.status(404).json({ error: 'Token not found or already revoked' });
+      res.json({ success: true });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to revoke token', details: e.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+import { initAuthCreds, BufferJSON, proto } from '@whiskeysockets/baileys';
+import db from '../db.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('authstate');
+
+// Auth-state stores share one interface. Values are BufferJSON-serialized strings; creds are
+// stored under category 'creds', id 'creds', Signal keys under their Baileys key type:
+//   read(sessionId, category, ids) -> { id: value } (missing ids left out)
+//   write(sessionId, [{ category, id, value }]) -> value null deletes the key; applied atomically where the backend can
+//   clear(sessionId)
+// Select with AUTH_STORE=database (default; `postgres` is an older name for it), file or memory.
+
+// Baileys key types, longest first so legacy file names ("sender-key-memory-...") match the right one
+const KEY_TYPES = [
+  'app-state-sync-version', 'app-state-sync-key', 'sender-key-memory', 'identity-key',
+  'device-list', 'lid-mapping', 'sender-key', 'tctoken', 'pre-key', 'session'
+];
+
+// Same escaping as useMultiFileAuthState, so ids line up with existing auth folders
+function storageKeyId(id) {
+  return String(id).replace(/\//g, '__').replace(/:/g, '-');
+}
+
+// One row per key in the auth_keys table of the configured database; a key update is a single transaction
+export class DatabaseAuthStore {
+  constructor() {
+    this.name = 'database';
+  }
+
+  read(sessionId, category, ids) {
+    return db.readAuthKeys(sessionId, category, ids);
+  }
+
+  write(sessionId, entries) {
+    return db.writeAuthKeys(sessionId, entries);
+  }
+
+  clear(sessionId) {
+    return db.clearAuthKeys(sessionId);
+  }
+}
+
+// The useMultiFileAuthState layout (<dir>/<sessionId>/creds.json, <type>-<id>.json)
+export class FileAuthStore {
+  constructor(dir) {
+    this.name = 'file';
+    this.dir = path.resolve(dir);
+  }
+
+  file(sessionId, category, id) {
+    const name = category === 'creds' ? 'creds.json' : `${category}-${id}.json`;
+    return path.join(this.dir, sessionId, name);
+  }
+
+  async read(sessionId, category, ids) {
+    const out = {};
+    for (const id of ids) {
+      try {
+        out[id] = await fs.promises.readFile(this.file(sessionId, category, id), 'utf8');
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    }
+    return out;
+  }
+
+  async write(sessionId, entries) {
+    await fs.promises.mkdir(path.join(this.dir, sessionId), { recursive: true });
+    for (const e of entries) {
+      const file = this.file(sessionId, e.category, e.id);
+      if (e.value == null) {
+        await fs.promises.rm(file, { force: true });
+        continue;
+      }
+      // write-then-rename so a crash never leaves a half-written key
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, e.value);
+      await fs.promises.rename(tmp, file);
+    }
+  }
+
+  async clear(sessionId) {
+    await fs.promises.rm(path.join(this.dir, sessionId), { recursive: true, force: true });
+  }
+}
+
+// Process-local store for tests and throwaway sessions
+export class MemoryAuthStore {
+  constructor() {
+    this.name = 'memory';
+    this.sessions = new Map(); // sessionId -> Map(`${category}/${id}` -> value)
+  }
+
+  async read(sessionId, category, ids) {
+    const keys = this.sessions.get(sessionId);
+    const out = {};
+    for (const id of ids) {
+      const value = keys?.get(`${category}/${id}`);
+      if (value != null) out[id] = value;
+    }
+    return out;
+  }
+
+  async write(sessionId, entries) {
+    if (!this.sessions.has(sessionId)) this.sessions.set(sessionId, new Map());
+    const keys = this.sessions.get(sessionId);
+    for (const e of entries) {
+      if (e.value == null) keys.delete(`${e.category}/${e.id}`);
+      else keys.set(`${e.category}/${e.id}`, e.value);
+    }
+  }
+
+  async clear(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+}
+
+export function createAuthStore({ authDir }, env = process.env) {
+  const backend = (env.AUTH_STORE || 'database').toLowerCase();
+  if (backend === 'file') return new FileAuthStore(authDir);
+  if (backend === 'memory') return new MemoryAuthStore();
+  if (backend !== 'database' && backend !== 'postgres') throw new Error(`Unknown AUTH_STORE backend: ${backend}`);
+  return new DatabaseAuthStore();
+}
+
+// Stored creds of a session, or null before the first creds.update
+export async function readCreds(store, sessionId) {
+  const { creds } = await store.read(sessionId, 'creds', ['creds']);
+  return creds ? JSON.parse(creds, BufferJSON.reviver) : null;
+}
+
+// Baileys AuthenticationState backed by a store, a drop-in for useMultiFileAuthState
+export async function useStoreAuthState(store, sessionId) {
+  const creds = (await readCreds(store, sessionId)) || initAuthCreds();
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const values = await store.read(sessionId, type, ids.map(storageKeyId));
+          const data = {};
+          for (const id of ids) {
+            const raw = values[storageKeyId(id)];
+            if (raw == null) continue;
+            let value = JSON.parse(raw, BufferJSON.reviver);
+            if (type === 'app-state-sync-key' && value) value = proto.Message.AppStateSyncKeyData.create(value);
+            data[id] = value;
+          }
+          return data;
+        },
+        set: async (data) => {
+          const entries = [];
+          for (const category of Object.keys(data)) {
+            for (const [id, value] of Object.entries(data[category] || {})) {
+              entries.push({ category, id: storageKeyId(id), value: value ? JSON.stringify(value, BufferJSON.replacer) : null });
+            }
+          }
+          await store.write(sessionId, entries);
+        }
+      }
+    },
+    saveCreds: () => store.write(sessionId, [{ category: 'creds', id: 'creds', value: JSON.stringify(creds, BufferJSON.replacer) }])
+  };
+}
+
+// Files of an auth folder as { fileName: parsed JSON }, or null when it holds no creds
+export function readAuthFolder(folder) {
+  if (!fs.existsSync(path.join(folder, 'creds.json'))) return null;
+  const out = {};
+  for (const f of fs.readdirSync(folder)) {
+    try { out[f] = JSON.parse(fs.readFileSync(path.join(folder, f), 'utf8')); } catch (e) { /* skip non-JSON files */ }
+  }
+  return out;
+}
+
+// Copy auth files ({ "creds.json": ..., "pre-key-1.json": ... }, the old auth_json / folder layout) into a store
+export async function importAuthFiles(store, sessionId, files) {
+  const entries = [];
+  for (const [name, content] of Object.entries(files || {})) {
+    if (content == null) continue;
+    const base = name.replace(/\.json$/, '');
+    if (base === 'creds') {
+      entries.push({ category: 'creds', id: 'creds', value: JSON.stringify(content) });
+      continue;
+    }
+    const category = KEY_TYPES.find(t => base.startsWith(`${t}-`));
+    if (!category) continue;
+    entries.push({ category, id: base.slice(category.length + 1), value: JSON.stringify(content) });
+  }
+  await store.write(sessionId, entries);
+  return entries.length;
+}
+
+// Sessions created by older versions kept their auth in sessions.auth_json and the auth folder.
+// Move it into the store the first time the session is loaded; the old copies are left untouched.
+export async function importLegacyAuth(store, sessionId, authDir) {
+  if (await readCreds(store, sessionId)) return 0;
+  const blob = await db.loadSession(sessionId).catch(() => null);
+  let files = blob && (blob['creds.json'] || blob.creds) ? blob : null;
+  if (!files && store.name !== 'file') files = readAuthFolder(path.join(authDir, sessionId));
+  if (!files) return 0;
+  const count = await importAuthFiles(store, sessionId, files);
+  if (count) log.info({ sessionId, count, store: store.name }, 'Imported auth entries into the auth store');
+  return count;
+}
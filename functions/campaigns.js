@@ -0,0 +1,359 @@
+import express from 'express';
+import multer from 'multer';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db.js';
+import { requireScope } from './auth.js';
+import { MEDIA_TYPES, buildMediaContent } from './media.js';
+import { checkNumbers } from './contacts.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('campaigns');
+
+const POLL_INTERVAL_MS = Number(process.env.CAMPAIGN_POLL_MS) || 1000;
+const DEFAULT_MIN_DELAY_MS = Number(process.env.CAMPAIGN_MIN_DELAY_MS) || 5000;
+const DEFAULT_MAX_DELAY_MS = Number(process.env.CAMPAIGN_MAX_DELAY_MS) || 15000;
+const MAX_RECIPIENTS = Number(process.env.CAMPAIGN_MAX_RECIPIENTS) || 10000;
+
+// recipient lists are small text files, so keep them in memory
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and CRLF line endings
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(v => v !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(v => v !== '')) rows.push(row);
+  return rows;
+}
+
+// Recipients from a JSON array or CSV text; returns { recipients: [{ phone, variables }] } or { error }.
+// JSON entries are numbers or objects ({ phone, name, ... } or { phone, variables: {...} });
+// CSV needs a header row with a phone (or number) column, every other column becomes a variable.
+export function parseRecipients({ recipients, csv }) {
+  let rows = [];
+  if (csv) {
+    const [header, ...lines] = parseCsv(String(csv).replace(/^\uFEFF/, ''));
+    const columns = (header || []).map(h => h.trim());
+    const phoneIndex = columns.findIndex(c => ['phone', 'number', 'phone_number'].includes(c.toLowerCase()));
+    if (phoneIndex === -1) return { error: 'CSV needs a header row with a "phone" column' };
+    rows = lines.map(values => {
+      const variables = {};
+      columns.forEach((c, i) => { if (i !== phoneIndex && c) variables[c] = (values[i] || '').trim(); });
+      return { phone: values[phoneIndex], variables };
+    });
+  } else if (Array.isArray(recipients)) {
+    rows = recipients.map(r => {
+      if (typeof r !== 'object' || r === null) return { phone: r, variables: {} };
+      const { phone, number, variables, ...rest } = r;
+      return { phone: phone || number, variables: { ...rest, ...(variables || {}) } };
+    });
+  } else {
+    return { error: 'Provide "recipients" (JSON array) or a CSV ("csv" field or uploaded "file")' };
+  }
+
+  const out = [];
+  const invalid = [];
+  for (const r of rows) {
+    const phone = String(r.phone || '').replace(/\D/g, '');
+    if (phone.length < 6) invalid.push(r.phone);
+    else out.push({ phone, variables: r.variables });
+  }
+  if (invalid.length) return { error: `Invalid phone numbers: ${invalid.slice(0, 10).join(', ')}${invalid.length > 10 ? ', ...' : ''}` };
+  if (!out.length) return { error: 'Recipient list is empty' };
+  if (out.length > MAX_RECIPIENTS) return { error: `At most ${MAX_RECIPIENTS} recipients per campaign` };
+  return { recipients: out };
+}
+
+// Fill {{name}} placeholders; {{name|fallback}} is used when the variable is missing or empty
+export function renderTemplate(template, variables = {}) {
+  return String(template).replace(/\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g, (_, key, fallback) => {
+    const value = variables[key];
+    return value === undefined || value === null || value === '' ? (fallback || '').trim() : String(value);
+  });
+}
+
+function csvValue(value) {
+  const str = value === null || value === undefined ? '' : value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Queues running campaigns one recipient at a time with a random delay in between. Messages go through
+// the outbox, so they share its rate limit and are retried across disconnects; a recipient stays 'sending'
+// until its outbox job is sent or fails for good. Each session works on its oldest campaign only.
+export class CampaignRunner {
+  constructor(manager) {
+    this.manager = manager;
+    this.nextSendAt = new Map(); // campaignId -> ms
+    this.timer = null;
+    this.running = false;
+    this.onOutboxJob = (job) => {
+      if (job.status !== 'sent' && job.status !== 'failed') return;
+      db.finishCampaignRecipient(job).catch(err => log.error({ sessionId: job.sessionId, jobId: job.id, err }, 'Failed to record campaign outcome'));
+    };
+  }
+
+  async start() {
+    // clustered nodes requeue per session when they take its lease (functions/cluster.js)
+    const requeued = this.manager.cluster.enabled ? 0 : await db.requeueStuckCampaignRecipients().catch(() => 0);
+    if (requeued) log.info({ requeued }, 'Re-queued campaign recipients interrupted by a restart');
+    this.manager.outbox.events.on('job', this.onOutboxJob);
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    this.manager.outbox.events.removeListener('job', this.onOutboxJob);
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const campaigns = await db.getDueCampaigns();
+      const busy = new Set();
+      for (const campaign of campaigns) {
+        if (busy.has(campaign.sessionId)) continue;
+        busy.add(campaign.sessionId);
+        await this.step(campaign);
+      }
+    } catch (e) {
+      log.error({ err: e }, 'Campaign runner failed');
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async step(campaign) {
+    const { sessionId, id } = campaign;
+    const s = this.manager.sockets.get(sessionId);
+    if (!s || !s.isConnected) return;
+    if (Date.now() < (this.nextSendAt.get(id) || 0)) return;
+    if (this.manager.outbox.budget(sessionId) === 0) return;
+
+    if (campaign.status === 'scheduled') {
+      campaign = await db.transitionCampaign(sessionId, id, ['scheduled'], 'running');
+      if (!campaign) return;
+      log.info({ sessionId, campaignId: id }, 'Campaign started');
+    }
+
+    const recipient = await db.claimCampaignRecipient(id);
+    if (!recipient) {
+      // outcomes of outbox jobs that finished while nobody was listening
+      await db.syncCampaignRecipients(id);
+      const stats = await db.getCampaignStats(id);
+      if (!stats.sending && await db.transitionCampaign(sessionId, id, ['running'], 'completed')) {
+        log.info({ sessionId, campaignId: id, stats }, 'Campaign completed');
+      }
+      this.nextSendAt.delete(id);
+      return;
+    }
+
+    if (await this.send(campaign, recipient)) {
+      const { minDelayMs, maxDelayMs } = campaign;
+      this.nextSendAt.set(id, Date.now() + minDelayMs + Math.floor(Math.random() * (maxDelayMs - minDelayMs + 1)));
+    }
+  }
+
+  // Returns true when a message was queued (skipped numbers don't need a delay)
+  async send(campaign, recipient) {
+    const { sessionId } = campaign;
+    try {
+      const [check] = await checkNumbers(this.manager, sessionId, [recipient.phone]);
+      if (!check?.exists) {
+        await db.updateCampaignRecipient(recipient.id, { status: 'skipped', error: 'Phone number is not registered on WhatsApp' });
+        return false;
+      }
+      const text = renderTemplate(campaign.template, { phone: recipient.phone, ...recipient.variables });
+      const content = campaign.media
+        ? buildMediaContent(campaign.media.type, { media: { url: campaign.media.url }, mimetype: campaign.media.mimetype, fileName: campaign.media.fileName }, { caption: text })
+        : { text };
+      // the job id is recorded first, so a restart in between can't queue the recipient twice
+      const jobId = uuidv4();
+      await db.updateCampaignRecipient(recipient.id, { status: 'sending', jid: check.jid, outboxJobId: jobId });
+      await this.manager.outbox.enqueue(sessionId, check.jid, content, {}, jobId);
+    } catch (e) {
+      log.error({ sessionId, campaignId: campaign.id, phone: recipient.phone, err: e }, 'Campaign send failed');
+      await db.updateCampaignRecipient(recipient.id, { status: 'failed', error: String(e.message || e) })
+        .catch(err => log.error({ sessionId, campaignId: campaign.id, err }, 'Failed to record campaign outcome'));
+    }
+    return true;
+  }
+}
+
+// Registers campaign routes on an express Router and returns it
+export default function registerCampaignRoutes(manager) {
+  const router = express.Router();
+
+  const loadCampaign = async (req, res) => {
+    const campaign = await db.getCampaign(req.params.id, req.params.campaignId);
+    if (!campaign) res.status(404).json({ error: 'Campaign not found' });
+    return campaign;
+  };
+
+  // Create a campaign
+  // POST /sessions/:id/campaigns (JSON or multipart with a CSV "file")
+  // body: { name, template, recipients | csv, media: { type, url, fileName, mimetype }, scheduledAt, minDelayMs, maxDelayMs }
+  router.post('/sessions/:id/campaigns', requireScope('campaigns'), upload.single('file'), async (req, res) => {
+    const body = req.body || {};
+    const { name, template, scheduledAt } = body;
+    if (!template) return res.status(400).json({ error: '"template" is required' });
+
+    let media = body.media || null;
+    if (typeof media === 'string') {
+      try {
+        media = JSON.parse(media);
+      } catch (e) {
+        return res.status(400).json({ error: '"media" must be a JSON object' });
+      }
+    }
+    if (media) {
+      if (!MEDIA_TYPES.includes(media.type)) return res.status(400).json({ error: `Invalid media type. Supported: ${MEDIA_TYPES.join(', ')}` });
+      if (!/^https?:\/\//.test(media.url || '')) return res.status(400).json({ error: 'Campaign media needs an http(s) "url"' });
+      media = { type: media.type, url: media.url, fileName: media.fileName || null, mimetype: media.mimetype || null };
+    }
+
+    let recipients = body.recipients;
+    if (typeof recipients === 'string') {
+      try {
+        recipients = JSON.parse(recipients);
+      } catch (e) {
+        return res.status(400).json({ error: '"recipients" must be a JSON array' });
+      }
+    }
+    const parsed = parseRecipients({ recipients, csv: req.file ? req.file.buffer.toString('utf8') : body.csv });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const minDelayMs = typeof body.minDelayMs === 'undefined' ? DEFAULT_MIN_DELAY_MS : Number(body.minDelayMs);
+    const maxDelayMs = typeof body.maxDelayMs === 'undefined' ? Math.max(DEFAULT_MAX_DELAY_MS, minDelayMs) : Number(body.maxDelayMs);
+    if (!Number.isFinite(minDelayMs) || !Number.isFinite(maxDelayMs) || minDelayMs < 0 || maxDelayMs < minDelayMs) {
+      return res.status(400).json({ error: 'minDelayMs and maxDelayMs must be numbers with 0 <= minDelayMs <= maxDelayMs' });
+    }
+    let sendAt = null;
+    if (scheduledAt) {
+      sendAt = new Date(scheduledAt);
+      if (isNaN(sendAt.getTime())) return res.status(400).json({ error: 'Invalid scheduledAt' });
+    }
+
+    try {
+      const campaign = await db.createCampaign({
+        id: uuidv4(),
+        sessionId: req.params.id,
+        name,
+        template,
+        media,
+        scheduledAt: sendAt,
+        minDelayMs,
+        maxDelayMs,
+        recipients: parsed.recipients
+      });
+      const stats = await db.getCampaignStats(campaign.id);
+      res.status(201).json({ success: true, campaign: { ...campaign, stats } });
+    } catch (e) {
+      req.log.error({ err: e }, 'Failed to create campaign');
+      res.status(500).json({ error: 'Failed to create campaign', details: e.message });
+    }
+  });
+
+  // List campaigns (optional ?status=&limit=)
+  router.get('/sessions/:id/campaigns', requireScope('campaigns'), async (req, res) => {
+    try {
+      const campaigns = await db.listCampaigns(req.params.id, { status: req.query.status, limit: req.query.limit });
+      res.json({ count: campaigns.length, campaigns });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to list campaigns', details: e.message });
+    }
+  });
+
+  // Campaign with per-status recipient counts
+  router.get('/sessions/:id/campaigns/:campaignId', requireScope('campaigns'), async (req, res) => {
+    try {
+      const campaign = await loadCampaign(req, res);
+      if (!campaign) return;
+      res.json({ campaign: { ...campaign, stats: await db.getCampaignStats(campaign.id) } });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to get campaign', details: e.message });
+    }
+  });
+
+  // pause / resume / cancel: action -> [allowed current statuses, new status]
+  const transitions = {
+    pause: [['scheduled', 'running'], 'paused'],
+    resume: [['paused'], 'running'],
+    cancel: [['scheduled', 'running', 'paused'], 'cancelled']
+  };
+  for (const [action, [from, to]] of Object.entries(transitions)) {
+    router.post(`/sessions/:id/campaigns/:campaignId/${action}`, requireScope('campaigns'), async (req, res) => {
+      try {
+        const campaign = await loadCampaign(req, res);
+        if (!campaign) return;
+        // a campaign paused before its start time goes back to waiting for it
+        const target = action === 'resume' && !campaign.startedAt ? 'scheduled' : to;
+        const updated = await db.transitionCampaign(req.params.id, campaign.id, from, target);
+        if (!updated) return res.status(409).json({ error: `Cannot ${action} a ${campaign.status} campaign` });
+        if (to !== 'running') manager.campaigns.nextSendAt.delete(campaign.id);
+        res.json({ success: true, campaign: updated });
+      } catch (e) {
+        res.status(500).json({ error: `Failed to ${action} campaign`, details: e.message });
+      }
+    });
+  }
+
+  // Per-recipient outcomes (optional ?status=pending|sent|failed|skipped|cancelled&limit=)
+  router.get('/sessions/:id/campaigns/:campaignId/recipients', requireScope('campaigns'), async (req, res) => {
+    try {
+      const campaign = await loadCampaign(req, res);
+      if (!campaign) return;
+      const recipients = await db.listCampaignRecipients(campaign.id, { status: req.query.status, limit: req.query.limit || 100 });
+      res.json({ count: recipients.length, recipients });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to list campaign recipients', details: e.message });
+    }
+  });
+
+  // Download all outcomes as CSV (default) or JSON (?format=json)
+  router.get('/sessions/:id/campaigns/:campaignId/export', requireScope('campaigns'), async (req, res) => {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'json'].includes(format)) return res.status(400).json({ error: 'Invalid format. Supported: csv, json' });
+    try {
+      const campaign = await loadCampaign(req, res);
+      if (!campaign) return;
+      const recipients = await db.listCampaignRecipients(campaign.id);
+      res.setHeader('Content-Disposition', `attachment; filename="campaign-${campaign.id}.${format}"`);
+      if (format === 'json') return res.json({ campaign, recipients });
+
+      const variableKeys = [...new Set(recipients.flatMap(r => Object.keys(r.variables)))];
+      const header = ['phone', 'status', 'jid', 'messageId', 'error', 'sentAt', ...variableKeys];
+      const lines = recipients.map(r => [r.phone, r.status, r.jid, r.messageId, r.error, r.sentAt, ...variableKeys.map(k => r.variables[k])].map(csvValue).join(','));
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.send([header.join(','), ...lines].join('\r\n'));
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to export campaign', details: e.message });
+    }
+  });
+
+  return router;
+}
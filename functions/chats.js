@@ -0,0 +1,164 @@
+import express from 'express';
+import db from '../db.js';
+import { requireScope } from './auth.js';
+
+// Accept a full JID, a group id or a phone number
+function toChatJid(value) {
+  const str = String(value);
+  if (str.includes('@')) return str;
+  // group ids look like 120363xxxxxxxxxxxx (or the legacy creator-timestamp form)
+  return str.includes('-') || /^120363\d+$/.test(str) ? `${str}@g.us` : `${str.replace(/\D/g, '')}@s.whatsapp.net`;
+}
+
+// Opaque pagination cursor for /chats/:jid/messages (timestamp + id of the last message returned)
+function encodeCursor(message) {
+  return Buffer.from(JSON.stringify({ t: message.timestamp, id: message.id })).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (!Number.isFinite(Number(t)) || typeof id !== 'string') return null;
+    return { timestamp: Number(t), id };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Registers conversation routes on an express Router and returns it
+export default function registerChatRoutes(manager) {
+  const router = express.Router();
+
+  const connectedSocket = (req, res) => {
+    const s = manager.sockets.get(req.params.id);
+    if (!s || !s.sock) {
+      res.status(404).json({ error: 'Session not found or not initialized' });
+      return null;
+    }
+    if (!s.isConnected) {
+      res.status(503).json({ error: 'WhatsApp is not connected for this session' });
+      return null;
+    }
+    return s.sock;
+  };
+
+  // List conversations (optional ?archived=true|false&unread=true&search=&limit=&offset=)
+  router.get('/sessions/:id/chats', requireScope('chats'), async (req, res) => {
+    const { archived, unread, search, limit, offset } = req.query;
+    try {
+      const chats = await db.listChats(req.params.id, {
+        archived: archived === 'true' ? true : archived === 'false' ? false : undefined,
+        unread: unread === 'true',
+        search,
+        limit,
+        offset
+      });
+      res.json({ count: chats.length, chats });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to list chats', details: e.message });
+    }
+  });
+
+  router.get('/sessions/:id/chats/:jid', requireScope('chats'), async (req, res) => {
+    try {
+      const chat = await db.getChat(req.params.id, toChatJid(req.params.jid));
+      if (!chat) return res.status(404).json({ error: 'Chat not found' });
+      res.json({ chat });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to get chat', details: e.message });
+    }
+  });
+
+  // Both sides of a conversation, newest first. Pass the returned nextCursor as ?cursor= for older messages.
+  router.get('/sessions/:id/chats/:jid/messages', requireScope('chats'), async (req, res) => {
+    let before = null;
+    if (req.query.cursor) {
+      before = decodeCursor(req.query.cursor);
+      if (!before) return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+    try {
+      const rows = await db.getChatMessages(req.params.id, toChatJid(req.params.jid), { before, limit: limit + 1 });
+      const messages = rows.slice(0, limit).map(m => ({ ...m, fromMe: m.direction === 'outbound' }));
+      const nextCursor = rows.length > limit ? encodeCursor(messages[messages.length - 1]) : null;
+      res.json({ count: messages.length, messages, nextCursor });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to get chat messages', details: e.message });
+    }
+  });
+
+  // Send read receipts for the unread messages and reset the unread count
+  router.post('/sessions/:id/chats/:jid/read', requireScope('chats'), async (req, res) => {
+    const sock = connectedSocket(req, res);
+    if (!sock) return;
+    const sessionId = req.params.id;
+    const jid = toChatJid(req.params.jid);
+    try {
+      const chat = await db.getChat(sessionId, jid);
+      const unread = Math.max(1, chat?.unreadCount || 0);
+      const latest = await db.getLatestChatMessageKeys(sessionId, jid, { limit: unread, inboundOnly: true });
+      if (latest.length) await sock.readMessages(latest.map(m => m.key));
+      await db.upsertChats(sessionId, [{ id: jid, unreadCount: 0 }]);
+      res.json({ success: true, read: latest.length });
+    } catch (err) {
+      req.log.error({ err }, 'Failed to mark chat as read');
+      res.status(500).json({ error: 'Failed to mark chat as read', details: err.message });
+    }
+  });
+
+  // body: { archived: bool } (default true)
+  router.post('/sessions/:id/chats/:jid/archive', requireScope('chats'), async (req, res) => {
+    const sock = connectedSocket(req, res);
+    if (!sock) return;
+    const sessionId = req.params.id;
+    const jid = toChatJid(req.params.jid);
+    const archived = req.body?.archived !== false;
+    try {
+      // WhatsApp needs the chat's last message to sync the archive state to other devices
+      const lastMessages = await db.getLatestChatMessageKeys(sessionId, jid);
+      await sock.chatModify({ archive: archived, lastMessages }, jid);
+      await db.upsertChats(sessionId, [{ id: jid, archived }]);
+      res.json({ success: true, archived });
+    } catch (err) {
+      req.log.error({ err }, 'Failed to archive chat');
+      res.status(500).json({ error: 'Failed to archive chat', details: err.message });
+    }
+  });
+
+  // body: { pinned: bool } (default true)
+  router.post('/sessions/:id/chats/:jid/pin', requireScope('chats'), async (req, res) => {
+    const sock = connectedSocket(req, res);
+    if (!sock) return;
+    const jid = toChatJid(req.params.jid);
+    const pinned = req.body?.pinned !== false;
+    try {
+      await sock.chatModify({ pin: pinned }, jid);
+      await db.upsertChats(req.params.id, [{ id: jid, pinned: pinned ? Date.now() : null }]);
+      res.json({ success: true, pinned });
+    } catch (err) {
+      req.log.error({ err }, 'Failed to pin chat');
+      res.status(500).json({ error: 'Failed to pin chat', details: err.message });
+    }
+  });
+
+  // body: { muted: bool (default true), durationSeconds } (no duration = 8 hours, -1 = forever)
+  router.post('/sessions/:id/chats/:jid/mute', requireScope('chats'), async (req, res) => {
+    const sock = connectedSocket(req, res);
+    if (!sock) return;
+    const jid = toChatJid(req.params.jid);
+    const muted = req.body?.muted !== false;
+    const duration = Number(req.body?.durationSeconds ?? 8 * 60 * 60);
+    if (muted && !(duration === -1 || duration > 0)) return res.status(400).json({ error: 'durationSeconds must be positive or -1 (forever)' });
+    try {
+      const muteEndTime = muted ? (duration === -1 ? -1 : Date.now() + duration * 1000) : null;
+      await sock.chatModify({ mute: muted ? muteEndTime : null }, jid);
+      await db.upsertChats(req.params.id, [{ id: jid, muteEndTime }]);
+      res.json({ success: true, muted, muteEndTime });
+    } catch (err) {
+      req.log.error({ err }, 'Failed to mute chat');
+      res.status(500).json({ error: 'Failed to mute chat', details: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,206 @@
+import express from 'express';
+import http from 'http';
+import https from 'https';
+import os from 'os';
+import crypto from 'crypto';
+import db from '../db.js';
+import { requireAdmin } from './auth.js';
+import { readCreds } from './authstate.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('cluster');
+
+const LEASE_TTL_MS = Number(process.env.LEASE_TTL_MS) || 30000;
+const RENEW_INTERVAL_MS = Math.max(1000, Math.floor(LEASE_TTL_MS / 3));
+// marks requests already forwarded by another node, so they are never forwarded twice
+const FORWARDED_HEADER = 'x-forwarded-by-node';
+
+// Session ownership across instances sharing one database (CLUSTER=true).
+// Each session runs on the node holding its lease in session_leases. Owners renew their leases
+// every LEASE_TTL_MS / 3; when a node dies its leases expire and the other nodes take its sessions over.
+// Requests for a session owned by another node are forwarded to that node's NODE_URL.
+// With clustering off every session is local and nothing here touches the DB.
+export class SessionCluster {
+  constructor(manager, env = process.env) {
+    this.manager = manager;
+    this.enabled = env.CLUSTER === 'true';
+    this.nodeId = env.NODE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    // base URL the other nodes use to reach this one
+    this.address = env.NODE_URL ? env.NODE_URL.replace(/\/+$/, '') : null;
+    this.owned = new Set();
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (!this.enabled) return;
+    if (!this.address) throw new Error('NODE_URL is required when CLUSTER=true');
+    // leases only work in a database the nodes share
+    if (db.pool.dialect.name !== 'postgres') throw new Error('CLUSTER=true needs DB_DRIVER=postgres');
+    log.info({ node: this.nodeId, address: this.address, leaseTtlMs: LEASE_TTL_MS }, 'Cluster node started');
+    this.timer = setInterval(() => this.tick(), RENEW_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Whether this node runs the session's background work (webhook retries, ...)
+  owns(sessionId) {
+    return !this.enabled || this.owned.has(sessionId);
+  }
+
+  // Take the session's lease before starting its socket; false when another live node holds it
+  async acquire(sessionId) {
+    if (!this.enabled) return true;
+    const lease = await db.acquireSessionLease(sessionId, this.nodeId, this.address, LEASE_TTL_MS);
+    if (!lease) return false;
+    if (!this.owned.has(sessionId)) {
+      this.owned.add(sessionId);
+      // work the previous owner had in flight would otherwise stay stuck
+      const [outbox, recipients, jobs] = await Promise.all([
+        db.requeueStuckOutboxJobs(sessionId).catch(() => 0),
+        db.requeueStuckCampaignRecipients(sessionId).catch(() => 0),
+        db.requeueStuckScheduledJobs(sessionId).catch(() => 0)
+      ]);
+      if (outbox + recipients + jobs) log.info({ sessionId, outbox, recipients, jobs }, 'Re-queued work in flight after taking the session over');
+    }
+    return true;
+  }
+
+  async release(sessionId) {
+    if (!this.enabled || !this.owned.delete(sessionId)) return;
+    await db.releaseSessionLeases(this.nodeId, [sessionId]).catch(e => log.error({ sessionId, err: e }, 'Failed to release lease'));
+  }
+
+  // On shutdown, so other nodes take over right away instead of waiting for the leases to expire
+  async releaseAll() {
+    if (!this.enabled || !this.owned.size) return;
+    const ids = [...this.owned];
+    this.owned.clear();
+    await db.releaseSessionLeases(this.nodeId, ids).catch(e => log.error({ err: e }, 'Failed to release session leases'));
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      // heartbeat; a lease we couldn't renew in time may already belong to another node
+      const owned = [...this.owned];
+      const kept = new Set(await db.renewSessionLeases(this.nodeId, owned, LEASE_TTL_MS));
+      for (const sessionId of owned) {
+        if (kept.has(sessionId)) continue;
+        this.owned.delete(sessionId);
+        log.warn({ sessionId }, 'Lost the session lease, stopping the local socket');
+        this.manager.stopLocalSession(sessionId);
+      }
+
+      // failover: start paired sessions no node is running
+      for (const sessionId of await db.getUnleasedSessionIds()) {
+        if (this.manager.sockets.has(sessionId)) continue;
+        const creds = await readCreds(this.manager.authStore, sessionId).catch(() => null);
+        if (!creds?.me) continue;
+        if (!(await this.acquire(sessionId))) continue;
+        log.info({ sessionId }, 'Taking over session');
+        this.manager.startSession(sessionId).catch(err => log.error({ sessionId, err }, 'Failed to take over session'));
+      }
+    } catch (e) {
+      log.error({ err: e }, 'Cluster heartbeat failed');
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Lease of the node a request for this session should go to, or null to handle it here
+  async remoteOwner(req, sessionId) {
+    if (!this.enabled || req.headers[FORWARDED_HEADER] || this.manager.sockets.has(sessionId)) return null;
+    const lease = await db.getSessionLease(sessionId).catch(() => null);
+    if (!lease || lease.owner === this.nodeId || !lease.address) return null;
+    return lease;
+  }
+
+  requestOptions(req, lease) {
+    const target = new URL(req.originalUrl || req.url, lease.address);
+    return {
+      target,
+      transport: target.protocol === 'https:' ? https : http,
+      headers: { ...req.headers, host: target.host, [FORWARDED_HEADER]: this.nodeId }
+    };
+  }
+
+  // Express middleware for /sessions/:id/...; mounted before the body parsers so bodies stream through untouched
+  middleware() {
+    return async (req, res, next) => {
+      const m = req.path.match(/^\/sessions\/([^/]+)(?:\/|$)/);
+      if (!this.enabled || !m) return next();
+      const lease = await this.remoteOwner(req, decodeURIComponent(m[1]));
+      if (!lease) return next();
+
+      const { target, transport, headers } = this.requestOptions(req, lease);
+      const proxyReq = transport.request(target, { method: req.method, headers }, (proxyRes) => {
+        res.writeHead(proxyRes.statusCode, proxyRes.headers);
+        proxyRes.pipe(res);
+      });
+      proxyReq.on('error', (e) => {
+        if (res.headersSent) return res.destroy();
+        res.status(502).json({ error: 'Node owning this session is unreachable', node: lease.owner, details: e.message });
+      });
+      // long-lived streams (SSE) end when the client goes away
+      res.on('close', () => proxyReq.destroy());
+      req.pipe(proxyReq);
+    };
+  }
+
+  // Forward a WebSocket upgrade for a session owned by another node; returns false to handle it here
+  async forwardUpgrade(req, socket, head, sessionId) {
+    const lease = await this.remoteOwner(req, sessionId);
+    if (!lease) return false;
+    const { target, transport, headers } = this.requestOptions(req, lease);
+    const proxyReq = transport.request(target, { method: req.method, headers });
+    proxyReq.on('upgrade', (proxyRes, proxySocket, proxyHead) => {
+      const lines = [`HTTP/1.1 ${proxyRes.statusCode} ${proxyRes.statusMessage}`];
+      for (let i = 0; i < proxyRes.rawHeaders.length; i += 2) lines.push(`${proxyRes.rawHeaders[i]}: ${proxyRes.rawHeaders[i + 1]}`);
+      socket.write(lines.join('\r\n') + '\r\n\r\n');
+      if (proxyHead?.length) socket.write(proxyHead);
+      if (head?.length) proxySocket.write(head);
+      proxySocket.on('error', () => socket.destroy());
+      socket.on('error', () => proxySocket.destroy());
+      proxySocket.pipe(socket).pipe(proxySocket);
+    });
+    // the owner refused the upgrade (auth, unknown session): pass its answer on
+    proxyReq.on('response', (proxyRes) => {
+      const lines = [`HTTP/1.1 ${proxyRes.statusCode} ${proxyRes.statusMessage}`];
+      for (let i = 0; i < proxyRes.rawHeaders.length; i += 2) lines.push(`${proxyRes.rawHeaders[i]}: ${proxyRes.rawHeaders[i + 1]}`);
+      socket.write(lines.join('\r\n') + '\r\n\r\n');
+      proxyRes.pipe(socket);
+    });
+    proxyReq.on('error', () => socket.destroy());
+    proxyReq.end();
+    return true;
+  }
+}
+
+// Registers the cluster overview route on an express Router and returns it
+export default function registerClusterRoutes(manager) {
+  const router = express.Router();
+
+  // Which node runs which session
+  router.get('/cluster', requireAdmin, async (req, res) => {
+    const { cluster } = manager;
+    if (!cluster.enabled) return res.json({ enabled: false, node: cluster.nodeId, sessions: [...manager.sockets.keys()] });
+    try {
+      const leases = await db.listSessionLeases();
+      const nodes = {};
+      for (const lease of leases) {
+        if (!nodes[lease.owner]) nodes[lease.owner] = { node: lease.owner, address: lease.address, sessions: [] };
+        nodes[lease.owner].sessions.push(lease.sessionId);
+      }
+      res.json({ enabled: true, node: cluster.nodeId, address: cluster.address, leaseTtlMs: LEASE_TTL_MS, nodes: Object.values(nodes) });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to list session leases', details: e.message });
+    }
+  });
+
+  return router;
+}
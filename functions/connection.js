@@ -0,0 +1,76 @@
+import { DisconnectReason } from '@whiskeysockets/baileys';
+
+// Reconnects after a dropped connection: exponential backoff from baseMs up to maxMs, with jitter.
+// After maxAttempts failed reconnects in a row the session is stopped (0 = keep trying forever).
+export const RECONNECT = {
+  baseMs: Number(process.env.RECONNECT_BASE_MS) || 2000,
+  maxMs: Number(process.env.RECONNECT_MAX_MS) || 5 * 60 * 1000,
+  maxAttempts: process.env.RECONNECT_MAX_ATTEMPTS !== undefined ? Number(process.env.RECONNECT_MAX_ATTEMPTS) : 20
+};
+
+// Disconnects reconnecting won't fix: the session is stopped with this terminal state
+export const TERMINAL_DISCONNECTS = {
+  [DisconnectReason.loggedOut]: 'logged_out',
+  [DisconnectReason.forbidden]: 'banned',
+  [DisconnectReason.connectionReplaced]: 'replaced',
+  [DisconnectReason.badSession]: 'bad_session'
+};
+
+// Terminal state of a session that used up its reconnect attempts
+export const RECONNECT_FAILED = 'reconnect_failed';
+
+// DisconnectReason name for a status code ('connectionClosed', 'loggedOut', ...)
+export function disconnectReason(statusCode) {
+  if (statusCode == null) return null;
+  return DisconnectReason[statusCode] || 'unknown';
+}
+
+// Half the exponential delay plus up to as much again at random, so sessions dropped together don't reconnect together
+export function reconnectDelay(attempt, { baseMs, maxMs } = RECONNECT) {
+  const delay = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Consecutive reconnect attempts per session, reset once the connection opens
+export class ReconnectTracker {
+  constructor(options = RECONNECT) {
+    this.options = options;
+    this.entries = new Map(); // sessionId -> { attempt, nextAttemptAt }
+  }
+
+  // Next reconnect after a close: { attempt, delayMs, nextAttemptAt }, or null once maxAttempts are used up
+  next(sessionId, statusCode) {
+    const entry = this.entries.get(sessionId) || { attempt: 0, nextAttemptAt: null };
+    // WhatsApp asks for a restart right after pairing; that's part of the normal flow, not a failure
+    if (statusCode === DisconnectReason.restartRequired) {
+      entry.nextAttemptAt = Date.now();
+      this.entries.set(sessionId, entry);
+      return { attempt: entry.attempt, delayMs: 0, nextAttemptAt: entry.nextAttemptAt };
+    }
+    const { maxAttempts } = this.options;
+    if (maxAttempts > 0 && entry.attempt >= maxAttempts) {
+      this.entries.delete(sessionId);
+      return null;
+    }
+    entry.attempt += 1;
+    const delayMs = reconnectDelay(entry.attempt, this.options);
+    entry.nextAttemptAt = Date.now() + delayMs;
+    this.entries.set(sessionId, entry);
+    return { attempt: entry.attempt, delayMs, nextAttemptAt: entry.nextAttemptAt };
+  }
+
+  // For GET /sessions/:id/status: null while no reconnect is pending
+  status(sessionId) {
+    const entry = this.entries.get(sessionId);
+    if (!entry) return null;
+    return {
+      attempt: entry.attempt,
+      maxAttempts: this.options.maxAttempts || null,
+      nextAttemptAt: entry.nextAttemptAt
+    };
+  }
+
+  reset(sessionId) {
+    this.entries.delete(sessionId);
+  }
+}
@@ -0,0 +1,162 @@
+import express from 'express';
+import db from '../db.js';
+import { requireScope } from './auth.js';
+
+const NUMBER_CHECK_TTL_MS = Number(process.env.NUMBER_CHECK_TTL_MS) || 24 * 60 * 60 * 1000;
+// "not on WhatsApp" is cached briefly: numbers get registered, and a wrong miss fails sends for good
+const NUMBER_CHECK_MISS_TTL_MS = Number(process.env.NUMBER_CHECK_MISS_TTL_MS) || 10 * 60 * 1000;
+const MAX_CHECK_NUMBERS = 500;
+
+// Caches onWhatsApp results per session so sends don't do a round trip every time
+export class NumberCheckCache {
+  constructor(ttlMs = NUMBER_CHECK_TTL_MS, missTtlMs = NUMBER_CHECK_MISS_TTL_MS) {
+    this.ttlMs = ttlMs;
+    this.missTtlMs = missTtlMs;
+    this.entries = new Map(); // `${sessionId}|${digits}` -> { jid, exists, checkedAt }
+  }
+
+  get(sessionId, digits) {
+    const entry = this.entries.get(`${sessionId}|${digits}`);
+    if (!entry) return null;
+    if (Date.now() - entry.checkedAt > (entry.exists ? this.ttlMs : this.missTtlMs)) {
+      this.entries.delete(`${sessionId}|${digits}`);
+      return null;
+    }
+    return entry;
+  }
+
+  set(sessionId, digits, result) {
+    this.entries.set(`${sessionId}|${digits}`, { ...result, checkedAt: Date.now() });
+  }
+
+  clearSession(sessionId) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(`${sessionId}|`)) this.entries.delete(key);
+    }
+  }
+}
+
+// Check which phone numbers are on WhatsApp, serving fresh results from the cache.
+// Returns [{ input, jid, exists, cached }] in input order.
+export async function checkNumbers(manager, sessionId, inputs, { refresh = false } = {}) {
+  const s = manager.sockets.get(sessionId);
+  if (!s || !s.sock) throw new Error('WhatsApp socket is not initialized for this session');
+
+  const results = inputs.map(input => {
+    const digits = String(input).split('@')[0].split(':')[0].replace(/\D/g, '');
+    const hit = !refresh && digits ? manager.numberCache.get(sessionId, digits) : null;
+    return { input, digits, jid: hit ? hit.jid : null, exists: hit ? hit.exists : false, cached: !!hit };
+  });
+
+  const missing = [...new Set(results.filter(r => r.digits && !r.cached).map(r => r.digits))];
+  if (missing.length) {
+    // onWhatsApp only returns the numbers that exist, in no particular order and without the number asked for
+    const lookup = async (numbers) => (await s.sock.onWhatsApp(...numbers) || []).filter(f => f?.exists);
+    const byDigits = new Map();
+    const unclaimed = [];
+    for (const f of await lookup(missing)) {
+      const digits = String(f.jid).split('@')[0].split(':')[0];
+      if (missing.includes(digits)) byDigits.set(digits, f.jid);
+      else unclaimed.push(f);
+    }
+    // WhatsApp can answer with another form of a number (e.g. Brazilian mobiles with or without the extra 9),
+    // so when some answers match no input, ask for the remaining numbers one at a time
+    const unmatched = missing.filter(digits => !byDigits.has(digits));
+    if (unclaimed.length && unmatched.length) {
+      for (const digits of unmatched) {
+        const [f] = missing.length === 1 ? unclaimed : await lookup([digits]);
+        if (f) byDigits.set(digits, f.jid);
+      }
+    }
+    for (const digits of missing) {
+      const jid = byDigits.get(digits) || null;
+      manager.numberCache.set(sessionId, digits, { jid, exists: !!jid });
+    }
+    for (const r of results) {
+      if (r.cached || !r.digits) continue;
+      r.jid = byDigits.get(r.digits) || null;
+      r.exists = !!r.jid;
+    }
+  }
+
+  return results.map(({ input, jid, exists, cached }) => ({ input, jid, exists, cached }));
+}
+
+// Registers contact lookup routes on an express Router and returns it
+export default function registerContactRoutes(manager) {
+  const router = express.Router();
+
+  const connectedSocket = (req, res) => {
+    const s = manager.sockets.get(req.params.id);
+    if (!s || !s.sock) {
+      res.status(404).json({ error: 'Session not found or not initialized' });
+      return null;
+    }
+    if (!s.isConnected) {
+      res.status(503).json({ error: 'WhatsApp is not connected for this session' });
+      return null;
+    }
+    return s.sock;
+  };
+
+  // Bulk existence check. body: { numbers: ["+1234567890", ...], refresh?: bool }
+  router.post('/sessions/:id/contacts/check', requireScope('contacts'), async (req, res) => {
+    const { numbers, refresh } = req.body || {};
+    if (!Array.isArray(numbers) || numbers.length === 0) return res.status(400).json({ error: '"numbers" must be a non-empty array' });
+    if (numbers.length > MAX_CHECK_NUMBERS) return res.status(400).json({ error: `At most ${MAX_CHECK_NUMBERS} numbers per request` });
+    if (!connectedSocket(req, res)) return;
+    try {
+      const results = await checkNumbers(manager, req.params.id, numbers, { refresh: !!refresh });
+      res.json({ count: results.length, results });
+    } catch (err) {
+      req.log.error({ err }, 'Failed to check numbers');
+      res.status(500).json({ error: 'Failed to check numbers', details: err.message });
+    }
+  });
+
+  // Contacts synced from WhatsApp (optional ?search=&limit=)
+  router.get('/sessions/:id/contacts', requireScope('contacts'), async (req, res) => {
+    try {
+      const rows = await db.listContacts(req.params.id, { search: req.query.search, limit: req.query.limit });
+      res.json({ count: rows.length, contacts: rows });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to list contacts', details: e.message });
+    }
+  });
+
+  // Profile of a single contact: stored name, profile picture, status text and business profile
+  router.get('/sessions/:id/contacts/:jid', requireScope('contacts'), async (req, res) => {
+    const sock = connectedSocket(req, res);
+    if (!sock) return;
+    const raw = req.params.jid;
+    const jid = raw.includes('@') ? raw : `${raw.replace(/\D/g, '')}@s.whatsapp.net`;
+    try {
+      const stored = await db.getContact(req.params.id, jid).catch(() => null);
+      // each lookup fails independently for private or missing data, so none of them is fatal
+      const [picture, status, business] = await Promise.all([
+        sock.profilePictureUrl(jid, 'image').catch(() => null),
+        sock.fetchStatus(jid).catch(() => null),
+        sock.getBusinessProfile(jid).catch(() => null)
+      ]);
+      // fetchStatus returns a list of { id, status: { status, setAt } } in newer Baileys versions
+      const entry = Array.isArray(status) ? status[0] : status;
+      const about = entry?.status && typeof entry.status === 'object' ? entry.status : entry;
+      res.json({
+        jid,
+        name: stored?.name || null,
+        notify: stored?.notify || null,
+        verifiedName: stored?.verifiedName || null,
+        profilePictureUrl: picture || null,
+        status: about?.status || null,
+        statusSetAt: about?.setAt || null,
+        isBusiness: !!business,
+        businessProfile: business || null
+      });
+    } catch (err) {
+      req.log.error({ err }, 'Failed to get contact');
+      res.status(500).json({ error: 'Failed to get contact', details: err.message });
+    }
+  });
+
+  return router;
+}
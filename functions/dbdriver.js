@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import { Pool } from 'pg';
+import { createLogger } from './logger.js';
+
+const log = createLogger('db');
+
+// Database drivers behind db.js. Every driver exposes the part of pg.Pool that db.js uses:
+//   pool.connect() -> client with query(text, values) -> { rows, rowCount } and release()
+//   pool.dialect   -> the few SQL fragments that can't be written portably
+// Queries are written for Postgres; the SQLite driver translates them (see translate below).
+// Select with DB_DRIVER=postgres, sqlite (single file at SQLITE_PATH) or memory (SQLite in memory,
+// gone on restart). Without DB_DRIVER, DATABASE_URL selects postgres and otherwise SQLite is used.
+
+const SQLITE_NOW = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+
+const postgresDialect = {
+  name: 'postgres',
+  // serializes migrations of several nodes starting at once
+  migrationLock: 'SELECT pg_advisory_xact_lock(4215003)',
+  // timestamp `ms` milliseconds after `expr`
+  addMs: (expr, ms) => `${expr} + (${ms}) * interval '1 millisecond'`,
+  // JSON object column with `key` set to the JSON text `value`
+  jsonSet: (column, key, value) => `COALESCE(${column}, '{}'::jsonb) || jsonb_build_object(${key}::text, ${value}::jsonb)`
+};
+
+const sqliteDialect = {
+  name: 'sqlite',
+  migrationLock: null,
+  addMs: (expr, ms) => `strftime('%Y-%m-%dT%H:%M:%fZ', ${expr}, ((${ms}) / 1000.0) || ' seconds')`,
+  jsonSet: (column, key, value) => `json_set(COALESCE(${column}, '{}'), '$."' || ${key} || '"', json(${value}))`
+};
+
+function createPostgresPool(env) {
+  if (!env.DATABASE_URL) throw new Error('DATABASE_URL is required when DB_DRIVER=postgres');
+  const pool = new Pool({
+    connectionString: env.DATABASE_URL,
+    // hosted databases (Render, Heroku, ...) need SSL; DATABASE_SSL=false for a local server
+    ssl: env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false }
+  });
+  pool.dialect = postgresDialect;
+  return pool;
+}
+
+// Postgres-flavoured SQL -> SQLite: `= ANY($n)` over a JSON array, casts and row locks dropped,
+// ILIKE (SQLite's LIKE already ignores ASCII case), DDL types and $n -> @pn named parameters
+export function translate(text) {
+  return text
+    .replace(/=\s*ANY\((\$\d+)(?:::\w+\[\])?\)/g, 'IN (SELECT value FROM json_each($1))')
+    .replace(/::\w+(\[\])?/g, '')
+    .replace(/\s+FOR UPDATE SKIP LOCKED/g, '')
+    .replace(/\bILIKE\b/g, 'LIKE')
+    .replace(/\bBIGSERIAL PRIMARY KEY\b/g, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/\bDEFAULT now\(\)/g, `DEFAULT (${SQLITE_NOW})`)
+    .replace(/\$(\d+)/g, '@p$1');
+}
+
+function toSqlite(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value;
+  // arrays (for ANY) and JSONB values
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+// Columns keep their Postgres type names, so rows come back typed like pg returns them
+function fromSqlite(row, columns) {
+  for (const { name, type } of columns) {
+    const value = row[name];
+    if (value == null) continue;
+    if (type === 'JSONB') row[name] = JSON.parse(value);
+    else if (type === 'BOOLEAN') row[name] = !!value;
+    else if (type === 'TIMESTAMPTZ') row[name] = new Date(value);
+  }
+  return row;
+}
+
+// One better-sqlite3 connection, handed to one caller at a time so transactions never interleave
+class SqlitePool {
+  constructor(Database, filename) {
+    this.db = new Database(filename);
+    if (filename !== ':memory:') {
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('busy_timeout = 5000');
+    }
+    this.db.pragma('foreign_keys = ON');
+    // Postgres functions the queries use; timestamps are ISO strings, so they compare as text
+    this.db.function('now', () => new Date().toISOString());
+    this.db.function('greatest', { varargs: true }, (...args) => {
+      const values = args.filter(v => v != null);
+      return values.length ? Math.max(...values) : null;
+    });
+    this.db.function('least', { varargs: true }, (...args) => {
+      const values = args.filter(v => v != null);
+      return values.length ? Math.min(...values) : null;
+    });
+    this.db.function('power', (base, exp) => base ** exp);
+    this.dialect = sqliteDialect;
+    this.statements = new Map();
+    this.tail = Promise.resolve();
+    // the counters pg.Pool exposes, for /metrics
+    this.totalCount = 1;
+    this.idleCount = 1;
+    this.waitingCount = 0;
+  }
+
+  prepare(text) {
+    let stmt = this.statements.get(text);
+    if (!stmt) {
+      // dynamic queries are few, but keep the cache bounded anyway
+      if (this.statements.size >= 500) this.statements.clear();
+      stmt = this.db.prepare(translate(text));
+      this.statements.set(text, stmt);
+    }
+    return stmt;
+  }
+
+  async query(text, values = []) {
+    const stmt = this.prepare(text);
+    const params = [];
+    if (values.length) params.push(Object.fromEntries(values.map((v, i) => [`p${i + 1}`, toSqlite(v)])));
+    if (stmt.reader) {
+      const columns = stmt.columns();
+      const rows = stmt.all(...params).map(r => fromSqlite(r, columns));
+      return { rows, rowCount: rows.length };
+    }
+    const info = stmt.run(...params);
+    return { rows: [], rowCount: info.changes };
+  }
+
+  connect() {
+    const previous = this.tail;
+    let release;
+    this.tail = new Promise(resolve => { release = resolve; });
+    this.waitingCount += 1;
+    return previous.then(() => {
+      this.waitingCount -= 1;
+      this.idleCount = 0;
+      return {
+        query: (text, values) => this.query(text, values),
+        release: () => {
+          this.idleCount = 1;
+          release();
+        }
+      };
+    });
+  }
+
+  async end() {
+    await this.tail;
+    this.db.close();
+  }
+}
+
+export async function createPool(env = process.env) {
+  const driver = (env.DB_DRIVER || (env.DATABASE_URL ? 'postgres' : 'sqlite')).toLowerCase();
+  if (driver === 'postgres') return createPostgresPool(env);
+  if (driver !== 'sqlite' && driver !== 'memory') throw new Error(`Unknown DB_DRIVER: ${driver}`);
+
+  // optional dependency, only loaded when SQLite is used
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (e) {
+    throw new Error(`DB_DRIVER=${driver} needs the better-sqlite3 package (npm install better-sqlite3): ${e.message}`);
+  }
+  if (driver === 'memory') return new SqlitePool(Database, ':memory:');
+  const file = path.resolve(env.SQLITE_PATH || './data/whatsapp.db');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  log.info({ file }, 'Using SQLite database');
+  return new SqlitePool(Database, file);
+}
@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Envelope encryption for data at rest (auth state, message text/caption/raw, chat previews).
+// Every value gets its own random data key; the data key is wrapped with the master key.
+// Encrypted strings look like enc:v1:<master key id>:<wrapped data key>:<iv|tag|ciphertext> (base64).
+// JSON values become { "$enc": "<encrypted string>" } plus any fields kept in the clear for queries.
+//
+// Master key: ENCRYPTION_KEY (32 bytes as hex or base64) or ENCRYPTION_KEY_FILE. Previous keys
+// stay readable through ENCRYPTION_OLD_KEYS (comma-separated) until scripts/reencrypt.mjs has
+// rewritten everything with the current key. Without a key nothing is encrypted and plaintext
+// values are always readable, so encryption can be enabled on an existing database.
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+
+let state = null;
+
+export function parseKey(value) {
+  const str = String(value).trim();
+  const key = /^[0-9a-f]{64}$/i.test(str) ? Buffer.from(str, 'hex') : Buffer.from(str, 'base64');
+  if (key.length !== 32) throw new Error('Encryption keys must be 32 bytes, given as 64 hex characters or base64');
+  return key;
+}
+
+// Short fingerprint of a master key, stored with every value so the right key can be picked
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+// { key, oldKeys: [], passthrough } — passthrough returns values it can't decrypt unchanged
+// (used by scripts that print stored data without the key)
+export function configureEncryption({ key = null, oldKeys = [], passthrough = false } = {}) {
+  const current = key ? parseKey(key) : null;
+  const keys = new Map();
+  for (const k of [current, ...oldKeys.filter(Boolean).map(parseKey)]) {
+    if (k) keys.set(keyId(k), k);
+  }
+  state = { current, currentId: current ? keyId(current) : null, keys, passthrough };
+  return state;
+}
+
+function loadState(env = process.env) {
+  if (state) return state;
+  let key = env.ENCRYPTION_KEY || null;
+  if (!key && env.ENCRYPTION_KEY_FILE) key = fs.readFileSync(env.ENCRYPTION_KEY_FILE, 'utf8');
+  const oldKeys = (env.ENCRYPTION_OLD_KEYS || '').split(',').map(k => k.trim()).filter(Boolean);
+  return configureEncryption({ key, oldKeys });
+}
+
+export function encryptionEnabled() {
+  return !!loadState().current;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function open(key, sealed) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, 12));
+  decipher.setAuthTag(sealed.subarray(12, 28));
+  return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]);
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' ? value.startsWith(PREFIX) : !!(value && typeof value === 'object' && typeof value.$enc === 'string');
+}
+
+// Whether a stored value should be rewritten to match the current key (or lack of one)
+export function needsReencrypt(value) {
+  if (value == null) return false;
+  const { currentId } = loadState();
+  const str = typeof value === 'string' ? value : value.$enc;
+  if (!isEncrypted(value)) return !!currentId;
+  return str.slice(PREFIX.length, PREFIX.length + 8) !== currentId;
+}
+
+export function encryptString(value) {
+  const { current, currentId } = loadState();
+  if (value == null || !current || isEncrypted(value)) return value;
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = seal(current, dataKey).toString('base64');
+  const payload = seal(dataKey, Buffer.from(String(value), 'utf8')).toString('base64');
+  return `${PREFIX}${currentId}:${wrapped}:${payload}`;
+}
+
+export function decryptString(value) {
+  if (typeof value !== 'string' || !value.startsWith(PREFIX)) return value;
+  const { keys, passthrough } = loadState();
+  const [id, wrapped, payload] = value.slice(PREFIX.length).split(':');
+  const master = keys.get(id);
+  if (!master) {
+    if (passthrough) return value;
+    throw new Error(`Value is encrypted with key ${id}, which is not configured (ENCRYPTION_KEY / ENCRYPTION_OLD_KEYS)`);
+  }
+  const dataKey = open(master, Buffer.from(wrapped, 'base64'));
+  return open(dataKey, Buffer.from(payload, 'base64')).toString('utf8');
+}
+
+// keep: top-level fields left readable, e.g. a message's key so SQL can still use raw->'key'
+export function encryptJson(value, keep = []) {
+  if (value == null || !encryptionEnabled() || isEncrypted(value)) return value;
+  const out = {};
+  for (const field of keep) {
+    if (value[field] !== undefined) out[field] = value[field];
+  }
+  out.$enc = encryptString(JSON.stringify(value));
+  return out;
+}
+
+export function decryptJson(value) {
+  if (!isEncrypted(value) || typeof value === 'string') return value;
+  const plaintext = decryptString(value.$enc);
+  return plaintext === value.$enc ? value : JSON.parse(plaintext);
+}
+
+// Raw WAMessages keep key and timestamp readable for read receipts and chat modifications
+export function encryptMessageRaw(raw) {
+  return encryptJson(raw, ['key', 'messageTimestamp']);
+}
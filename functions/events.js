@@ -0,0 +1,210 @@
+import express from 'express';
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import db from '../db.js';
+import { requireScope, resolveToken, checkScope } from './auth.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('events');
+
+// Event types pushed to /sessions/:id/events subscribers
+export const EVENT_TYPES = ['message', 'connection', 'receipt', 'presence', 'group'];
+
+// How long events are kept for Last-Event-ID resumes
+const EVENT_RETENTION_MS = (Number(process.env.EVENT_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const REPLAY_PAGE_SIZE = 500;
+const HEARTBEAT_MS = 15000;
+
+// Parse a comma-separated ?types= filter; returns { types } (null = all) or { error }
+export function parseEventTypes(value) {
+  if (!value) return { types: null };
+  const types = String(value).split(',').map(t => t.trim()).filter(Boolean);
+  const invalid = types.filter(t => !EVENT_TYPES.includes(t));
+  if (invalid.length) return { error: `Invalid event types: ${invalid.join(', ')}. Supported: ${EVENT_TYPES.join(', ')}` };
+  return { types: types.length ? types : null };
+}
+
+// Persists session events and fans them out on manager.events ('event')
+export class EventLog {
+  constructor(manager) {
+    this.manager = manager;
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      db.pruneEvents(EVENT_RETENTION_MS).catch(e => log.error({ err: e }, 'Failed to prune events'));
+    }, PRUNE_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Best-effort: if the DB write fails the event is still pushed live, just without a resumable id
+  async publish(sessionId, type, data) {
+    let event;
+    try {
+      event = await db.saveEvent(sessionId, type, data);
+    } catch (e) {
+      log.error({ sessionId, type, err: e }, 'Failed to persist event');
+      event = { id: null, sessionId, type, data, timestamp: Date.now() };
+    }
+    this.manager.events.emit('event', event);
+    return event;
+  }
+}
+
+// Stream a session's events to send(), replaying everything after `after` from the DB first.
+// Live events arriving during the replay are buffered so nothing is lost or sent twice.
+// Returns an unsubscribe function.
+export function subscribeEvents(manager, sessionId, { types = null, after = null } = {}, send) {
+  let buffer = after === null ? null : [];
+  let replayedUpTo = 0;
+  let closed = false;
+
+  const onEvent = (event) => {
+    if (closed || event.sessionId !== sessionId) return;
+    if (types && !types.includes(event.type)) return;
+    if (buffer) buffer.push(event);
+    else send(event);
+  };
+  manager.events.on('event', onEvent);
+
+  if (buffer) {
+    (async () => {
+      let cursor = after;
+      try {
+        for (;;) {
+          const page = await db.getEventsAfter(sessionId, cursor, { types, limit: REPLAY_PAGE_SIZE });
+          if (closed) return;
+          for (const event of page) send(event);
+          if (page.length) cursor = replayedUpTo = page[page.length - 1].id;
+          if (page.length < REPLAY_PAGE_SIZE) break;
+        }
+      } catch (e) {
+        log.error({ sessionId, err: e }, 'Failed to replay events');
+      }
+      const pending = buffer;
+      buffer = null;
+      if (closed) return;
+      for (const event of pending) {
+        if (event.id === null || event.id > replayedUpTo) send(event);
+      }
+    })();
+  }
+
+  return () => {
+    closed = true;
+    manager.events.removeListener('event', onEvent);
+  };
+}
+
+// Resume cursor from Last-Event-ID / ?lastEventId=; null means live events only
+function parseCursor(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+// Attach the WebSocket variant of the event stream to the HTTP server
+// ws(s)://host/sessions/:id/events/ws?types=message,receipt&lastEventId=123&access_token=...
+export function attachEventSocket(manager, server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  const reject = (socket, status, error) => {
+    const body = JSON.stringify({ error });
+    socket.write(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+    socket.destroy();
+  };
+
+  server.on('upgrade', async (req, socket, head) => {
+    let sessionId;
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+      const m = url.pathname.match(/^\/sessions\/([^/]+)\/events\/ws$/);
+      if (!m) return reject(socket, 404, 'Not found');
+      sessionId = decodeURIComponent(m[1]);
+    } catch (e) {
+      return reject(socket, 400, 'Malformed URL');
+    }
+
+    try {
+      // the owning node streams the session's live events
+      if (await manager.cluster.forwardUpgrade(req, socket, head, sessionId)) return;
+
+      // same credentials as the REST API (browsers can't set headers on WebSockets, hence access_token)
+      const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+      const token = bearer ? bearer[1].trim() : req.headers['x-api-key'] || url.searchParams.get('access_token');
+      const { auth, status, error } = await resolveToken(token);
+      if (!auth) return reject(socket, status, error);
+      const denied = checkScope(auth, sessionId, 'events');
+      if (denied) return reject(socket, denied.status, denied.error);
+
+      const filter = parseEventTypes(url.searchParams.get('types'));
+      if (filter.error) return reject(socket, 400, filter.error);
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        const unsubscribe = subscribeEvents(manager, sessionId, {
+          types: filter.types,
+          after: parseCursor(url.searchParams.get('lastEventId'))
+        }, (event) => {
+          if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+        });
+        const heartbeat = setInterval(() => ws.ping(), HEARTBEAT_MS);
+        ws.on('close', () => {
+          clearInterval(heartbeat);
+          unsubscribe();
+        });
+        ws.on('error', () => ws.terminate());
+      });
+    } catch (err) {
+      // an upgrade listener that throws would take the whole process down
+      log.error({ sessionId, err }, 'Failed to handle event socket upgrade');
+      socket.destroy();
+    }
+  });
+
+  return wss;
+}
+
+// Registers the Server-Sent Events stream on an express Router and returns it
+export default function registerEventRoutes(manager) {
+  const router = express.Router();
+
+  // GET /sessions/:id/events?types=message,receipt
+  // Each event is sent as `id: <cursor>` / `event: <type>` / `data: { id, sessionId, type, data, timestamp }`.
+  // Reconnecting EventSource clients send Last-Event-ID automatically; others can pass ?lastEventId=.
+  router.get('/sessions/:id/events', requireScope('events'), (req, res) => {
+    const sessionId = req.params.id;
+    const filter = parseEventTypes(req.query.types);
+    if (filter.error) return res.status(400).json({ error: filter.error });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    const unsubscribe = subscribeEvents(manager, sessionId, {
+      types: filter.types,
+      after: parseCursor(req.headers['last-event-id'] ?? req.query.lastEventId)
+    }, (event) => {
+      const id = event.id === null ? '' : `id: ${event.id}\n`;
+      res.write(`${id}event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,194 @@
+import express from 'express';
+import { requireScope } from './auth.js';
+
+const GROUP_CACHE_TTL_MS = Number(process.env.GROUP_CACHE_TTL_MS) || 5 * 60 * 1000;
+
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+// Accept a full group JID or just its numeric id
+function toGroupJid(jid) {
+  const value = String(jid);
+  return value.includes('@') ? value : `${value}@g.us`;
+}
+
+// Accept phone numbers or JIDs for participants
+function toUserJid(value) {
+  const str = String(value);
+  return str.includes('@') ? str : `${str.replace(/\D/g, '')}@s.whatsapp.net`;
+}
+
+// Invite codes may be pasted as full chat.whatsapp.com links
+function toInviteCode(value) {
+  return String(value).trim().replace(/^https?:\/\/chat\.whatsapp\.com\//, '');
+}
+
+// Per-session group metadata cache, invalidated by groups.update / group-participants.update.
+// Also handed to Baileys (cachedGroupMetadata) so group sends don't refetch metadata every time.
+export class GroupCache {
+  constructor() {
+    this.entries = new Map(); // `${sessionId}|${jid}` -> { metadata, fetchedAt }
+  }
+
+  get(sessionId, jid) {
+    const entry = this.entries.get(`${sessionId}|${jid}`);
+    if (!entry) return undefined;
+    if (Date.now() - entry.fetchedAt > GROUP_CACHE_TTL_MS) {
+      this.entries.delete(`${sessionId}|${jid}`);
+      return undefined;
+    }
+    return entry.metadata;
+  }
+
+  set(sessionId, metadata) {
+    if (!metadata?.id) return;
+    this.entries.set(`${sessionId}|${metadata.id}`, { metadata, fetchedAt: Date.now() });
+  }
+
+  invalidate(sessionId, jid) {
+    this.entries.delete(`${sessionId}|${jid}`);
+  }
+
+  clearSession(sessionId) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(`${sessionId}|`)) this.entries.delete(key);
+    }
+  }
+
+  // Metadata from cache, falling back to the socket
+  async fetch(sessionId, sock, jid) {
+    const cached = this.get(sessionId, jid);
+    if (cached) return cached;
+    const metadata = await sock.groupMetadata(jid);
+    this.set(sessionId, metadata);
+    return metadata;
+  }
+}
+
+// Registers group management routes on an express Router and returns it
+export default function registerGroupRoutes(manager) {
+  const router = express.Router();
+  const cache = manager.groupCache;
+
+  // Resolve a connected socket or answer with the appropriate error
+  const connectedSocket = (req, res) => {
+    const s = manager.sockets.get(req.params.id);
+    if (!s || !s.sock) {
+      res.status(404).json({ error: 'Session not found or not initialized' });
+      return null;
+    }
+    if (!s.isConnected) {
+      res.status(503).json({ error: 'WhatsApp is not connected for this session' });
+      return null;
+    }
+    return s.sock;
+  };
+
+  // Wrap a handler so Baileys errors become 500s with the usual shape
+  const handle = (action, fn) => async (req, res) => {
+    const sock = connectedSocket(req, res);
+    if (!sock) return;
+    try {
+      await fn(req, res, sock);
+    } catch (err) {
+      req.log.error({ err }, `Failed to ${action}`);
+      const status = err?.output?.statusCode;
+      res.status(status && status >= 400 && status < 500 ? status : 500).json({ error: `Failed to ${action}`, details: err.message });
+    }
+  };
+
+  // List groups the account participates in. Always fetched from WhatsApp; the results refresh the metadata cache
+  router.get('/sessions/:id/groups', requireScope('groups'), handle('list groups', async (req, res, sock) => {
+    const all = await sock.groupFetchAllParticipating();
+    const groups = Object.values(all || {});
+    for (const g of groups) cache.set(req.params.id, g);
+    res.json({ count: groups.length, groups });
+  }));
+
+  // Create a group. body: { subject, participants: [number|jid, ...] }
+  router.post('/sessions/:id/groups', requireScope('groups'), handle('create group', async (req, res, sock) => {
+    const { subject, participants } = req.body || {};
+    if (!subject) return res.status(400).json({ error: '"subject" is required' });
+    if (!Array.isArray(participants) || participants.length === 0) return res.status(400).json({ error: '"participants" must be a non-empty array' });
+    const metadata = await sock.groupCreate(subject, participants.map(toUserJid));
+    cache.set(req.params.id, metadata);
+    res.status(201).json({ success: true, group: metadata });
+  }));
+
+  // Accept an invite. body: { code } (code or chat.whatsapp.com link)
+  router.post('/sessions/:id/groups/join', requireScope('groups'), handle('join group', async (req, res, sock) => {
+    const { code } = req.body || {};
+    if (!code) return res.status(400).json({ error: '"code" is required' });
+    const jid = await sock.groupAcceptInvite(toInviteCode(code));
+    res.json({ success: true, jid });
+  }));
+
+  // Look up an invite before joining
+  router.get('/sessions/:id/groups/invite/:code', requireScope('groups'), handle('get invite info', async (req, res, sock) => {
+    const info = await sock.groupGetInviteInfo(toInviteCode(req.params.code));
+    res.json({ info });
+  }));
+
+  // Group metadata (?refresh=true bypasses the cache)
+  router.get('/sessions/:id/groups/:jid', requireScope('groups'), handle('get group', async (req, res, sock) => {
+    const jid = toGroupJid(req.params.jid);
+    if (req.query.refresh === 'true') cache.invalidate(req.params.id, jid);
+    const metadata = await cache.fetch(req.params.id, sock, jid);
+    res.json({ group: metadata });
+  }));
+
+  // Change subject, description and settings
+  // body: { subject, description, announcement: bool, locked: bool, ephemeral: seconds, memberAddMode: 'admin_add'|'all_member_add', joinApproval: bool }
+  router.patch('/sessions/:id/groups/:jid', requireScope('groups'), handle('update group', async (req, res, sock) => {
+    const jid = toGroupJid(req.params.jid);
+    const { subject, description, announcement, locked, ephemeral, memberAddMode, joinApproval } = req.body || {};
+    const applied = [];
+    if (typeof subject !== 'undefined') { await sock.groupUpdateSubject(jid, subject); applied.push('subject'); }
+    // an empty description clears it
+    if (typeof description !== 'undefined') { await sock.groupUpdateDescription(jid, description || undefined); applied.push('description'); }
+    if (typeof announcement !== 'undefined') { await sock.groupSettingUpdate(jid, announcement ? 'announcement' : 'not_announcement'); applied.push('announcement'); }
+    if (typeof locked !== 'undefined') { await sock.groupSettingUpdate(jid, locked ? 'locked' : 'unlocked'); applied.push('locked'); }
+    if (typeof ephemeral !== 'undefined') { await sock.groupToggleEphemeral(jid, Number(ephemeral) || 0); applied.push('ephemeral'); }
+    if (typeof memberAddMode !== 'undefined') {
+      if (!['admin_add', 'all_member_add'].includes(memberAddMode)) return res.status(400).json({ error: 'memberAddMode must be admin_add or all_member_add', applied });
+      await sock.groupMemberAddMode(jid, memberAddMode);
+      applied.push('memberAddMode');
+    }
+    if (typeof joinApproval !== 'undefined') { await sock.groupJoinApprovalMode(jid, joinApproval ? 'on' : 'off'); applied.push('joinApproval'); }
+    if (applied.length === 0) return res.status(400).json({ error: 'Nothing to update' });
+    cache.invalidate(req.params.id, jid);
+    res.json({ success: true, applied });
+  }));
+
+  // Add, remove, promote or demote participants. body: { action, participants: [number|jid, ...] }
+  router.post('/sessions/:id/groups/:jid/participants', requireScope('groups'), handle('update participants', async (req, res, sock) => {
+    const jid = toGroupJid(req.params.jid);
+    const { action, participants } = req.body || {};
+    if (!PARTICIPANT_ACTIONS.includes(action)) return res.status(400).json({ error: `Invalid action. Supported: ${PARTICIPANT_ACTIONS.join(', ')}` });
+    if (!Array.isArray(participants) || participants.length === 0) return res.status(400).json({ error: '"participants" must be a non-empty array' });
+    const results = await sock.groupParticipantsUpdate(jid, participants.map(toUserJid), action);
+    cache.invalidate(req.params.id, jid);
+    res.json({ success: true, results });
+  }));
+
+  // Current invite code
+  router.get('/sessions/:id/groups/:jid/invite-code', requireScope('groups'), handle('get invite code', async (req, res, sock) => {
+    const code = await sock.groupInviteCode(toGroupJid(req.params.jid));
+    res.json({ code, link: `https://chat.whatsapp.com/${code}` });
+  }));
+
+  // Revoke the invite code and return the new one
+  router.post('/sessions/:id/groups/:jid/invite-code/revoke', requireScope('groups'), handle('revoke invite code', async (req, res, sock) => {
+    const code = await sock.groupRevokeInvite(toGroupJid(req.params.jid));
+    res.json({ success: true, code, link: `https://chat.whatsapp.com/${code}` });
+  }));
+
+  // Leave a group
+  router.post('/sessions/:id/groups/:jid/leave', requireScope('groups'), handle('leave group', async (req, res, sock) => {
+    const jid = toGroupJid(req.params.jid);
+    await sock.groupLeave(jid);
+    cache.invalidate(req.params.id, jid);
+    res.json({ success: true });
+  }));
+
+  return router;
+}
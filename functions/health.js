@@ -0,0 +1,66 @@
+import express from 'express';
+import db from '../db.js';
+
+// A database that doesn't answer within this long counts as down
+const DB_CHECK_TIMEOUT_MS = Number(process.env.HEALTH_DB_TIMEOUT_MS) || 3000;
+
+// Sessions running on this node by state
+export function sessionCounts(manager) {
+  const counts = { running: manager.sockets.size, connected: 0, pairing: 0, connecting: 0, reconnecting: 0 };
+  for (const [sessionId, s] of manager.sockets) {
+    if (s.isConnected) counts.connected += 1;
+    else if (s.qr) counts.pairing += 1;
+    else if (manager.reconnects.status(sessionId)) counts.reconnecting += 1;
+    else counts.connecting += 1;
+  }
+  return counts;
+}
+
+async function checkDatabase() {
+  const started = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      db.ping(),
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`No answer within ${DB_CHECK_TIMEOUT_MS}ms`)), DB_CHECK_TIMEOUT_MS); })
+    ]);
+    return { ok: true, driver: db.pool.dialect.name, latencyMs: Date.now() - started };
+  } catch (e) {
+    return { ok: false, driver: db.pool.dialect.name, error: e.message || String(e) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Registers /health, /health/live and /health/ready on an express Router and returns it (no credentials needed)
+export default function registerHealthRoutes(manager) {
+  const router = express.Router();
+
+  router.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      sessions: sessionCounts(manager),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Liveness: the process is up and serving requests
+  router.get('/health/live', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()), timestamp: new Date().toISOString() });
+  });
+
+  // Readiness: migrations ran, stored sessions were restored and the database answers.
+  // Session states are reported but don't fail the check; one dropped number shouldn't take the node out of rotation.
+  router.get('/health/ready', async (req, res) => {
+    const database = await checkDatabase();
+    const sessions = { ok: manager.ready, ...sessionCounts(manager) };
+    const ready = database.ok && sessions.ok;
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      checks: { database, sessions },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return router;
+}
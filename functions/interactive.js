@@ -0,0 +1,189 @@
+import express from 'express';
+import crypto from 'crypto';
+import { getKeyAuthor, jidNormalizedUser } from '@whiskeysockets/baileys';
+import db from '../db.js';
+import { requireScope } from './auth.js';
+import { queueAndRespond } from './outbox.js';
+
+// WhatsApp limits
+export const POLL_MAX_OPTIONS = 12;
+
+// Text content with an optional link preview override:
+// undefined = generated by Baileys, false = no preview, { url, title, description } = custom preview
+export function textContent(text, linkPreview) {
+  if (linkPreview === undefined || linkPreview === true) return { text };
+  if (linkPreview === false || linkPreview === null) return { text, linkPreview: null };
+  return {
+    text,
+    linkPreview: {
+      'canonical-url': linkPreview.url,
+      'matched-text': linkPreview.url,
+      title: linkPreview.title || '',
+      description: linkPreview.description || ''
+    }
+  };
+}
+
+// Returns an error message or null
+export function validateLinkPreview(linkPreview) {
+  if (linkPreview === undefined || typeof linkPreview === 'boolean' || linkPreview === null) return null;
+  if (typeof linkPreview !== 'object' || typeof linkPreview.url !== 'string' || !linkPreview.url) {
+    return '"linkPreview" must be true, false or { url, title, description }';
+  }
+  return null;
+}
+
+// vCard field values escape backslashes, commas, semicolons and newlines
+function vcardEscape(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/([,;])/g, '\\$1').replace(/\r?\n/g, '\\n');
+}
+
+// Minimal vCard 3.0 for { name, phone, org, email }; waid makes WhatsApp show "Message" / "Add contact"
+export function buildVcard({ name, phone, org, email }) {
+  const digits = String(phone).replace(/\D/g, '');
+  const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${vcardEscape(name)}`];
+  if (org) lines.push(`ORG:${vcardEscape(org)};`);
+  lines.push(`TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`);
+  if (email) lines.push(`EMAIL:${vcardEscape(email)}`);
+  lines.push('END:VCARD');
+  return lines.join('\n');
+}
+
+// Poll votes carry SHA-256 hashes of the selected option names
+export function hashPollOption(name) {
+  return crypto.createHash('sha256').update(Buffer.from(String(name), 'utf8')).digest('hex');
+}
+
+// Aggregate the latest vote of every voter into per-option counts
+export function tallyPoll(options, votes) {
+  const results = options.map(option => ({ option, votes: 0, voters: [] }));
+  const byName = new Map(results.map(r => [r.option, r]));
+  let voters = 0;
+  for (const vote of votes) {
+    if (!vote.options.length) continue; // retracted
+    voters += 1;
+    for (const name of vote.options) {
+      const r = byName.get(name);
+      if (!r) continue;
+      r.votes += 1;
+      r.voters.push(vote.voter);
+    }
+  }
+  return { totalVoters: voters, results };
+}
+
+// Store the decrypted votes Baileys emits in messages.update (pollUpdates) for a poll
+export async function recordPollUpdates(manager, sessionId, pollKey, pollUpdates) {
+  const poll = await db.getRawMessage(sessionId, pollKey.id);
+  if (!poll || poll.type !== 'poll') return 0;
+  const byHash = new Map((poll.details.options || []).map(name => [hashPollOption(name), name]));
+  const meId = jidNormalizedUser(manager.sockets.get(sessionId)?.sock?.user?.id || '');
+  let saved = 0;
+  for (const update of pollUpdates) {
+    const voter = getKeyAuthor(update.pollUpdateMessageKey, meId);
+    if (!voter) continue;
+    const selected = (update.vote?.selectedOptions || [])
+      .map(h => byHash.get(Buffer.from(h).toString('hex')))
+      .filter(Boolean);
+    const votedAt = Number(update.senderTimestampMs || 0) || Date.now();
+    if (await db.savePollVote(sessionId, pollKey.id, voter, selected, votedAt)) saved += 1;
+  }
+  return saved;
+}
+
+// Registers poll, location and contact card routes on an express Router and returns it
+export default function registerInteractiveRoutes(manager) {
+  const router = express.Router();
+
+  const hasSession = (req, res) => {
+    if (manager.sockets.get(req.params.id)) return true;
+    res.status(503).json({ error: 'Session not found' });
+    return false;
+  };
+
+  // body: { to, name, options: ["A", "B"], selectableCount } (selectableCount 0 = any number of options)
+  router.post('/sessions/:id/send-poll', requireScope('send'), async (req, res) => {
+    const { to, name, options, selectableCount = 1 } = req.body || {};
+    if (!to || !name) return res.status(400).json({ error: 'Both "to" and "name" fields are required' });
+    if (!Array.isArray(options) || options.length < 2 || options.length > POLL_MAX_OPTIONS) {
+      return res.status(400).json({ error: `"options" must be an array of 2 to ${POLL_MAX_OPTIONS} strings` });
+    }
+    const values = options.map(o => String(o).trim());
+    if (values.some(v => !v) || new Set(values).size !== values.length) {
+      return res.status(400).json({ error: 'Poll options must be unique and non-empty' });
+    }
+    const count = Number(selectableCount);
+    if (!Number.isInteger(count) || count < 0 || count > values.length) {
+      return res.status(400).json({ error: `"selectableCount" must be between 0 and ${values.length}` });
+    }
+    if (!hasSession(req, res)) return;
+    try {
+      await queueAndRespond(manager, req, res, to, { poll: { name: String(name), values, selectableCount: count } });
+    } catch (err) {
+      req.log.error({ err }, 'Failed to send poll');
+      res.status(500).json({ error: 'Failed to send poll', details: err.message });
+    }
+  });
+
+  // body: { to, latitude, longitude, name, address }
+  router.post('/sessions/:id/send-location', requireScope('send'), async (req, res) => {
+    const { to, name, address } = req.body || {};
+    const latitude = Number(req.body?.latitude);
+    const longitude = Number(req.body?.longitude);
+    if (!to) return res.status(400).json({ error: '"to" is required' });
+    if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+      return res.status(400).json({ error: 'Valid "latitude" (-90..90) and "longitude" (-180..180) are required' });
+    }
+    if (!hasSession(req, res)) return;
+    try {
+      const location = { degreesLatitude: latitude, degreesLongitude: longitude };
+      if (name) location.name = String(name);
+      if (address) location.address = String(address);
+      await queueAndRespond(manager, req, res, to, { location });
+    } catch (err) {
+      req.log.error({ err }, 'Failed to send location');
+      res.status(500).json({ error: 'Failed to send location', details: err.message });
+    }
+  });
+
+  // body: { to, contacts: [{ name, phone, org, email } | { name, vcard }] }
+  router.post('/sessions/:id/send-contact', requireScope('send'), async (req, res) => {
+    const { to } = req.body || {};
+    const contacts = Array.isArray(req.body?.contacts) ? req.body.contacts : req.body?.contact ? [req.body.contact] : [];
+    if (!to) return res.status(400).json({ error: '"to" is required' });
+    if (!contacts.length) return res.status(400).json({ error: '"contacts" must be a non-empty array' });
+    if (contacts.some(c => !c?.name || (!c.vcard && !c.phone))) {
+      return res.status(400).json({ error: 'Every contact needs a "name" and either "phone" or "vcard"' });
+    }
+    if (!hasSession(req, res)) return;
+    try {
+      const cards = contacts.map(c => ({ displayName: String(c.name), vcard: c.vcard || buildVcard(c) }));
+      const displayName = cards.length === 1 ? cards[0].displayName : `${cards.length} contacts`;
+      await queueAndRespond(manager, req, res, to, { contacts: { displayName, contacts: cards } });
+    } catch (err) {
+      req.log.error({ err }, 'Failed to send contact');
+      res.status(500).json({ error: 'Failed to send contact', details: err.message });
+    }
+  });
+
+  // Aggregated results of a poll sent or received by this session
+  router.get('/sessions/:id/polls/:msgId/results', requireScope('read-messages'), async (req, res) => {
+    const sessionId = req.params.id;
+    try {
+      const poll = await db.getRawMessage(sessionId, req.params.msgId);
+      if (!poll || poll.type !== 'poll') return res.status(404).json({ error: 'Poll not found' });
+      const options = poll.details.options || [];
+      const votes = await db.listPollVotes(sessionId, poll.id);
+      res.json({
+        poll: { id: poll.id, name: poll.text, options, selectableCount: poll.details.selectableCount || 0, chat: poll.direction === 'outbound' ? poll.to : poll.from },
+        ...tallyPoll(options, votes),
+        votes: votes.filter(v => v.options.length)
+      });
+    } catch (err) {
+      req.log.error({ err }, 'Failed to get poll results');
+      res.status(500).json({ error: 'Failed to get poll results', details: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,211 @@
+import util from 'util';
+
+// Structured logging for the server and the Baileys sockets it runs (pino-compatible, so Baileys can use it).
+// Every line is one JSON object ({ time, level, module, sessionId, requestId, msg, ...fields }), or a short
+// human-readable line with LOG_FORMAT=pretty.
+//   LOG_LEVEL          default level (trace, debug, info, warn, error, fatal, silent); info by default
+//   LOG_LEVELS         per-module levels, e.g. "baileys=error,outbox=debug,http=debug"; Baileys defaults to warn
+//   LOG_REDACT         what to hide: "text" (message bodies, the default), "phone" (all but the last 4 digits),
+//                      "text,phone" or "none"
+//   LOG_BUFFER_SIZE    entries kept per session for GET /sessions/:id/logs (default 500, 0 disables)
+//   LOG_BUFFER_LEVEL   lowest level kept there, even when it isn't printed (default info)
+
+export const LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, fatal: 60, silent: Infinity };
+
+function parseLevel(value, fallback) {
+  const level = String(value || '').trim().toLowerCase();
+  return Object.hasOwn(LEVELS, level) ? level : fallback;
+}
+
+const DEFAULT_LEVEL = parseLevel(process.env.LOG_LEVEL, 'info');
+const FORMAT = process.env.LOG_FORMAT || (process.stdout.isTTY ? 'pretty' : 'json');
+const BUFFER_SIZE = process.env.LOG_BUFFER_SIZE !== undefined ? Number(process.env.LOG_BUFFER_SIZE) || 0 : 500;
+const BUFFER_LEVEL = parseLevel(process.env.LOG_BUFFER_LEVEL, 'info');
+
+// Baileys logs every stanza at info and below
+const moduleLevels = new Map([['baileys', 'warn']]);
+for (const pair of (process.env.LOG_LEVELS || '').split(',')) {
+  const [module, level] = pair.split('=').map(s => s.trim());
+  if (module && parseLevel(level, null)) moduleLevels.set(module, parseLevel(level));
+}
+
+const redact = new Set((process.env.LOG_REDACT || 'text').split(',').map(s => s.trim().toLowerCase()));
+const REDACT_TEXT = redact.has('text');
+const REDACT_PHONE = redact.has('phone');
+
+// Message bodies (also inside raw Baileys messages) and fields holding numbers or JIDs
+const TEXT_KEYS = new Set(['text', 'caption', 'conversation', 'body']);
+const PHONE_KEYS = new Set(['phone', 'number', 'numbers', 'to', 'from', 'jid', 'jids', 'remoteJid', 'participant', 'id']);
+
+const MAX_STRING = 2000;
+const MAX_DEPTH = 5;
+
+const maskDigits = m => m.replace(/\d(?=\d{4})/g, '*');
+
+// Keep the last 4 digits of numbers that look like phone numbers or JID users (free text: messages, errors)
+function maskPhones(str) {
+  return str.replace(/\+\d{7,15}|\d{7,15}(?=[:@])/g, maskDigits);
+}
+
+// Phone-keyed fields ('255683568254', '+255683568254', JIDs, lists of them): mask every run of 7 or more digits
+function maskPhoneField(str) {
+  return str.replace(/\d{7,}/g, maskDigits);
+}
+
+function sanitize(value, key, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') {
+    if (REDACT_TEXT && TEXT_KEYS.has(key)) return '[redacted]';
+    const str = value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}…` : value;
+    if (!REDACT_PHONE) return str;
+    return PHONE_KEYS.has(key) ? maskPhoneField(str) : str;
+  }
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'function' || typeof value === 'symbol') return undefined;
+  if (typeof value !== 'object') return value;
+  if (value instanceof Error) {
+    const err = { type: value.name, message: REDACT_PHONE ? maskPhones(String(value.message)) : value.message, stack: value.stack };
+    // Boom errors from Baileys carry the disconnect/status code
+    if (value.output?.statusCode) err.statusCode = value.output.statusCode;
+    return err;
+  }
+  if (value instanceof Uint8Array) return `[${value.length} bytes]`;
+  if (value instanceof Date) return value.toISOString();
+  if (value?.type === 'Buffer' && Array.isArray(value.data)) return `[${value.data.length} bytes]`;
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+  if (Array.isArray(value)) return value.slice(0, 50).map(v => sanitize(v, key, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    const clean = sanitize(v, k, depth + 1);
+    if (clean !== undefined) out[k] = clean;
+  }
+  return out;
+}
+
+// sessionId -> recent entries, oldest first
+const buffers = new Map();
+
+function remember(entry) {
+  let buffer = buffers.get(entry.sessionId);
+  if (!buffer) {
+    buffer = [];
+    buffers.set(entry.sessionId, buffer);
+  }
+  buffer.push(entry);
+  if (buffer.length > BUFFER_SIZE) buffer.splice(0, buffer.length - BUFFER_SIZE);
+}
+
+function print(entry) {
+  if (FORMAT !== 'pretty') {
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+    return;
+  }
+  const { time, level, module, sessionId, requestId, msg, ...fields } = entry;
+  const context = [module, sessionId, requestId].filter(Boolean).map(v => `[${v}]`).join(' ');
+  const { err, ...rest } = fields;
+  let line = `${time} ${level.toUpperCase().padEnd(5)} ${context}${context ? ' ' : ''}${msg || ''}`;
+  if (Object.keys(rest).length) line += ` ${JSON.stringify(rest)}`;
+  if (err) line += `\n${err.stack || err.message}`;
+  process.stdout.write(`${line}\n`);
+}
+
+export function levelFor(module) {
+  return moduleLevels.get(module) || DEFAULT_LEVEL;
+}
+
+export class Logger {
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  // pino API: Baileys reads this to decide whether to build expensive trace output
+  get level() {
+    return levelFor(this.bindings.module);
+  }
+
+  set level(value) {
+    const level = parseLevel(value, null);
+    if (level) moduleLevels.set(this.bindings.module, level);
+  }
+
+  child(bindings = {}) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  // Same call forms as pino: (msg, ...format args), (fields, msg, ...args) or (err, msg, ...args)
+  write(level, args) {
+    const printed = LEVELS[level] >= LEVELS[this.level];
+    const bufferable = BUFFER_SIZE > 0 && LEVELS[level] >= LEVELS[BUFFER_LEVEL];
+    if (!printed && !bufferable) return;
+
+    let [first, ...rest] = args;
+    let fields = {};
+    if (first instanceof Error) {
+      fields = { err: first };
+      first = rest.shift();
+    } else if (first && typeof first === 'object') {
+      fields = first;
+      first = rest.shift();
+    }
+    let msg = first === undefined ? undefined : util.format(first, ...rest);
+    if (msg && REDACT_PHONE) msg = maskPhones(msg);
+
+    const entry = { time: new Date().toISOString(), level, ...this.bindings, ...sanitize(fields, null), msg };
+    if (printed) print(entry);
+    // sessionId comes from the bindings or the fields of this call
+    if (bufferable && entry.sessionId) remember(entry);
+  }
+
+  trace(...args) { this.write('trace', args); }
+  debug(...args) { this.write('debug', args); }
+  info(...args) { this.write('info', args); }
+  warn(...args) { this.write('warn', args); }
+  error(...args) { this.write('error', args); }
+  fatal(...args) { this.write('fatal', args); }
+}
+
+// Logger for one part of the server, e.g. createLogger('outbox'); add { sessionId } with .child()
+export function createLogger(module, bindings = {}) {
+  return new Logger({ module, ...bindings });
+}
+
+// Recent entries of a session, oldest first (opts: { level: lowest level, module, limit })
+export function getSessionLogs(sessionId, { level, module, limit = 100 } = {}) {
+  const min = LEVELS[parseLevel(level, 'trace')];
+  const entries = (buffers.get(sessionId) || []).filter(e => LEVELS[e.level] >= min && (!module || e.module === module));
+  const max = Math.min(BUFFER_SIZE, Math.max(1, Number(limit) || 100));
+  return entries.slice(-max);
+}
+
+export function clearSessionLogs(sessionId) {
+  buffers.delete(sessionId);
+}
+
+// Express middleware: X-Request-Id (taken from the request or generated) and req.log with requestId and sessionId.
+// Requests are logged at debug under the 'http' module (LOG_LEVELS=http=debug).
+export function requestLogger(generateId) {
+  const log = createLogger('http');
+  return (req, res, next) => {
+    const requestId = String(req.headers['x-request-id'] || '').slice(0, 100) || generateId();
+    // requests forwarded to another node keep the id
+    req.headers['x-request-id'] = requestId;
+    res.setHeader('X-Request-Id', requestId);
+    const m = req.path.match(/^\/sessions\/([^/]+)/);
+    let sessionId;
+    try {
+      sessionId = m ? decodeURIComponent(m[1]) : undefined;
+    } catch (e) { /* malformed id, the route answers 404 */ }
+    req.log = log.child({ requestId, ...(sessionId ? { sessionId } : {}) });
+    const started = Date.now();
+    res.on('finish', () => {
+      const fields = { method: req.method, path: req.path, status: res.statusCode, durationMs: Date.now() - started };
+      if (res.statusCode >= 500) req.log.error(fields, 'Request failed');
+      else req.log.debug(fields, 'Request');
+    });
+    next();
+  };
+}
@@ -0,0 +1,25 @@
+import express from 'express';
+import db from '../db.js';
+import { requireScope } from './auth.js';
+import { getSessionLogs } from './logger.js';
+
+// Registers GET /sessions/:id/logs on an express Router and returns it
+export default function registerLogRoutes(manager) {
+  const router = express.Router();
+
+  // Recent log entries of a session kept in memory on the node running it (see functions/logger.js), oldest first.
+  // ?level= lowest level (e.g. warn), ?module= (manager, baileys, outbox, http, ...), ?limit= (default 100)
+  router.get('/sessions/:id/logs', requireScope('logs'), async (req, res) => {
+    try {
+      const session = await db.getSession(req.params.id);
+      if (!session) return res.status(404).json({ error: 'Session not found' });
+      const { level, module, limit } = req.query;
+      const logs = getSessionLogs(req.params.id, { level, module, limit });
+      res.json({ count: logs.length, running: manager.sockets.has(req.params.id), logs });
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to load logs', details: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,250 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import multer from 'multer';
+import { downloadMediaMessage } from '@whiskeysockets/baileys';
+import db from '../db.js';
+import { requireScope } from './auth.js';
+import { queueAndRespond } from './outbox.js';
+import { MEDIA_MESSAGE_TYPES, reviveMessage } from './messages.js';
+import { createLogger } from './logger.js';
+import { resolveLocalMediaPath } from './storage.js';
+
+const log = createLogger('media');
+
+const upload = multer({ dest: path.join(process.cwd(), 'uploads') });
+
+// Received media types browsers show without running script; anything else (text/html, image/svg+xml, ...)
+// is served as application/octet-stream, since the sender chooses the mimetype
+const INLINE_SAFE_MIMETYPES = new Set([
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'video/mp4', 'video/3gpp', 'video/quicktime',
+  'audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/amr', 'audio/wav'
+]);
+
+// Headers for downloading a received file. It is always an attachment in a sandbox, so a hostile
+// document opened from a link with ?access_token can't run script on the API's origin.
+export function mediaDownloadHeaders({ mimetype, fileName }) {
+  const type = String(mimetype || '').split(';')[0].trim().toLowerCase();
+  const name = fileName ? `; filename="${fileName.replace(/[^\x20-\x7e]|["\\]/g, '_')}"` : '';
+  return {
+    'Content-Type': INLINE_SAFE_MIMETYPES.has(type) ? type : 'application/octet-stream',
+    'Content-Disposition': `attachment${name}`,
+    'Content-Security-Policy': 'sandbox',
+    'X-Content-Type-Options': 'nosniff'
+  };
+}
+
+// Media kinds accepted by /send-media ('voice' is an alias for 'ptt')
+export const MEDIA_TYPES = ['image', 'video', 'audio', 'ptt', 'voice', 'document', 'sticker'];
+
+// Resolve the media source of a request into something Baileys accepts (Buffer or { url }).
+// Order mirrors /status/send: multipart upload, server path, base64/data URI, remote URL.
+// Returns { media, mimetype, fileName } or null when nothing was provided.
+export function resolveMediaInput(req) {
+  const body = req.body || {};
+
+  if (req.file) {
+    return {
+      media: fs.readFileSync(req.file.path),
+      mimetype: req.file.mimetype || null,
+      fileName: req.file.originalname || null
+    };
+  }
+
+  if (body.path) {
+    const localPath = resolveLocalMediaPath(body.path);
+    return { media: fs.readFileSync(localPath), mimetype: null, fileName: path.basename(localPath) };
+  }
+
+  if (body.base64) {
+    // data URI allowed or raw base64
+    const m = String(body.base64).match(/^data:(.+);base64,(.+)$/);
+    const raw = m ? m[2] : body.base64;
+    return { media: Buffer.from(raw, 'base64'), mimetype: m ? m[1] : null, fileName: null };
+  }
+
+  if (body.url) {
+    let fileName = null;
+    try { fileName = path.basename(new URL(body.url).pathname) || null; } catch (e) { /* ignore bad URLs, Baileys will reject them */ }
+    return { media: { url: body.url }, mimetype: null, fileName };
+  }
+
+  return null;
+}
+
+// Incoming media larger than this is not downloaded automatically (still fetchable on demand)
+const MEDIA_MAX_BYTES = Number(process.env.MEDIA_MAX_BYTES) || 50 * 1024 * 1024;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'application/pdf': 'pdf'
+};
+
+// Storage key for a message's media: <sessionId>/<messageId>.<ext>
+function mediaKeyFor(sessionId, messageId, { mimetype, fileName }) {
+  let ext = fileName && path.extname(fileName).slice(1);
+  if (!ext && mimetype) {
+    const base = mimetype.split(';')[0].trim();
+    ext = EXTENSIONS[base] || base.split('/')[1];
+  }
+  const safeId = String(messageId).replace(/[^A-Za-z0-9_-]/g, '_');
+  return `${sessionId}/${safeId}${ext ? '.' + ext.replace(/[^A-Za-z0-9]/g, '') : ''}`;
+}
+
+// URL clients and webhook receivers can GET the media from (absolute when PUBLIC_URL is set)
+export function mediaUrlFor(sessionId, messageId) {
+  const base = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+  return `${base}/sessions/${encodeURIComponent(sessionId)}/messages/${encodeURIComponent(messageId)}/media`;
+}
+
+// Download the media of a received message into the configured storage backend and record it on the message.
+// `parsed` is the output of parseMessage. Returns { key, backend, size } or null when there's nothing to store.
+export async function downloadIncomingMedia(manager, sessionId, waMessage, parsed, { force = false } = {}) {
+  if (!MEDIA_MESSAGE_TYPES.includes(parsed.type)) return null;
+  if (!force && parsed.details?.fileLength > MEDIA_MAX_BYTES) {
+    log.info({ sessionId, messageId: waMessage.key.id, size: parsed.details.fileLength }, 'Skipping media download larger than MEDIA_MAX_BYTES');
+    return null;
+  }
+  const s = manager.sockets.get(sessionId);
+  // expired media URLs are refreshed through the socket when one is available
+  const ctx = s?.sock ? { logger: s.sock.logger, reuploadRequest: s.sock.updateMediaMessage } : undefined;
+  const buffer = await downloadMediaMessage(waMessage, 'buffer', {}, ctx);
+  const key = mediaKeyFor(sessionId, waMessage.key.id, parsed);
+  const stored = await manager.mediaStorage.put(key, buffer, { mimetype: parsed.mimetype });
+  await db.saveMessageMedia(sessionId, waMessage.key.id, stored);
+  return stored;
+}
+
+// Build the Baileys message content for a media kind
+export function buildMediaContent(type, { media, mimetype, fileName }, opts = {}) {
+  const { caption, gifPlayback } = opts;
+  switch (type) {
+    case 'image':
+      return { image: media, caption: caption || '', ...(mimetype ? { mimetype } : {}) };
+    case 'video':
+      return { video: media, caption: caption || '', gifPlayback: !!gifPlayback, ...(mimetype ? { mimetype } : {}) };
+    case 'audio':
+      return { audio: media, mimetype: mimetype || 'audio/mp4' };
+    case 'ptt':
+    case 'voice':
+      // WhatsApp only renders voice notes encoded as ogg/opus
+      return { audio: media, ptt: true, mimetype: mimetype || 'audio/ogg; codecs=opus' };
+    case 'document':
+      return {
+        document: media,
+        mimetype: mimetype || 'application/octet-stream',
+        fileName: fileName || 'file',
+        ...(caption ? { caption } : {})
+      };
+    case 'sticker':
+      return { sticker: media };
+    default:
+      return null;
+  }
+}
+
+// Registers media sending routes on an express Router and returns it
+export default function registerMediaRoutes(manager) {
+  const router = express.Router();
+
+  // Send an image, video, audio, voice note, document or sticker
+  // POST /sessions/:id/send-media
+  // body: { to, type, caption, fileName, mimetype, gifPlayback } plus one of:
+  //   multipart field "media", path, base64 (raw or data URI), url
+  router.post('/sessions/:id/send-media', requireScope('send'), upload.single('media'), async (req, res) => {
+    const sessionId = req.params.id;
+    const { to, type, caption, fileName, mimetype, gifPlayback } = req.body || {};
+
+    // Helper to clean up uploaded file
+    const cleanupUpload = async () => {
+      if (!req.file) return;
+      try { await fs.promises.unlink(req.file.path); } catch (e) { /* ignore */ }
+    };
+
+    if (!to) {
+      await cleanupUpload();
+      return res.status(400).json({ error: '"to" field is required' });
+    }
+    if (!MEDIA_TYPES.includes(type)) {
+      await cleanupUpload();
+      return res.status(400).json({ error: `Invalid type. Supported: ${MEDIA_TYPES.join(', ')}` });
+    }
+
+    const s = manager.sockets.get(sessionId);
+    if (!s) {
+      await cleanupUpload();
+      return res.status(404).json({ error: 'Session not found or not initialized' });
+    }
+
+    try {
+      let input;
+      try {
+        input = resolveMediaInput(req);
+      } catch (e) {
+        await cleanupUpload();
+        return res.status(e.status || 400).json({ error: e.message });
+      }
+      if (!input) {
+        return res.status(400).json({ error: 'Provide media via upload (form field "media"), server path, base64, or remote "url"' });
+      }
+
+      // explicit body values win over what was detected from the upload/data URI
+      if (mimetype) input.mimetype = mimetype;
+      if (fileName) input.fileName = fileName;
+
+      const content = buildMediaContent(type, input, { caption, gifPlayback: gifPlayback === true || gifPlayback === 'true' });
+      // the upload is copied into the queued job, so it can be removed right away
+      await cleanupUpload();
+      await queueAndRespond(manager, req, res, to, content);
+    } catch (err) {
+      await cleanupUpload();
+      req.log.error({ err }, 'Failed to send media');
+      res.status(500).json({ error: 'Failed to send media', details: err.message });
+    }
+  });
+
+  // Stream the media of a stored message. Media that wasn't downloaded yet is fetched on demand.
+  // GET /sessions/:id/messages/:msgId/media
+  router.get('/sessions/:id/messages/:msgId/media', requireScope('read-messages'), async (req, res) => {
+    const sessionId = req.params.id;
+    const msgId = req.params.msgId;
+    try {
+      const m = await db.getMessageMedia(sessionId, msgId);
+      if (!m) return res.status(404).json({ error: 'Message not found' });
+      if (!MEDIA_MESSAGE_TYPES.includes(m.type)) return res.status(404).json({ error: 'Message has no media' });
+
+      let key = m.mediaKey;
+      if (!key) {
+        if (!m.raw) return res.status(404).json({ error: 'Media not available' });
+        // media keys were stored as JSON-encoded Buffers in the raw JSONB
+        const raw = reviveMessage(m.raw);
+        const stored = await downloadIncomingMedia(manager, sessionId, raw, m, { force: true });
+        key = stored?.key;
+      }
+      const file = key ? await manager.mediaStorage.get(key) : null;
+      if (!file) return res.status(404).json({ error: 'Media not available' });
+
+      res.set(mediaDownloadHeaders(m));
+      if (file.size != null) res.setHeader('Content-Length', String(file.size));
+      file.stream.on('error', (e) => {
+        req.log.error({ messageId: msgId, err: e }, 'Failed to stream media');
+        res.destroy(e);
+      });
+      file.stream.pipe(res);
+    } catch (err) {
+      req.log.error({ err }, 'Failed to get media');
+      res.status(500).json({ error: 'Failed to get media', details: err.message });
+    }
+  });
+
+  return router;
+}
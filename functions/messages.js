@@ -0,0 +1,166 @@
+import { normalizeMessageContent, getContentType, BufferJSON } from '@whiskeysockets/baileys';
+
+// protocolMessage types we surface (proto.Message.ProtocolMessage.Type)
+const PROTOCOL_REVOKE = 0;
+const PROTOCOL_MESSAGE_EDIT = 14;
+
+// Message types produced by parseMessage
+export const MESSAGE_TYPES = [
+  'text', 'image', 'video', 'audio', 'voice', 'document', 'sticker',
+  'location', 'live_location', 'contact', 'contacts',
+  'reaction', 'poll', 'poll_vote', 'edit', 'delete', 'pin', 'protocol', 'unknown'
+];
+
+// protobuf int64 fields may decode as Long objects
+function toNumber(v) {
+  if (v == null) return null;
+  if (typeof v.toNumber === 'function') return v.toNumber();
+  return Number(v);
+}
+
+// Message types that carry downloadable media
+export const MEDIA_MESSAGE_TYPES = ['image', 'video', 'audio', 'voice', 'document', 'sticker'];
+
+// Message types that act on another message instead of adding to the conversation
+export const CHANGE_MESSAGE_TYPES = ['reaction', 'edit', 'delete', 'pin', 'poll_vote'];
+
+// Stored raw messages hold Buffers (media keys, poll secrets) in their JSON form; restore them for Baileys
+export function reviveMessage(raw) {
+  return raw ? JSON.parse(JSON.stringify(raw), BufferJSON.reviver) : null;
+}
+
+// Extract the text of a (possibly nested) message content
+function extractText(content) {
+  if (!content) return null;
+  return content.conversation || content.extendedTextMessage?.text || null;
+}
+
+// Normalize a Baileys WAMessage into a flat model:
+// { type, text, caption, mimetype, fileName, latitude, longitude, quotedMessageId, quotedParticipant, targetMessageId, details }
+// targetMessageId is the message a reaction, edit, delete, pin or poll vote refers to.
+export function parseMessage(waMessage) {
+  const parsed = {
+    type: 'unknown',
+    text: null,
+    caption: null,
+    mimetype: null,
+    fileName: null,
+    latitude: null,
+    longitude: null,
+    quotedMessageId: null,
+    quotedParticipant: null,
+    targetMessageId: null,
+    details: {}
+  };
+
+  // unwraps ephemeral, view-once and document-with-caption wrappers
+  const content = normalizeMessageContent(waMessage?.message);
+  const kind = content ? getContentType(content) : null;
+  if (!kind) return parsed;
+  const m = content[kind];
+
+  // reply context lives on whichever inner message carries contextInfo
+  const ctx = m?.contextInfo;
+  if (ctx?.stanzaId) {
+    parsed.quotedMessageId = ctx.stanzaId;
+    parsed.quotedParticipant = ctx.participant || null;
+  }
+  if (ctx?.mentionedJid?.length) parsed.details.mentions = ctx.mentionedJid;
+
+  switch (kind) {
+    case 'conversation':
+      parsed.type = 'text';
+      parsed.text = content.conversation;
+      break;
+    case 'extendedTextMessage':
+      parsed.type = 'text';
+      parsed.text = m.text || null;
+      if (m.matchedText) parsed.details.link = { url: m.matchedText, title: m.title || null, description: m.description || null };
+      break;
+    case 'imageMessage':
+    case 'videoMessage':
+    case 'stickerMessage':
+      parsed.type = kind.replace('Message', '');
+      parsed.caption = m.caption || null;
+      parsed.mimetype = m.mimetype || null;
+      if (m.fileLength) parsed.details.fileLength = toNumber(m.fileLength);
+      if (m.seconds) parsed.details.seconds = m.seconds;
+      if (m.gifPlayback) parsed.details.gifPlayback = true;
+      if (m.isAnimated) parsed.details.animated = true;
+      if (m.viewOnce) parsed.details.viewOnce = true;
+      break;
+    case 'audioMessage':
+      parsed.type = m.ptt ? 'voice' : 'audio';
+      parsed.mimetype = m.mimetype || null;
+      if (m.fileLength) parsed.details.fileLength = toNumber(m.fileLength);
+      if (m.seconds) parsed.details.seconds = m.seconds;
+      break;
+    case 'documentMessage':
+      parsed.type = 'document';
+      parsed.caption = m.caption || null;
+      parsed.mimetype = m.mimetype || null;
+      parsed.fileName = m.fileName || m.title || null;
+      if (m.fileLength) parsed.details.fileLength = toNumber(m.fileLength);
+      if (m.pageCount) parsed.details.pageCount = m.pageCount;
+      break;
+    case 'locationMessage':
+    case 'liveLocationMessage':
+      parsed.type = kind === 'locationMessage' ? 'location' : 'live_location';
+      parsed.latitude = m.degreesLatitude ?? null;
+      parsed.longitude = m.degreesLongitude ?? null;
+      if (m.name) parsed.details.name = m.name;
+      if (m.address) parsed.details.address = m.address;
+      if (m.caption) parsed.caption = m.caption;
+      break;
+    case 'contactMessage':
+      parsed.type = 'contact';
+      parsed.details.contacts = [{ displayName: m.displayName || null, vcard: m.vcard || null }];
+      break;
+    case 'contactsArrayMessage':
+      parsed.type = 'contacts';
+      parsed.details.contacts = (m.contacts || []).map(c => ({ displayName: c.displayName || null, vcard: c.vcard || null }));
+      break;
+    case 'reactionMessage':
+      parsed.type = 'reaction';
+      parsed.targetMessageId = m.key?.id || null;
+      // an empty reaction text means the reaction was removed
+      parsed.details.emoji = m.text || null;
+      break;
+    case 'pollCreationMessage':
+    case 'pollCreationMessageV2':
+    case 'pollCreationMessageV3':
+      parsed.type = 'poll';
+      parsed.text = m.name || null;
+      parsed.details.options = (m.options || []).map(o => o.optionName);
+      parsed.details.selectableCount = m.selectableOptionsCount || 0;
+      break;
+    case 'pollUpdateMessage':
+      parsed.type = 'poll_vote';
+      parsed.targetMessageId = m.pollCreationMessageKey?.id || null;
+      break;
+    case 'pinInChatMessage':
+      parsed.type = 'pin';
+      parsed.targetMessageId = m.key?.id || null;
+      // proto.PinInChat.Type: 1 = pin, 2 = unpin
+      parsed.details.pinned = m.type === 1;
+      break;
+    case 'protocolMessage':
+      if (m.type === PROTOCOL_REVOKE) {
+        parsed.type = 'delete';
+        parsed.targetMessageId = m.key?.id || null;
+      } else if (m.type === PROTOCOL_MESSAGE_EDIT) {
+        parsed.type = 'edit';
+        parsed.targetMessageId = m.key?.id || null;
+        const edited = normalizeMessageContent(m.editedMessage);
+        parsed.text = extractText(edited) || edited?.imageMessage?.caption || edited?.videoMessage?.caption || null;
+      } else {
+        // history sync notifications, key shares and other housekeeping
+        parsed.type = 'protocol';
+      }
+      break;
+    default:
+      parsed.details.contentType = kind;
+  }
+
+  return parsed;
+}
@@ -0,0 +1,194 @@
+import express from 'express';
+import db from '../db.js';
+import { requireAdmin } from './auth.js';
+import { sessionCounts } from './health.js';
+
+// GET /metrics is admin-only unless METRICS_PUBLIC=true (e.g. when only Prometheus can reach the port)
+const METRICS_PUBLIC = process.env.METRICS_PUBLIC === 'true';
+
+// Seconds; webhook POSTs time out after 5s
+const WEBHOOK_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, v]) => v !== undefined && v !== null);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+// One metric family in the Prometheus text format; values are kept per label set
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map(); // formatted labels -> { labels, value }
+  }
+
+  entry(labels, init) {
+    const key = formatLabels(labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labels, value: init() };
+      this.series.set(key, entry);
+    }
+    return entry;
+  }
+
+  // Drop the series of a session (deleted sessions shouldn't be reported forever)
+  clearSession(sessionId) {
+    for (const [key, entry] of this.series) {
+      if (entry.labels.session === sessionId) this.series.delete(key);
+    }
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, entry] of this.series) lines.push(...this.sample(key, entry));
+    return lines.join('\n');
+  }
+
+  sample(key, entry) {
+    return [`${this.name}${key} ${entry.value}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels, () => 0).value += value;
+  }
+}
+
+// Gauges are filled in right before each scrape
+class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+
+  set(labels, value) {
+    this.entry(labels, () => 0).value = value;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((le, i) => { if (value <= le) entry.value.counts[i] += 1; });
+    entry.value.sum += value;
+    entry.value.count += 1;
+  }
+
+  sample(key, { labels, value }) {
+    const lines = this.buckets.map((le, i) => `${this.name}_bucket${formatLabels({ ...labels, le })} ${value.counts[i]}`);
+    lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+    lines.push(`${this.name}_sum${key} ${value.sum}`);
+    lines.push(`${this.name}_count${key} ${value.count}`);
+    return lines;
+  }
+}
+
+// Process-wide metrics. Counters and histograms are recorded as things happen on this node;
+// gauges (sessions, webhook backlog, outbox depth, DB pool) are collected from the sessions and DB on every scrape.
+export class Metrics {
+  constructor(manager) {
+    this.manager = manager;
+    this.messages = new Counter('whatsapp_messages_total', 'Messages received (direction="in") and sent (direction="out")');
+    this.webhookDuration = new Histogram('whatsapp_webhook_delivery_seconds', 'Webhook POST latency, failures included', WEBHOOK_BUCKETS);
+    this.webhookFailures = new Counter('whatsapp_webhook_failures_total', 'Failed webhook POSTs');
+    this.disconnects = new Counter('whatsapp_disconnects_total', 'Connection closes by DisconnectReason');
+    this.reconnects = new Counter('whatsapp_reconnects_total', 'Reconnect attempts scheduled after a dropped connection');
+
+    this.sessions = new Gauge('whatsapp_sessions', 'Sessions running on this node by state');
+    this.connected = new Gauge('whatsapp_session_connected', 'Whether a session running on this node is connected');
+    this.webhookPending = new Gauge('whatsapp_webhook_pending', 'Messages waiting for a webhook delivery retry');
+    this.webhookDeadLetter = new Gauge('whatsapp_webhook_dead_letter', 'Messages whose webhook delivery gave up');
+    this.outboxDepth = new Gauge('whatsapp_outbox_depth', 'Outbox jobs not sent yet');
+    this.dbPool = new Gauge('whatsapp_db_pool_connections', 'Database pool connections by state');
+    this.dbPoolWaiting = new Gauge('whatsapp_db_pool_waiting', 'Queries waiting for a database connection');
+    this.memory = new Gauge('process_resident_memory_bytes', 'Resident memory size in bytes');
+    this.heap = new Gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes');
+    this.uptime = new Gauge('process_uptime_seconds', 'Seconds since the process started');
+
+    this.all = [
+      this.messages, this.webhookDuration, this.webhookFailures, this.disconnects, this.reconnects,
+      this.sessions, this.connected, this.webhookPending, this.webhookDeadLetter, this.outboxDepth,
+      this.dbPool, this.dbPoolWaiting, this.memory, this.heap, this.uptime
+    ];
+  }
+
+  clearSession(sessionId) {
+    for (const metric of this.all) metric.clearSession(sessionId);
+  }
+
+  async collect() {
+    const { manager } = this;
+    this.sessions.reset();
+    this.connected.reset();
+    const { running, ...states } = sessionCounts(manager);
+    for (const [state, count] of Object.entries(states)) this.sessions.set({ state }, count);
+    for (const [sessionId, s] of manager.sockets) this.connected.set({ session: sessionId }, s.isConnected ? 1 : 0);
+
+    // with CLUSTER=true every node reports only the sessions it owns
+    this.webhookPending.reset();
+    this.webhookDeadLetter.reset();
+    for (const row of await db.countWebhookBacklog()) {
+      if (!manager.cluster.owns(row.sessionId)) continue;
+      this.webhookPending.set({ session: row.sessionId }, row.pending);
+      this.webhookDeadLetter.set({ session: row.sessionId }, row.deadLettered);
+    }
+    this.outboxDepth.reset();
+    for (const row of await db.countOutboxJobs()) {
+      if (!manager.cluster.owns(row.sessionId)) continue;
+      this.outboxDepth.set({ session: row.sessionId, status: row.status }, row.count);
+    }
+
+    // pg.Pool counters (the SQLite driver keeps the same ones for its single connection)
+    const { pool } = db;
+    this.dbPool.set({ driver: pool.dialect.name, state: 'total' }, pool.totalCount);
+    this.dbPool.set({ driver: pool.dialect.name, state: 'idle' }, pool.idleCount);
+    this.dbPoolWaiting.set({ driver: pool.dialect.name }, pool.waitingCount);
+
+    const memory = process.memoryUsage();
+    this.memory.set({}, memory.rss);
+    this.heap.set({}, memory.heapUsed);
+    this.uptime.set({}, Math.round(process.uptime()));
+  }
+
+  async render() {
+    await this.collect();
+    return this.all.map(m => m.render()).join('\n') + '\n';
+  }
+}
+
+// Registers GET /metrics (Prometheus text format) on an express Router and returns it
+export default function registerMetricsRoutes(manager) {
+  const router = express.Router();
+  const guard = METRICS_PUBLIC ? (req, res, next) => next() : requireAdmin;
+
+  router.get('/metrics', guard, async (req, res) => {
+    try {
+      const body = await manager.metrics.render();
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(body);
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to collect metrics', details: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,356 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('db');
+
+// Versioned schema migrations, applied in order by db.init() and recorded in schema_migrations.
+// Statements are written for Postgres; the SQLite driver translates types (see functions/dbdriver.js).
+// A statement given as { postgres: '...' } only runs on that driver. Released migrations are never
+// edited: schema changes go into a new migration at the end of the list.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    // the schema init() used to create; on databases it created, everything here already exists
+    statements: [
+      `CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        auth_json JSONB,
+        last_status JSONB,
+        webhooks JSONB,
+        webhook_secret TEXT,
+        sync_full_history BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        updated_at TIMESTAMPTZ DEFAULT now()
+      )`,
+      // messages table for persisted incoming and sent (direction = 'outbound') messages
+      `CREATE TABLE IF NOT EXISTS messages (
+        id TEXT PRIMARY KEY,
+        session_id TEXT REFERENCES sessions(id) ON DELETE CASCADE,
+        from_jid TEXT,
+        is_group BOOLEAN DEFAULT FALSE,
+        timestamp_ms BIGINT,
+        text TEXT,
+        raw JSONB,
+        delivered BOOLEAN DEFAULT FALSE,
+        delivered_at TIMESTAMPTZ,
+        delivery_attempts INTEGER DEFAULT 0,
+        last_delivery_error TEXT,
+        pending_webhook TEXT,
+        next_delivery_at TIMESTAMPTZ,
+        dead_lettered_at TIMESTAMPTZ,
+        direction TEXT DEFAULT 'inbound',
+        to_jid TEXT,
+        status TEXT,
+        status_code INTEGER,
+        status_updated_at TIMESTAMPTZ,
+        receipts JSONB,
+        message_type TEXT,
+        caption TEXT,
+        mimetype TEXT,
+        file_name TEXT,
+        latitude DOUBLE PRECISION,
+        longitude DOUBLE PRECISION,
+        quoted_message_id TEXT,
+        quoted_participant TEXT,
+        target_message_id TEXT,
+        details JSONB,
+        media_key TEXT,
+        media_backend TEXT,
+        media_size BIGINT,
+        from_history BOOLEAN DEFAULT FALSE,
+        edited_at TIMESTAMPTZ,
+        deleted_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT now()
+      )`,
+      // columns added before migrations existed; Postgres databases of that time may lack them
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS delivered BOOLEAN DEFAULT FALSE' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS delivery_attempts INTEGER DEFAULT 0' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS last_delivery_error TEXT' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS pending_webhook TEXT' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS next_delivery_at TIMESTAMPTZ' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMPTZ' },
+      { postgres: "ALTER TABLE messages ADD COLUMN IF NOT EXISTS direction TEXT DEFAULT 'inbound'" },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS to_jid TEXT' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS status TEXT' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS status_code INTEGER' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS receipts JSONB' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS message_type TEXT' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS caption TEXT' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS mimetype TEXT' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS file_name TEXT' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS quoted_message_id TEXT' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS quoted_participant TEXT' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS target_message_id TEXT' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS details JSONB' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS media_key TEXT' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS media_backend TEXT' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS media_size BIGINT' },
+      { postgres: 'ALTER TABLE sessions ADD COLUMN IF NOT EXISTS last_status JSONB' },
+      { postgres: 'ALTER TABLE sessions ADD COLUMN IF NOT EXISTS webhooks JSONB' },
+      { postgres: 'ALTER TABLE sessions ADD COLUMN IF NOT EXISTS webhook_secret TEXT' },
+      { postgres: 'ALTER TABLE sessions ADD COLUMN IF NOT EXISTS sync_full_history BOOLEAN DEFAULT FALSE' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS from_history BOOLEAN DEFAULT FALSE' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ' },
+      { postgres: 'ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ' },
+      // durable outbound message queue drained by the outbox worker
+      `CREATE TABLE IF NOT EXISTS outbox (
+        id TEXT PRIMARY KEY,
+        session_id TEXT REFERENCES sessions(id) ON DELETE CASCADE,
+        to_jid TEXT NOT NULL,
+        content JSONB NOT NULL,
+        options JSONB,
+        status TEXT NOT NULL DEFAULT 'queued',
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 5,
+        next_attempt_at TIMESTAMPTZ DEFAULT now(),
+        last_error TEXT,
+        message_id TEXT,
+        sent_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        updated_at TIMESTAMPTZ DEFAULT now()
+      )`,
+      'CREATE INDEX IF NOT EXISTS outbox_session_status_idx ON outbox (session_id, status, next_attempt_at)',
+      // contacts synced from contacts.upsert / contacts.update events
+      `CREATE TABLE IF NOT EXISTS contacts (
+        session_id TEXT REFERENCES sessions(id) ON DELETE CASCADE,
+        jid TEXT NOT NULL,
+        lid TEXT,
+        name TEXT,
+        notify TEXT,
+        verified_name TEXT,
+        updated_at TIMESTAMPTZ DEFAULT now(),
+        PRIMARY KEY (session_id, jid)
+      )`,
+      // session event log backing the SSE/WebSocket streams (ids double as resume cursors)
+      `CREATE TABLE IF NOT EXISTS events (
+        id BIGSERIAL PRIMARY KEY,
+        session_id TEXT REFERENCES sessions(id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        data JSONB,
+        created_at TIMESTAMPTZ DEFAULT now()
+      )`,
+      'CREATE INDEX IF NOT EXISTS events_session_id_idx ON events (session_id, id)',
+      // auto-reply rules evaluated against incoming messages (see functions/rules.js)
+      `CREATE TABLE IF NOT EXISTS rules (
+        id TEXT PRIMARY KEY,
+        session_id TEXT REFERENCES sessions(id) ON DELETE CASCADE,
+        name TEXT,
+        enabled BOOLEAN DEFAULT TRUE,
+        priority INTEGER DEFAULT 0,
+        match JSONB,
+        schedule JSONB,
+        actions JSONB NOT NULL,
+        cooldown_seconds INTEGER DEFAULT 60,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        updated_at TIMESTAMPTZ DEFAULT now()
+      )`,
+      // conversation tags applied by rules
+      `CREATE TABLE IF NOT EXISTS chat_tags (
+        session_id TEXT REFERENCES sessions(id) ON DELETE CASCADE,
+        chat_jid TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        rule_id TEXT,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        PRIMARY KEY (session_id, chat_jid, tag)
+      )`,
+      // bulk campaigns and their per-recipient outcomes (see functions/campaigns.js)
+      `CREATE TABLE IF NOT EXISTS campaigns (
+        id TEXT PRIMARY KEY,
+        session_id TEXT REFERENCES sessions(id) ON DELETE CASCADE,
+        name TEXT,
+        template TEXT,
+        media JSONB,
+        status TEXT NOT NULL DEFAULT 'scheduled',
+        scheduled_at TIMESTAMPTZ DEFAULT now(),
+        min_delay_ms INTEGER,
+        max_delay_ms INTEGER,
+        started_at TIMESTAMPTZ,
+        completed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        updated_at TIMESTAMPTZ DEFAULT now()
+      )`,
+      `CREATE TABLE IF NOT EXISTS campaign_recipients (
+        id BIGSERIAL PRIMARY KEY,
+        campaign_id TEXT REFERENCES campaigns(id) ON DELETE CASCADE,
+        phone TEXT NOT NULL,
+        variables JSONB,
+        status TEXT NOT NULL DEFAULT 'pending',
+        jid TEXT,
+        message_id TEXT,
+        error TEXT,
+        sent_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ DEFAULT now(),
+        UNIQUE (campaign_id, phone)
+      )`,
+      'CREATE INDEX IF NOT EXISTS campaign_recipients_status_idx ON campaign_recipients (campaign_id, status, id)',
+      // one-off or cron-scheduled messages/statuses and the result of each run
+      `CREATE TABLE IF NOT EXISTS scheduled_jobs (
+        id TEXT PRIMARY KEY,
+        session_id TEXT REFERENCES sessions(id) ON DELETE CASCADE,
+        kind TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        cron TEXT,
+        timezone TEXT,
+        next_run_at TIMESTAMPTZ,
+        status TEXT NOT NULL DEFAULT 'scheduled',
+        run_count INTEGER DEFAULT 0,
+        last_run_at TIMESTAMPTZ,
+        last_error TEXT,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        updated_at TIMESTAMPTZ DEFAULT now()
+      )`,
+      'CREATE INDEX IF NOT EXISTS scheduled_jobs_due_idx ON scheduled_jobs (status, next_run_at)',
+      `CREATE TABLE IF NOT EXISTS scheduled_runs (
+        id BIGSERIAL PRIMARY KEY,
+        job_id TEXT REFERENCES scheduled_jobs(id) ON DELETE CASCADE,
+        success BOOLEAN,
+        message_id TEXT,
+        error TEXT,
+        ran_at TIMESTAMPTZ DEFAULT now()
+      )`,
+      // conversations fed by chats.upsert / chats.update and history sync
+      `CREATE TABLE IF NOT EXISTS chats (
+        session_id TEXT REFERENCES sessions(id) ON DELETE CASCADE,
+        jid TEXT NOT NULL,
+        name TEXT,
+        is_group BOOLEAN DEFAULT FALSE,
+        unread_count INTEGER DEFAULT 0,
+        archived BOOLEAN DEFAULT FALSE,
+        pinned_at BIGINT,
+        mute_end_time BIGINT,
+        read_only BOOLEAN DEFAULT FALSE,
+        last_message_id TEXT,
+        last_message_at BIGINT,
+        last_message_text TEXT,
+        last_message_from_me BOOLEAN,
+        updated_at TIMESTAMPTZ DEFAULT now(),
+        PRIMARY KEY (session_id, jid)
+      )`,
+      'CREATE INDEX IF NOT EXISTS messages_thread_idx ON messages (session_id, from_jid, timestamp_ms)',
+      'CREATE INDEX IF NOT EXISTS messages_thread_out_idx ON messages (session_id, to_jid, timestamp_ms)',
+      // Baileys auth state: creds (category 'creds') and Signal keys, one row per key (see functions/authstate.js)
+      `CREATE TABLE IF NOT EXISTS auth_keys (
+        session_id TEXT REFERENCES sessions(id) ON DELETE CASCADE,
+        category TEXT NOT NULL,
+        key_id TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TIMESTAMPTZ DEFAULT now(),
+        PRIMARY KEY (session_id, category, key_id)
+      )`,
+      // which node runs a session when several instances share the DB (see functions/cluster.js)
+      `CREATE TABLE IF NOT EXISTS session_leases (
+        session_id TEXT PRIMARY KEY REFERENCES sessions(id) ON DELETE CASCADE,
+        owner TEXT NOT NULL,
+        address TEXT,
+        acquired_at TIMESTAMPTZ DEFAULT now(),
+        expires_at TIMESTAMPTZ NOT NULL
+      )`,
+      // latest decrypted poll vote of every voter (empty options = vote retracted)
+      `CREATE TABLE IF NOT EXISTS poll_votes (
+        session_id TEXT REFERENCES sessions(id) ON DELETE CASCADE,
+        poll_id TEXT NOT NULL,
+        voter_jid TEXT NOT NULL,
+        options JSONB NOT NULL DEFAULT '[]',
+        voted_at BIGINT,
+        PRIMARY KEY (session_id, poll_id, voter_jid)
+      )`,
+      // API tokens issued via /auth/tokens (admin or scoped to a single session)
+      `CREATE TABLE IF NOT EXISTS api_tokens (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        role TEXT NOT NULL DEFAULT 'session',
+        session_id TEXT REFERENCES sessions(id) ON DELETE CASCADE,
+        scopes JSONB,
+        expires_at TIMESTAMPTZ,
+        revoked_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT now()
+      )`
+    ]
+  },
+  {
+    version: 2,
+    name: 'session lifecycle',
+    statements: [
+      // set by the API (see functions/sessions.js)
+      'ALTER TABLE sessions ADD COLUMN name TEXT',
+      'ALTER TABLE sessions ADD COLUMN tags JSONB',
+      'ALTER TABLE sessions ADD COLUMN metadata JSONB',
+      'ALTER TABLE sessions ADD COLUMN stopped_at TIMESTAMPTZ',
+      // reported by the node running the session
+      'ALTER TABLE sessions ADD COLUMN connection_state TEXT',
+      'ALTER TABLE sessions ADD COLUMN phone TEXT',
+      'ALTER TABLE sessions ADD COLUMN push_name TEXT',
+      'ALTER TABLE sessions ADD COLUMN last_connected_at TIMESTAMPTZ',
+      'ALTER TABLE sessions ADD COLUMN last_disconnected_at TIMESTAMPTZ'
+    ]
+  },
+  {
+    version: 3,
+    name: 'connection history',
+    statements: [
+      // why a stopped session went down for good (logged_out, banned, replaced, bad_session, reconnect_failed)
+      'ALTER TABLE sessions ADD COLUMN terminal_state TEXT',
+      // opens and closes per session, trimmed to the latest CONNECTION_HISTORY_LIMIT rows
+      `CREATE TABLE IF NOT EXISTS connection_events (
+        id BIGSERIAL PRIMARY KEY,
+        session_id TEXT REFERENCES sessions(id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        status_code INTEGER,
+        reason TEXT,
+        message TEXT,
+        attempt INTEGER,
+        terminal_state TEXT,
+        created_at TIMESTAMPTZ DEFAULT now()
+      )`,
+      'CREATE INDEX IF NOT EXISTS connection_events_session_id_idx ON connection_events (session_id, id)'
+    ]
+  },
+  {
+    version: 4,
+    name: 'campaign sends through the outbox',
+    statements: [
+      // the outbox job carrying a recipient's message while it is 'sending'
+      'ALTER TABLE campaign_recipients ADD COLUMN outbox_job_id TEXT',
+      'CREATE INDEX IF NOT EXISTS campaign_recipients_outbox_job_id_idx ON campaign_recipients (outbox_job_id)'
+    ]
+  }
+];
+
+// Apply pending migrations in one transaction; returns the versions applied
+export async function migrate(pool) {
+  const { dialect } = pool;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (dialect.migrationLock) await client.query(dialect.migrationLock);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT,
+        applied_at TIMESTAMPTZ DEFAULT now()
+      )
+    `);
+    const res = await client.query('SELECT version FROM schema_migrations');
+    const applied = new Set(res.rows.map(r => Number(r.version)));
+    const pending = MIGRATIONS.filter(m => !applied.has(m.version));
+    for (const migration of pending) {
+      for (const statement of migration.statements) {
+        const text = typeof statement === 'string' ? statement : statement[dialect.name];
+        if (text) await client.query(text);
+      }
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    }
+    await client.query('COMMIT');
+    for (const migration of pending) log.info({ version: migration.version, name: migration.name }, 'Applied migration');
+    return pending.map(m => m.version);
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => null);
+    throw e;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,244 @@
+import express from 'express';
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db.js';
+import { requireScope } from './auth.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('outbox');
+
+const POLL_INTERVAL_MS = Number(process.env.OUTBOX_POLL_MS) || 1000;
+const RATE_PER_MINUTE = Number(process.env.OUTBOX_RATE_PER_MINUTE) || 20;
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = Number(process.env.OUTBOX_RETRY_BASE_MS) || 5000;
+const RETRY_MAX_MS = Number(process.env.OUTBOX_RETRY_MAX_MS) || 10 * 60 * 1000;
+
+// Buffers (uploaded media) can't go into JSONB as-is; store them as base64 and restore on send
+export function serializeContent(value) {
+  if (Buffer.isBuffer(value)) return { $base64: value.toString('base64') };
+  if (Array.isArray(value)) return value.map(serializeContent);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = serializeContent(v);
+    return out;
+  }
+  return value;
+}
+
+export function deserializeContent(value) {
+  if (Array.isArray(value)) return value.map(deserializeContent);
+  if (value && typeof value === 'object') {
+    if (typeof value.$base64 === 'string' && Object.keys(value).length === 1) return Buffer.from(value.$base64, 'base64');
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = deserializeContent(v);
+    return out;
+  }
+  return value;
+}
+
+// Replace stored media in serialized content with a placeholder; clients only need the metadata
+export function summarizeContent(content) {
+  const summary = {};
+  for (const [k, v] of Object.entries(content || {})) {
+    summary[k] = v && typeof v === 'object' && v.$base64 ? '<binary>' : v;
+  }
+  return summary;
+}
+
+function publicJob(job) {
+  if (!job) return job;
+  const { content, ...rest } = job;
+  return { ...rest, content: summarizeContent(content) };
+}
+
+// Drains the outbox table per session while the socket is connected, with retry backoff
+// and a sliding-window rate limit of RATE_PER_MINUTE sends per session
+export class OutboxWorker {
+  constructor(manager) {
+    this.manager = manager;
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    this.sentAt = new Map(); // sessionId -> [timestamps of recent sends]
+    this.timer = null;
+    this.draining = false;
+  }
+
+  async start() {
+    // clustered nodes requeue per session when they take its lease (functions/cluster.js)
+    const requeued = this.manager.cluster.enabled ? 0 : await db.requeueStuckOutboxJobs().catch(() => 0);
+    if (requeued) log.info({ requeued }, 'Re-queued outbox jobs interrupted by a restart');
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // id can be chosen by the caller to record it before the job exists (campaign recipients)
+  async enqueue(sessionId, to, content, options = {}, id = uuidv4()) {
+    const job = await db.enqueueOutbox({
+      id,
+      sessionId,
+      to,
+      content: serializeContent(content),
+      options,
+      maxAttempts: MAX_ATTEMPTS
+    });
+    // don't wait for the next poll when the session can send right away
+    setImmediate(() => this.tick());
+    return job;
+  }
+
+  // Resolve with the job after its next send attempt, or null after timeoutMs
+  waitFor(jobId, timeoutMs = 30000) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.events.removeListener(jobId, onDone);
+        resolve(null);
+      }, timeoutMs);
+      const onDone = (job) => {
+        clearTimeout(timer);
+        resolve(job);
+      };
+      this.events.once(jobId, onDone);
+    });
+  }
+
+  // Remaining sends allowed for a session in the current one-minute window
+  budget(sessionId) {
+    const cutoff = Date.now() - 60000;
+    const recent = (this.sentAt.get(sessionId) || []).filter(t => t > cutoff);
+    this.sentAt.set(sessionId, recent);
+    return Math.max(0, RATE_PER_MINUTE - recent.length);
+  }
+
+  // Take one send from the session budget for sends made outside the outbox (campaigns),
+  // so all traffic of a session shares the same rate limit
+  reserve(sessionId) {
+    if (this.budget(sessionId) === 0) return false;
+    this.sentAt.get(sessionId).push(Date.now());
+    return true;
+  }
+
+  retryDelay(attempts) {
+    const delay = RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1));
+    return Math.min(delay, RETRY_MAX_MS);
+  }
+
+  async tick() {
+    if (this.draining) return;
+    this.draining = true;
+    try {
+      for (const [sessionId, s] of this.manager.sockets.entries()) {
+        if (!s.isConnected) continue;
+        const limit = this.budget(sessionId);
+        if (limit === 0) continue;
+        const jobs = await db.claimOutboxJobs(sessionId, limit).catch(e => {
+          log.error({ sessionId, err: e }, 'Failed to claim outbox jobs');
+          return [];
+        });
+        for (const job of jobs) await this.process(job);
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async process(job) {
+    let updated = null;
+    let result;
+    try {
+      this.sentAt.get(job.sessionId)?.push(Date.now());
+      result = await this.manager.sendContent(job.sessionId, job.to, deserializeContent(job.content), job.options || {});
+    } catch (e) {
+      const error = String(e.message || e);
+      // unregistered numbers and exhausted retries fail for good
+      const retryAt = e.permanent || job.attempts >= job.maxAttempts ? null : new Date(Date.now() + this.retryDelay(job.attempts));
+      updated = await db.markOutboxFailed(job.id, error, retryAt).catch(err => {
+        log.error({ sessionId: job.sessionId, jobId: job.id, err }, 'Failed to record outbox failure');
+        return null;
+      });
+      const fields = { sessionId: job.sessionId, jobId: job.id, attempt: job.attempts, maxAttempts: job.maxAttempts, error };
+      if (retryAt) log.warn({ ...fields, retryAt }, 'Outbox job failed, retrying');
+      else log.error(fields, 'Outbox job failed permanently');
+      this.settle(updated || job);
+      return;
+    }
+
+    // WhatsApp has the message now: a failed status update must not make it a failed send that gets retried
+    const messageId = result?.key?.id || null;
+    updated = await db.markOutboxSent(job.id, messageId).catch(err => {
+      log.error({ sessionId: job.sessionId, jobId: job.id, messageId, err }, 'Failed to record outbox send');
+      return null;
+    });
+    updated = updated || { ...job, status: 'sent', messageId, lastError: null };
+    updated.messageTimestamp = result?.messageTimestamp || null;
+    this.settle(updated);
+  }
+
+  // Hand the outcome of an attempt to waitFor() and to 'job' listeners (campaigns)
+  settle(job) {
+    this.events.emit(job.id, job);
+    this.events.emit('job', job);
+  }
+}
+
+// Queue a send and, when the session is connected, wait briefly so callers still get a message id.
+// Shared by /send-message and /send-media.
+export async function queueAndRespond(manager, req, res, to, content) {
+  const sessionId = req.params.id;
+  if (typeof to !== 'string') return res.status(400).json({ error: '"to" must be a phone number or JID string' });
+  const session = manager.sockets.get(sessionId);
+  const job = await manager.outbox.enqueue(sessionId, to, content);
+  const wait = req.query.wait !== 'false' && session?.isConnected;
+  const done = wait ? await manager.outbox.waitFor(job.id) : null;
+
+  if (!done || done.status === 'queued' || done.status === 'sending') {
+    return res.status(202).json({
+      success: true,
+      queued: true,
+      jobId: job.id,
+      status: done?.status || job.status,
+      lastError: done?.lastError || null
+    });
+  }
+  if (done.status === 'failed') {
+    return res.status(500).json({ error: 'Failed to send message', details: done.lastError, jobId: job.id });
+  }
+  res.json({
+    success: true,
+    jobId: job.id,
+    messageId: done.messageId,
+    timestamp: done.messageTimestamp
+  });
+}
+
+// Registers outbox polling routes on an express Router and returns it
+export default function registerOutboxRoutes(manager) {
+  const router = express.Router();
+
+  // List recent outbox jobs (optional ?status=queued|sending|sent|failed&limit=)
+  router.get('/sessions/:id/outbox', requireScope('send'), async (req, res) => {
+    try {
+      const { status, limit } = req.query;
+      const rows = await db.listOutboxJobs(req.params.id, { status, limit });
+      res.json({ count: rows.length, jobs: rows.map(publicJob) });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to list outbox jobs', details: e.message });
+    }
+  });
+
+  // Poll the state of a single job
+  router.get('/sessions/:id/outbox/:jobId', requireScope('send'), async (req, res) => {
+    try {
+      const job = await db.getOutboxJob(req.params.id, req.params.jobId);
+      if (!job) return res.status(404).json({ error: 'Job not found' });
+      res.json({ job: publicJob(job) });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to load outbox job', details: e.message });
+    }
+  });
+
+  return router;
+}
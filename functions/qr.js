@@ -0,0 +1,116 @@
+import express from 'express';
+import QRCode from 'qrcode';
+import { requireAdmin } from './auth.js';
+
+// WhatsApp keeps the first QR of a socket valid for ~60s and each rotated one for ~20s
+export const FIRST_QR_TTL_MS = 60000;
+export const QR_TTL_MS = 20000;
+
+// Pairing state of a session: not_running | paired | waiting (no QR yet) | pending (QR ready) | expired
+export function qrState(s) {
+  if (!s) return { state: 'not_running' };
+  // creds.account is only set once a device has actually been linked
+  if (s.isConnected || s.sock?.authState?.creds?.account) return { state: 'paired' };
+  if (!s.qr) return { state: 'waiting' };
+  if (Date.now() > s.qr.expiresAt) return { state: 'expired', generatedAt: s.qr.generatedAt, expiresAt: s.qr.expiresAt };
+  return { state: 'pending', qr: s.qr.value, generatedAt: s.qr.generatedAt, expiresAt: s.qr.expiresAt };
+}
+
+// Registers QR pairing routes on an express Router and returns it
+export default function registerQrRoutes(manager) {
+  const router = express.Router();
+
+  // Current QR code of an unpaired session
+  // GET /sessions/:id/qr?format=png|svg|datauri|json (default png)
+  router.get('/sessions/:id/qr', requireAdmin, async (req, res) => {
+    const sessionId = req.params.id;
+    const format = (req.query.format || 'png').toLowerCase();
+    if (!['png', 'svg', 'datauri', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Supported: png, svg, datauri, json' });
+    }
+
+    const current = qrState(manager.sockets.get(sessionId));
+    if (current.state === 'not_running') return res.status(404).json({ error: 'Session not found or not initialized', state: current.state });
+    if (current.state === 'paired') return res.status(409).json({ error: 'Session is already paired', state: current.state });
+    if (current.state === 'waiting') return res.status(202).json({ message: 'QR code not generated yet, retry shortly', state: current.state });
+    if (current.state === 'expired') return res.status(410).json({ error: 'QR code expired, a new one will be generated shortly', ...current });
+
+    try {
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('X-QR-Expires-At', new Date(current.expiresAt).toISOString());
+      if (format === 'png') {
+        res.setHeader('Content-Type', 'image/png');
+        return res.send(await QRCode.toBuffer(current.qr, { type: 'png', margin: 2, width: 300 }));
+      }
+      if (format === 'svg') {
+        res.setHeader('Content-Type', 'image/svg+xml');
+        return res.send(await QRCode.toString(current.qr, { type: 'svg', margin: 2 }));
+      }
+      const dataUri = await QRCode.toDataURL(current.qr, { margin: 2, width: 300 });
+      if (format === 'datauri') return res.json({ state: current.state, dataUri, expiresAt: current.expiresAt });
+      res.json({ ...current, dataUri });
+    } catch (err) {
+      req.log.error({ err }, 'Failed to render QR code');
+      res.status(500).json({ error: 'Failed to render QR code', details: err.message });
+    }
+  });
+
+  // Server-Sent Events stream of QR codes until the session is paired
+  // GET /sessions/:id/qr/stream
+  // events: qr { qr, dataUri, expiresAt }, expired, paired (stream then ends)
+  router.get('/sessions/:id/qr/stream', requireAdmin, async (req, res) => {
+    const sessionId = req.params.id;
+    if (!manager.sockets.get(sessionId)) return res.status(404).json({ error: 'Session not found or not initialized' });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    let expiryTimer = null;
+
+    const sendQr = async (qr) => {
+      clearTimeout(expiryTimer);
+      const dataUri = await QRCode.toDataURL(qr.value, { margin: 2, width: 300 }).catch(() => null);
+      send('qr', { qr: qr.value, dataUri, expiresAt: qr.expiresAt });
+      expiryTimer = setTimeout(() => send('expired', { expiresAt: qr.expiresAt }), Math.max(0, qr.expiresAt - Date.now()));
+    };
+
+    const onQr = (id, qr) => {
+      if (id === sessionId) sendQr(qr);
+    };
+    const onConnection = (id, update) => {
+      if (id !== sessionId || update.connection !== 'open') return;
+      send('paired', { state: 'paired' });
+      cleanup();
+      res.end();
+    };
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiryTimer);
+      manager.events.removeListener('qr', onQr);
+      manager.events.removeListener('connection', onConnection);
+    };
+
+    // replay the current state so the UI doesn't wait for the next rotation
+    const current = qrState(manager.sockets.get(sessionId));
+    if (current.state === 'paired') {
+      send('paired', { state: 'paired' });
+      clearInterval(heartbeat);
+      return res.end();
+    }
+    if (current.state === 'pending') await sendQr(manager.sockets.get(sessionId).qr);
+    else send(current.state, current);
+
+    manager.events.on('qr', onQr);
+    manager.events.on('connection', onConnection);
+    req.on('close', cleanup);
+  });
+
+  return router;
+}
@@ -0,0 +1,383 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db.js';
+import { requireScope } from './auth.js';
+import { MEDIA_TYPES, buildMediaContent } from './media.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('rules');
+
+export const RULE_ACTIONS = ['reply', 'webhook', 'tag', 'stop'];
+const CHAT_TYPES = ['any', 'private', 'group'];
+const DEFAULT_COOLDOWN_SECONDS = 60;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Rule regexes run on the event loop for every incoming message, so they are kept short and simple
+const MAX_REGEX_LENGTH = 200;
+
+const digitsOf = (value) => String(value || '').split('@')[0].split(':')[0].replace(/\D/g, '');
+
+function parseClock(value) {
+  const m = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Why a regex could backtrack catastrophically, or null. Rejects quantified groups that contain an alternation
+// or a quantifier themselves - (a|aa)+, (\w|\d)*, (a+)+, (x{2,})+ - and backreferences; this covers the usual
+// ReDoS shapes. An optional group like (yes|no)? is fine, it can only match once.
+export function unsafeRegexReason(source) {
+  if (source.length > MAX_REGEX_LENGTH) return `regex must be at most ${MAX_REGEX_LENGTH} characters`;
+  const groups = []; // per open group: does it contain a quantifier or an alternation?
+  let inClass = false;
+  let lastGroupRisky = false; // the token before the current position is a group containing one of those
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    const quantifier = c === '*' || c === '+' || (c === '{' && /^\{\d*,?\d*\}/.test(source.slice(i)));
+    if (c === '\\') {
+      if (!inClass && /[1-9k]/.test(source[i + 1] || '')) return 'backreferences are not allowed';
+      i += 1;
+      lastGroupRisky = false;
+      continue;
+    }
+    if (inClass) {
+      if (c === ']') inClass = false;
+      continue;
+    }
+    if (quantifier) {
+      if (lastGroupRisky) return 'repeated groups may not contain | or another quantifier, like (a|aa)+ or (a+)+';
+      if (groups.length) groups[groups.length - 1] = true;
+    }
+    lastGroupRisky = false;
+    if (c === '[') inClass = true;
+    else if (c === '|' && groups.length) groups[groups.length - 1] = true;
+    else if (c === '(') groups.push(false);
+    else if (c === ')') {
+      const risky = groups.pop();
+      lastGroupRisky = !!risky;
+      // an enclosing group contains whatever this one contained
+      if (risky && groups.length) groups[groups.length - 1] = true;
+    }
+  }
+  return null;
+}
+
+// Validate a rule body (merged over `existing` for PATCH); returns { rule } or { error }
+export function normalizeRule(body = {}, existing = null) {
+  const input = { ...(existing || {}), ...body };
+  const match = input.match || {};
+  const rule = {
+    id: existing?.id || uuidv4(),
+    name: input.name || null,
+    enabled: input.enabled !== false,
+    priority: Number.isInteger(Number(input.priority)) ? Number(input.priority) : 0,
+    match: {},
+    schedule: null,
+    actions: [],
+    cooldownSeconds: typeof input.cooldownSeconds === 'undefined' ? DEFAULT_COOLDOWN_SECONDS : Number(input.cooldownSeconds)
+  };
+  if (!Number.isFinite(rule.cooldownSeconds) || rule.cooldownSeconds < 0) return { error: 'cooldownSeconds must be a non-negative number' };
+
+  if (typeof match !== 'object' || Array.isArray(match)) return { error: '"match" must be an object' };
+  if (typeof match.text !== 'undefined') rule.match.text = String(match.text);
+  if (typeof match.regex !== 'undefined') {
+    try {
+      new RegExp(match.regex);
+    } catch (e) {
+      return { error: `Invalid regex: ${e.message}` };
+    }
+    const unsafe = unsafeRegexReason(String(match.regex));
+    if (unsafe) return { error: `Invalid regex: ${unsafe}` };
+    rule.match.regex = String(match.regex);
+  }
+  for (const key of ['keywords', 'senders', 'groups']) {
+    if (typeof match[key] === 'undefined') continue;
+    if (!Array.isArray(match[key]) || match[key].length === 0) return { error: `match.${key} must be a non-empty array` };
+    rule.match[key] = match[key].map(String);
+  }
+  if (typeof match.chatType !== 'undefined') {
+    if (!CHAT_TYPES.includes(match.chatType)) return { error: `match.chatType must be one of: ${CHAT_TYPES.join(', ')}` };
+    rule.match.chatType = match.chatType;
+  }
+  if (match.caseSensitive) rule.match.caseSensitive = true;
+
+  if (input.schedule) {
+    const { from, to, days, timezone = 'UTC' } = input.schedule;
+    if (parseClock(from) === null || parseClock(to) === null) return { error: 'schedule.from and schedule.to must be HH:MM' };
+    if (typeof days !== 'undefined' && (!Array.isArray(days) || days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+      return { error: 'schedule.days must be an array of weekdays 0-6 (0 = Sunday)' };
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (e) {
+      return { error: `Invalid schedule.timezone: ${timezone}` };
+    }
+    rule.schedule = { from, to, timezone, ...(days ? { days } : {}) };
+  }
+
+  if (!Array.isArray(input.actions) || input.actions.length === 0) return { error: '"actions" must be a non-empty array' };
+  for (const action of input.actions) {
+    if (!action || !RULE_ACTIONS.includes(action.type)) return { error: `Invalid action type. Supported: ${RULE_ACTIONS.join(', ')}` };
+    if (action.type === 'reply') {
+      if (action.mediaType) {
+        if (!MEDIA_TYPES.includes(action.mediaType)) return { error: `Invalid reply mediaType. Supported: ${MEDIA_TYPES.join(', ')}` };
+        if (!action.url) return { error: 'Media replies need a "url"' };
+        rule.actions.push({ type: 'reply', mediaType: action.mediaType, url: action.url, caption: action.caption || null, fileName: action.fileName || null, mimetype: action.mimetype || null });
+      } else {
+        if (!action.text) return { error: 'Text replies need a "text"' };
+        rule.actions.push({ type: 'reply', text: String(action.text) });
+      }
+    } else if (action.type === 'webhook') {
+      if (!/^https?:\/\//.test(action.url || '')) return { error: 'Webhook actions need an http(s) "url"' };
+      rule.actions.push({ type: 'webhook', url: action.url });
+    } else if (action.type === 'tag') {
+      const tags = [].concat(action.tags || action.tag || []).map(String).filter(Boolean);
+      if (!tags.length) return { error: 'Tag actions need "tags"' };
+      rule.actions.push({ type: 'tag', tags });
+    } else {
+      rule.actions.push({ type: 'stop' });
+    }
+  }
+  return { rule };
+}
+
+// Is `date` inside the rule's time-of-day window (in the schedule's timezone)?
+export function inSchedule(schedule, date = new Date()) {
+  if (!schedule) return true;
+  const parts = {};
+  for (const p of new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone || 'UTC', hourCycle: 'h23', weekday: 'short', hour: '2-digit', minute: '2-digit' }).formatToParts(date)) {
+    parts[p.type] = p.value;
+  }
+  if (schedule.days && !schedule.days.includes(WEEKDAYS.indexOf(parts.weekday))) return false;
+  const now = Number(parts.hour) * 60 + Number(parts.minute);
+  const from = parseClock(schedule.from);
+  const to = parseClock(schedule.to);
+  // windows like 18:00-08:00 wrap past midnight
+  return from <= to ? now >= from && now < to : now >= from || now < to;
+}
+
+// Compiled regex and keyword patterns per rule match object (rules are cached by RuleEngine, so once per rule)
+const compiled = new WeakMap();
+
+function compileMatch(m) {
+  if (!compiled.has(m)) {
+    const flags = m.caseSensitive ? '' : 'i';
+    let regex = null;
+    if (m.regex) {
+      // rules stored before regexes were checked are skipped instead of run
+      const unsafe = unsafeRegexReason(m.regex);
+      if (unsafe) log.warn({ regex: m.regex, reason: unsafe }, 'Ignoring unsafe rule regex');
+      else regex = new RegExp(m.regex, flags);
+    }
+    compiled.set(m, {
+      regex,
+      unsafe: !!m.regex && !regex,
+      keywords: m.keywords ? m.keywords.map(k => new RegExp(`(^|\\W)${escapeRegExp(k)}(\\W|$)`, flags)) : null
+    });
+  }
+  return compiled.get(m);
+}
+
+// Do a message's chat, sender and text satisfy every condition of the rule?
+export function matchesRule(rule, { chatJid, senderJid, isGroup, text }) {
+  const m = rule.match || {};
+  if (m.chatType === 'private' && isGroup) return false;
+  if (m.chatType === 'group' && !isGroup) return false;
+  if (m.groups && !m.groups.some(g => g === chatJid || `${digitsOf(g)}@g.us` === chatJid)) return false;
+  if (m.senders && !m.senders.some(s => s === senderJid || digitsOf(s) === digitsOf(senderJid))) return false;
+
+  if (m.text === undefined && !m.regex && !m.keywords) return true;
+  if (!text) return false;
+  const { regex, unsafe, keywords } = compileMatch(m);
+  if (unsafe) return false;
+  if (m.text !== undefined) {
+    const a = text.trim();
+    const b = m.text.trim();
+    if (m.caseSensitive ? a !== b : a.toLowerCase() !== b.toLowerCase()) return false;
+  }
+  if (regex && !regex.test(text)) return false;
+  if (keywords && !keywords.some(k => k.test(text))) return false;
+  return true;
+}
+
+// Evaluates a session's rules against incoming messages and runs the matching actions.
+// Rules run in priority order; a 'stop' action ends evaluation after its rule.
+export class RuleEngine {
+  constructor(manager) {
+    this.manager = manager;
+    this.rules = new Map(); // sessionId -> enabled rules (loaded lazily)
+    this.lastFired = new Map(); // `${sessionId}|${ruleId}|${sender}` -> ms
+  }
+
+  invalidate(sessionId) {
+    this.rules.delete(sessionId);
+  }
+
+  clearSession(sessionId) {
+    this.invalidate(sessionId);
+    for (const key of this.lastFired.keys()) {
+      if (key.startsWith(`${sessionId}|`)) this.lastFired.delete(key);
+    }
+  }
+
+  async load(sessionId) {
+    if (!this.rules.has(sessionId)) {
+      const rows = await db.listRules(sessionId);
+      this.rules.set(sessionId, rows.filter(r => r.enabled));
+    }
+    return this.rules.get(sessionId);
+  }
+
+  // Per-sender cooldown so two bots (or a bot and an auto-responder) can't ping-pong forever
+  coolingDown(sessionId, rule, senderJid) {
+    const key = `${sessionId}|${rule.id}|${senderJid}`;
+    const last = this.lastFired.get(key);
+    return !!last && Date.now() - last < rule.cooldownSeconds * 1000;
+  }
+
+  markFired(sessionId, rule, senderJid) {
+    this.lastFired.set(`${sessionId}|${rule.id}|${senderJid}`, Date.now());
+    // keep the map from growing without bound
+    if (this.lastFired.size > 10000) {
+      const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+      for (const [key, ts] of this.lastFired) if (ts < cutoff) this.lastFired.delete(key);
+    }
+  }
+
+  // entry: the stored incoming message (see handleIncomingMessages)
+  async handle(sessionId, entry) {
+    const rules = await this.load(sessionId);
+    if (!rules.length) return [];
+    const message = {
+      chatJid: entry.from,
+      // in groups the author is the participant, not the chat
+      senderJid: entry.raw?.key?.participant || entry.from,
+      isGroup: !!entry.isGroup,
+      text: entry.text || null
+    };
+    const fired = [];
+    for (const rule of rules) {
+      if (!inSchedule(rule.schedule) || !matchesRule(rule, message)) continue;
+      if (this.coolingDown(sessionId, rule, message.senderJid)) continue;
+      this.markFired(sessionId, rule, message.senderJid);
+      fired.push(rule.id);
+      let stop = false;
+      for (const action of rule.actions) {
+        if (action.type === 'stop') {
+          stop = true;
+          continue;
+        }
+        try {
+          await this.run(sessionId, rule, action, entry, message);
+        } catch (e) {
+          log.error({ sessionId, ruleId: rule.id, action: action.type, err: e }, 'Rule action failed');
+        }
+      }
+      if (stop) break;
+    }
+    return fired;
+  }
+
+  async run(sessionId, rule, action, entry, message) {
+    if (action.type === 'reply') {
+      // replies go through the outbox so they respect the send rate limit
+      const content = action.mediaType
+        ? buildMediaContent(action.mediaType, { media: { url: action.url }, mimetype: action.mimetype, fileName: action.fileName }, { caption: action.caption })
+        : { text: action.text };
+      await this.manager.outbox.enqueue(sessionId, message.chatJid, content);
+    } else if (action.type === 'webhook') {
+      const { raw, ...payload } = this.manager.buildWebhookPayload(entry, sessionId);
+      await this.manager.postToWebhook(action.url, { sessionId, type: 'rule', rule: { id: rule.id, name: rule.name }, message: payload, timestamp: Date.now() }, sessionId, 'rule');
+    } else if (action.type === 'tag') {
+      await db.addChatTags(sessionId, message.chatJid, action.tags, rule.id);
+    }
+  }
+}
+
+// Registers rule CRUD and conversation tag routes on an express Router and returns it
+export default function registerRuleRoutes(manager) {
+  const router = express.Router();
+
+  router.get('/sessions/:id/rules', requireScope('rules'), async (req, res) => {
+    try {
+      const rules = await db.listRules(req.params.id);
+      res.json({ count: rules.length, rules });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to list rules', details: e.message });
+    }
+  });
+
+  // body: { name, enabled, priority, match: { text, regex, keywords, senders, groups, chatType, caseSensitive },
+  //         schedule: { from: 'HH:MM', to: 'HH:MM', days: [0-6], timezone }, actions: [...], cooldownSeconds }
+  router.post('/sessions/:id/rules', requireScope('rules'), async (req, res) => {
+    const { rule, error } = normalizeRule(req.body || {});
+    if (error) return res.status(400).json({ error });
+    try {
+      const saved = await db.saveRule(req.params.id, rule);
+      manager.rules.invalidate(req.params.id);
+      res.status(201).json({ success: true, rule: saved });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to create rule', details: e.message });
+    }
+  });
+
+  router.get('/sessions/:id/rules/:ruleId', requireScope('rules'), async (req, res) => {
+    try {
+      const rule = await db.getRule(req.params.id, req.params.ruleId);
+      if (!rule) return res.status(404).json({ error: 'Rule not found' });
+      res.json({ rule });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to get rule', details: e.message });
+    }
+  });
+
+  // Partial update; omitted fields keep their current value
+  router.patch('/sessions/:id/rules/:ruleId', requireScope('rules'), async (req, res) => {
+    try {
+      const existing = await db.getRule(req.params.id, req.params.ruleId);
+      if (!existing) return res.status(404).json({ error: 'Rule not found' });
+      const { rule, error } = normalizeRule(req.body || {}, existing);
+      if (error) return res.status(400).json({ error });
+      const saved = await db.saveRule(req.params.id, rule);
+      manager.rules.invalidate(req.params.id);
+      res.json({ success: true, rule: saved });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to update rule', details: e.message });
+    }
+  });
+
+  router.delete('/sessions/:id/rules/:ruleId', requireScope('rules'), async (req, res) => {
+    try {
+      const deleted = await db.deleteRule(req.params.id, req.params.ruleId);
+      if (!deleted) return res.status(404).json({ error: 'Rule not found' });
+      manager.rules.invalidate(req.params.id);
+      res.json({ success: true });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to delete rule', details: e.message });
+    }
+  });
+
+  // Conversations tagged by rules (optional ?chat=&tag=)
+  router.get('/sessions/:id/tags', requireScope('rules'), async (req, res) => {
+    try {
+      const tags = await db.listChatTags(req.params.id, { chat: req.query.chat, tag: req.query.tag });
+      res.json({ count: tags.length, tags });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to list tags', details: e.message });
+    }
+  });
+
+  router.delete('/sessions/:id/tags/:chat/:tag', requireScope('rules'), async (req, res) => {
+    try {
+      const removed = await db.removeChatTag(req.params.id, req.params.chat, req.params.tag);
+      if (!removed) return res.status(404).json({ error: 'Tag not found' });
+      res.json({ success: true });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to remove tag', details: e.message });
+    }
+  });
+
+  return router;
+}
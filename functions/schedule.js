@@ -0,0 +1,321 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db.js';
+import { requireScope, checkScope } from './auth.js';
+import { MEDIA_TYPES, resolveMediaInput, buildMediaContent } from './media.js';
+import { serializeContent, deserializeContent, summarizeContent } from './outbox.js';
+import { STATUS_TYPES, statusContent, statusSendOptions, sendStatus } from './status.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('schedule');
+
+const POLL_INTERVAL_MS = Number(process.env.SCHEDULER_POLL_MS) || 5000;
+
+// Scope needed to schedule each kind of job (same as sending it right away)
+const KIND_SCOPES = { message: 'send', status: 'status' };
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function parseCronField(value, { name, min, max }) {
+  const out = new Set();
+  for (const part of value.split(',')) {
+    const [range, stepStr] = part.split('/');
+    const step = stepStr === undefined ? 1 : Number(stepStr);
+    let lo, hi;
+    if (range === '*') {
+      lo = min;
+      hi = max;
+    } else if (range.includes('-')) {
+      [lo, hi] = range.split('-').map(Number);
+    } else {
+      lo = Number(range);
+      // "5/15" means every 15 starting at 5
+      hi = stepStr === undefined ? lo : max;
+    }
+    if (![lo, hi, step].every(Number.isInteger) || lo < min || hi > max || lo > hi || step < 1) {
+      throw new Error(`Invalid cron ${name} field: ${value}`);
+    }
+    for (let v = lo; v <= hi; v += step) out.add(v);
+  }
+  return out;
+}
+
+// Standard 5-field cron (minute hour day-of-month month day-of-week) plus @daily-style aliases
+export function parseCron(expression) {
+  const expr = CRON_ALIASES[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const fields = expr.split(/\s+/);
+  if (fields.length !== 5) throw new Error('Cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+  const [minute, hour, dom, month, dow] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+  // 7 is an alias for Sunday
+  if (dow.delete(7)) dow.add(0);
+  return { minute, hour, dom, month, dow, domAny: fields[2] === '*', dowAny: fields[4] === '*' };
+}
+
+const formatters = new Map(); // timezone -> Intl.DateTimeFormat (construction is expensive)
+
+function localParts(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23', month: 'numeric', day: 'numeric', weekday: 'short', hour: '2-digit', minute: '2-digit'
+    }));
+  }
+  const parts = {};
+  for (const p of formatters.get(timezone).formatToParts(date)) parts[p.type] = p.value;
+  return { month: Number(parts.month), day: Number(parts.day), weekday: WEEKDAYS.indexOf(parts.weekday), hour: Number(parts.hour), minute: Number(parts.minute) };
+}
+
+// Next time after `after` matching the cron expression in `timezone`, or null if none within 5 years
+export function nextCronRun(expression, timezone = 'UTC', after = new Date()) {
+  const spec = typeof expression === 'string' ? parseCron(expression) : expression;
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  let t = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+  while (t < limit) {
+    const p = localParts(new Date(t), timezone);
+    // like cron, a restricted day-of-month and day-of-week match when either does
+    const domOk = spec.dom.has(p.day);
+    const dowOk = spec.dow.has(p.weekday);
+    const dayOk = spec.month.has(p.month) && (spec.domAny || spec.dowAny ? domOk && dowOk : domOk || dowOk);
+    if (!dayOk) {
+      // skip to the last hour of the local day; DST shifts are then handled hour by hour
+      const toMidnight = (23 - p.hour) * 60 + (60 - p.minute);
+      t += (toMidnight > 60 ? toMidnight - 60 : toMidnight) * 60000;
+    } else if (!spec.hour.has(p.hour)) {
+      t += (60 - p.minute) * 60000;
+    } else if (!spec.minute.has(p.minute)) {
+      t += 60000;
+    } else {
+      return new Date(t);
+    }
+  }
+  return null;
+}
+
+function publicJob(job) {
+  if (!job) return job;
+  const { payload, ...rest } = job;
+  return { ...rest, payload: { ...payload, content: summarizeContent(payload?.content) } };
+}
+
+// Build { kind, payload } from a request body; throws errors with .status = 400
+function buildJobPayload(body) {
+  const fail = (message) => Object.assign(new Error(message), { status: 400 });
+  const { message, status } = body;
+  if (!!message === !!status) throw fail('Provide exactly one of "message" or "status"');
+
+  if (message) {
+    if (!message.to) throw fail('"message.to" is required');
+    if (!message.type || message.type === 'text') {
+      if (!message.text) throw fail('"message.text" is required for text messages');
+      return { kind: 'message', payload: { to: message.to, content: { text: message.text } } };
+    }
+    if (!MEDIA_TYPES.includes(message.type)) throw fail(`Invalid message.type. Supported: text, ${MEDIA_TYPES.join(', ')}`);
+    let input;
+    try {
+      input = resolveMediaInput({ body: message });
+    } catch (e) {
+      throw fail(e.message);
+    }
+    if (!input) throw fail('Provide media via server path, base64, or remote "url"');
+    if (message.mimetype) input.mimetype = message.mimetype;
+    if (message.fileName) input.fileName = message.fileName;
+    const content = buildMediaContent(message.type, input, { caption: message.caption, gifPlayback: !!message.gifPlayback });
+    return { kind: 'message', payload: { to: message.to, content: serializeContent(content) } };
+  }
+
+  // same fields as POST /sessions/:id/status/send
+  const type = status.type || 'image';
+  if (!STATUS_TYPES.includes(type)) throw fail(`Invalid status.type. Supported: ${STATUS_TYPES.join(', ')}`);
+  let content;
+  if (type === 'text') {
+    if (!status.caption && !status.text) throw fail('Text content required for text status');
+    content = statusContent('text', status);
+  } else {
+    let input;
+    try {
+      input = resolveMediaInput({ body: status });
+    } catch (e) {
+      throw fail(e.message);
+    }
+    if (!input) throw fail('Provide status media via server path, base64, or remote "url"');
+    content = statusContent(type, { media: input.media, caption: status.caption });
+  }
+  return { kind: 'status', payload: { content: serializeContent(content), options: statusSendOptions(status) } };
+}
+
+// Runs due scheduled jobs of connected sessions and reschedules recurring ones
+export class MessageScheduler {
+  constructor(manager) {
+    this.manager = manager;
+    this.timer = null;
+    this.running = false;
+  }
+
+  async start() {
+    // clustered nodes requeue per session when they take its lease (functions/cluster.js)
+    const requeued = this.manager.cluster.enabled ? 0 : await db.requeueStuckScheduledJobs().catch(() => 0);
+    if (requeued) log.info({ requeued }, 'Re-queued scheduled jobs interrupted by a restart');
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      // jobs of disconnected sessions stay due and run once the session reconnects;
+      // sessions that used up their outbox rate limit wait for the next minute (see run)
+      const ready = [...this.manager.sockets.entries()]
+        .filter(([id, s]) => s.isConnected && this.manager.outbox.budget(id) > 0)
+        .map(([id]) => id);
+      const jobs = await db.claimDueScheduledJobs(ready);
+      for (const job of jobs) await this.run(job);
+    } catch (e) {
+      log.error({ err: e }, 'Scheduler failed');
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async run(job) {
+    // scheduled messages share the session's OUTBOX_RATE_PER_MINUTE with the outbox and campaigns
+    if (job.kind === 'message' && !this.manager.outbox.reserve(job.sessionId)) {
+      await db.releaseScheduledJob(job.id)
+        .catch(e => log.error({ sessionId: job.sessionId, jobId: job.id, err: e }, 'Failed to release scheduled job'));
+      return;
+    }
+    let result;
+    try {
+      const content = deserializeContent(job.payload.content);
+      const sent = job.kind === 'status'
+        ? await sendStatus(this.manager, job.sessionId, content, job.payload.options)
+        : await this.manager.sendContent(job.sessionId, job.payload.to, content);
+      result = { success: true, messageId: sent?.key?.id || null };
+    } catch (e) {
+      log.error({ sessionId: job.sessionId, jobId: job.id, kind: job.kind, err: e }, 'Scheduled job failed');
+      result = { success: false, error: String(e.message || e) };
+    }
+    // recurring jobs keep their schedule even when a run fails
+    const nextRunAt = job.cron ? nextCronRun(job.cron, job.timezone || 'UTC') : null;
+    await db.finishScheduledRun(job.id, { ...result, nextRunAt })
+      .catch(e => log.error({ sessionId: job.sessionId, jobId: job.id, err: e }, 'Failed to record scheduled run'));
+  }
+}
+
+// Registers scheduling routes on an express Router and returns it
+export default function registerScheduleRoutes(manager) {
+  const router = express.Router();
+
+  // Kinds the caller may see/manage, based on its scopes
+  const allowedKinds = (req) => Object.keys(KIND_SCOPES).filter(kind => !checkScope(req.auth, req.params.id, KIND_SCOPES[kind]));
+
+  // Schedule a message or status
+  // POST /sessions/:id/schedule
+  // body: { sendAt: ISO date | cron: '0 9 * * 1-5', timezone: 'UTC',
+  //         message: { to, text } | { to, type, url | base64 | path, caption, fileName, mimetype }
+  //         | status: { type, text, caption, url | base64 | path, backgroundColor, font, statusJidList } }
+  router.post('/sessions/:id/schedule', requireScope(), async (req, res) => {
+    const body = req.body || {};
+    const { sendAt, cron, timezone = 'UTC' } = body;
+
+    let job;
+    try {
+      job = buildJobPayload(body);
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
+    const denied = checkScope(req.auth, req.params.id, KIND_SCOPES[job.kind]);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    if (!!sendAt === !!cron) return res.status(400).json({ error: 'Provide exactly one of "sendAt" or "cron"' });
+    let nextRunAt;
+    if (sendAt) {
+      nextRunAt = new Date(sendAt);
+      if (isNaN(nextRunAt.getTime())) return res.status(400).json({ error: 'Invalid sendAt' });
+    } else {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (e) {
+        return res.status(400).json({ error: `Invalid timezone: ${timezone}` });
+      }
+      try {
+        nextRunAt = nextCronRun(cron, timezone);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+      if (!nextRunAt) return res.status(400).json({ error: 'Cron expression never matches' });
+    }
+
+    try {
+      const created = await db.createScheduledJob({
+        id: uuidv4(),
+        sessionId: req.params.id,
+        kind: job.kind,
+        payload: job.payload,
+        cron: cron || null,
+        timezone: cron ? timezone : null,
+        nextRunAt
+      });
+      res.status(201).json({ success: true, job: publicJob(created) });
+    } catch (e) {
+      req.log.error({ err: e }, 'Failed to schedule job');
+      res.status(500).json({ error: 'Failed to schedule job', details: e.message });
+    }
+  });
+
+  // List scheduled jobs (optional ?status=scheduled|running|completed|failed|cancelled&limit=)
+  router.get('/sessions/:id/schedule', requireScope(), async (req, res) => {
+    try {
+      const jobs = await db.listScheduledJobs(req.params.id, { status: req.query.status, kinds: allowedKinds(req), limit: req.query.limit });
+      res.json({ count: jobs.length, jobs: jobs.map(publicJob) });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to list scheduled jobs', details: e.message });
+    }
+  });
+
+  // A job with its most recent runs
+  router.get('/sessions/:id/schedule/:jobId', requireScope(), async (req, res) => {
+    try {
+      const job = await db.getScheduledJob(req.params.id, req.params.jobId);
+      if (!job || !allowedKinds(req).includes(job.kind)) return res.status(404).json({ error: 'Scheduled job not found' });
+      const runs = await db.listScheduledRuns(job.id, req.query.limit);
+      res.json({ job: publicJob(job), runs });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to get scheduled job', details: e.message });
+    }
+  });
+
+  // Cancel a job; recurring jobs stop after the current run
+  router.delete('/sessions/:id/schedule/:jobId', requireScope(), async (req, res) => {
+    try {
+      const job = await db.getScheduledJob(req.params.id, req.params.jobId);
+      if (!job || !allowedKinds(req).includes(job.kind)) return res.status(404).json({ error: 'Scheduled job not found' });
+      const cancelled = await db.cancelScheduledJob(req.params.id, job.id);
+      if (!cancelled) return res.status(409).json({ error: `Cannot cancel a ${job.status} job` });
+      res.json({ success: true, job: publicJob(cancelled) });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to cancel scheduled job', details: e.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,174 @@
+import express from 'express';
+import db from '../db.js';
+import { requireAdmin, requireScope } from './auth.js';
+
+const MAX_TAGS = 20;
+const MAX_METADATA_BYTES = 8192;
+
+// connection_state values reported by the node running a session
+const REMOTE_STATES = { open: 'connected', connecting: 'connecting', close: 'disconnected' };
+
+// Validate { name, tags, metadata } from a request body; fields left out stay undefined
+export function validateSessionInfo(body = {}) {
+  const info = {};
+  if (body.name !== undefined) {
+    if (body.name !== null && (typeof body.name !== 'string' || body.name.trim().length > 100)) {
+      return { error: '"name" must be a string of at most 100 characters' };
+    }
+    info.name = body.name === null ? null : body.name.trim() || null;
+  }
+  if (body.tags !== undefined) {
+    if (body.tags !== null && (!Array.isArray(body.tags) || body.tags.length > MAX_TAGS || body.tags.some(t => typeof t !== 'string' || !t.trim() || t.length > 50))) {
+      return { error: `"tags" must be an array of at most ${MAX_TAGS} non-empty strings` };
+    }
+    info.tags = body.tags === null ? null : [...new Set(body.tags.map(t => t.trim()))];
+  }
+  if (body.metadata !== undefined) {
+    if (body.metadata !== null && (typeof body.metadata !== 'object' || Array.isArray(body.metadata))) {
+      return { error: '"metadata" must be an object' };
+    }
+    if (Buffer.byteLength(JSON.stringify(body.metadata)) > MAX_METADATA_BYTES) {
+      return { error: `"metadata" must be at most ${MAX_METADATA_BYTES} bytes as JSON` };
+    }
+    info.metadata = body.metadata;
+  }
+  return { info };
+}
+
+// Stored session plus its live state: connected, pairing, connecting, disconnected, stopped,
+// or the terminal state the server stopped it with (logged_out, banned, replaced, bad_session, reconnect_failed).
+// lease: the session's lease when it runs on another node (see functions/cluster.js)
+export function describeSession(manager, session, lease = null) {
+  const s = manager.sockets.get(session.id);
+  let state;
+  if (s) state = s.isConnected ? 'connected' : s.qr ? 'pairing' : 'connecting';
+  else if (session.stopped) state = session.terminalState || 'stopped';
+  else if (lease) state = REMOTE_STATES[session.connectionState] || 'connecting';
+  else state = 'disconnected';
+  const { connectionState, ...rest } = session;
+  const out = { ...rest, state, running: !!s || !!lease };
+  if (manager.cluster.enabled) out.node = s ? manager.cluster.nodeId : lease?.owner || null;
+  return out;
+}
+
+// Registers session listing, details and lifecycle routes on an express Router and returns it
+export default function registerSessionRoutes(manager) {
+  const router = express.Router();
+
+  // Leases of sessions running on other nodes, by session id
+  const remoteLeases = async () => {
+    if (!manager.cluster.enabled) return new Map();
+    const leases = await db.listSessionLeases();
+    return new Map(leases.filter(l => l.owner !== manager.cluster.nodeId).map(l => [l.sessionId, l]));
+  };
+
+  const loadSession = async (req, res) => {
+    const session = await db.getSession(req.params.id);
+    if (!session) res.status(404).json({ error: 'Session not found' });
+    return session;
+  };
+
+  const respond = async (res, sessionId, extra = {}) => {
+    const session = await db.getSession(sessionId);
+    const leases = await remoteLeases();
+    res.json({ success: true, ...extra, session: session ? describeSession(manager, session, leases.get(sessionId)) : null });
+  };
+
+  // All sessions with their connection state (optional ?tag=)
+  router.get('/sessions', requireAdmin, async (req, res) => {
+    try {
+      const [sessions, leases] = await Promise.all([db.listSessions(), remoteLeases()]);
+      const { tag } = req.query;
+      res.json(sessions
+        .filter(s => !tag || s.tags.includes(tag))
+        .map(s => describeSession(manager, s, leases.get(s.id))));
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to list sessions', details: err.message });
+    }
+  });
+
+  router.get('/sessions/:id', requireScope(), async (req, res) => {
+    try {
+      const session = await loadSession(req, res);
+      if (!session) return;
+      const leases = await remoteLeases();
+      res.json(describeSession(manager, session, leases.get(session.id)));
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to get session', details: err.message });
+    }
+  });
+
+  // Opens and closes, newest first (?limit=, ?before= event id for older pages)
+  router.get('/sessions/:id/connection-history', requireScope(), async (req, res) => {
+    try {
+      if (!(await loadSession(req, res))) return;
+      const events = await db.listConnectionEvents(req.params.id, { limit: req.query.limit, before: req.query.before });
+      res.json({ count: events.length, events });
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to load connection history', details: err.message });
+    }
+  });
+
+  // body: { name, tags, metadata } — fields left out are unchanged, null clears them
+  router.patch('/sessions/:id', requireAdmin, async (req, res) => {
+    const { info, error } = validateSessionInfo(req.body || {});
+    if (error) return res.status(400).json({ error });
+    try {
+      const session = await db.updateSessionInfo(req.params.id, info);
+      if (!session) return res.status(404).json({ error: 'Session not found' });
+      const leases = await remoteLeases();
+      res.json(describeSession(manager, session, leases.get(session.id)));
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to update session', details: err.message });
+    }
+  });
+
+  // Close the socket but keep the credentials; the session stays stopped across restarts until started
+  router.post('/sessions/:id/stop', requireAdmin, async (req, res) => {
+    try {
+      if (!(await loadSession(req, res))) return;
+      await manager.stopSession(req.params.id);
+      await respond(res, req.params.id);
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to stop session', details: err.message });
+    }
+  });
+
+  router.post('/sessions/:id/start', requireAdmin, async (req, res) => {
+    try {
+      if (!(await loadSession(req, res))) return;
+      const alreadyRunning = manager.sockets.has(req.params.id);
+      await db.setSessionStopped(req.params.id, false);
+      if (!alreadyRunning) await manager.startSession(req.params.id);
+      await respond(res, req.params.id, { alreadyRunning });
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to start session', details: err.message });
+    }
+  });
+
+  router.post('/sessions/:id/restart', requireAdmin, async (req, res) => {
+    try {
+      if (!(await loadSession(req, res))) return;
+      await manager.restartSession(req.params.id);
+      await respond(res, req.params.id);
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to restart session', details: err.message });
+    }
+  });
+
+  // Unlink this device from the phone. The session, its settings and messages are kept; start it to pair again.
+  router.post('/sessions/:id/logout', requireAdmin, async (req, res) => {
+    try {
+      if (!(await loadSession(req, res))) return;
+      if (!manager.sockets.get(req.params.id)?.isConnected) {
+        return res.status(409).json({ error: 'Session is not connected; start it before logging out, or delete it' });
+      }
+      await manager.logoutSession(req.params.id);
+      await respond(res, req.params.id);
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to log out session', details: err.message });
+    }
+  });
+
+  return router;
+}
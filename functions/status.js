@@ -3,9 +3,56 @@ import fs from 'fs';
 import path from 'path';
 import multer from 'multer';
 import db from '../db.js';
+import { requireScope } from './auth.js';
+import { resolveLocalMediaPath } from './storage.js';
 
 const upload = multer({ dest: path.join(process.cwd(), 'uploads') });
 
+export const STATUS_TYPES = ['text', 'image', 'video'];
+
+// Message content of a status; media is a Buffer or { url }
+export function statusContent(type, { media, caption, text }) {
+  if (type === 'text') return { text: caption || text };
+  if (type === 'image') return { image: media, caption: caption || '' };
+  return { video: media, caption: caption || '' };
+}
+
+// Send options for status@broadcast (statusJidList may arrive as a JSON string from multipart forms)
+export function statusSendOptions({ backgroundColor, font, statusJidList }) {
+  const parsedStatusJidList = (() => {
+    if (!statusJidList) return [];
+    if (Array.isArray(statusJidList)) return statusJidList;
+    try { return JSON.parse(statusJidList); } catch (e) { return [statusJidList]; }
+  })();
+  // broadcast must be true when sending to status@broadcast
+  return { backgroundColor, font, statusJidList: parsedStatusJidList, broadcast: true };
+}
+
+// Post a status, remember it as the session's last status and notify the status webhook
+export async function sendStatus(manager, sessionId, content, sendOpts) {
+  const s = manager.sockets.get(sessionId);
+  if (!s || !s.sock) throw new Error('WhatsApp socket is not initialized for this session');
+  if (!s.isConnected) throw new Error('Session is not connected');
+  const result = await s.sock.sendMessage('status@broadcast', content, sendOpts);
+  // cache last status sent on the session object for diagnostics
+  try {
+    s.lastStatus = result;
+    // Persist last status in DB as well
+    await db.saveLastStatus(sessionId, result);
+    // deliver status webhook if configured
+    try {
+      const webhooks = await db.loadWebhooks(sessionId).catch(() => null) || {};
+      if (webhooks && webhooks.status) {
+        // keep the payload small and useful
+        const payload = { sessionId, result: { id: result.key?.id, remoteJid: result.key?.remoteJid, timestamp: Date.now() } };
+        // best-effort signed POST
+        try { await manager.postToWebhook(webhooks.status, payload, sessionId, 'status'); } catch (e) { /* ignore webhook errors */ }
+      }
+    } catch (e) { /* ignore */ }
+  } catch (e) { /* ignore caching/persist errors */ }
+  return result;
+}
+
 // Registers status/broadcast routes on an express Router and returns it
 export default function registerStatusRoutes(manager) {
   const router = express.Router();
@@ -14,9 +61,9 @@ export default function registerStatusRoutes(manager) {
   // POST /sessions/:id/status/send
   // body: { url, caption, backgroundColor, font, statusJidList: [], broadcast }
   // Support multipart uploads (field name: media) or JSON body with { type, url, caption }
-  router.post('/sessions/:id/status/send', upload.single('media'), async (req, res) => {
+  router.post('/sessions/:id/status/send', requireScope('status'), upload.single('media'), async (req, res) => {
     const sessionId = req.params.id;
-    const { type = 'image', url, caption, backgroundColor, font, statusJidList, broadcast } = req.body;
+    const { type = 'image', url, caption, backgroundColor, font, statusJidList } = req.body;
 
     if (!sessionId) return res.status(400).json({ error: 'Session ID required' });
     const s = manager.sockets.get(sessionId);
@@ -24,22 +71,7 @@ export default function registerStatusRoutes(manager) {
     if (!s.isConnected) return res.status(503).json({ error: 'Session is not connected' });
 
     try {
-      const jid = 'status@broadcast';
-      const parsedStatusJidList = (() => {
-        if (!statusJidList) return [];
-        if (Array.isArray(statusJidList)) return statusJidList;
-        try { return JSON.parse(statusJidList); } catch (e) { return [statusJidList]; }
-      })();
-
-      const sendOpts = {
-        backgroundColor,
-        font,
-        statusJidList: parsedStatusJidList,
-        broadcast: !!broadcast
-      };
-
-      // Ensure broadcast is true when sending to status@broadcast
-      if (jid === 'status@broadcast') sendOpts.broadcast = true;
+      const sendOpts = statusSendOptions({ backgroundColor, font, statusJidList });
 
       // Helper to clean up uploaded file
       const cleanupUpload = async (file) => {
@@ -51,29 +83,27 @@ export default function registerStatusRoutes(manager) {
 
       if (type === 'text') {
         if (!caption && !req.body.text) return res.status(400).json({ error: 'Text content required for text status' });
-        messageOptions = { text: caption || req.body.text };
+        messageOptions = statusContent('text', { caption, text: req.body.text });
       } else if (type === 'image' || type === 'video') {
           // Prefer uploaded file if present
           if (req.file) {
             const buffer = fs.readFileSync(req.file.path);
-            if (type === 'image') messageOptions = { image: buffer, caption: caption || '' };
-            else messageOptions = { video: buffer, caption: caption || '' };
+            messageOptions = statusContent(type, { media: buffer, caption });
             // send and cleanup afterwards
-            const result = await s.sock.sendMessage(jid, messageOptions, sendOpts);
+            const result = await sendStatus(manager, sessionId, messageOptions, sendOpts);
             await cleanupUpload(req.file);
             return res.json({ success: true, result });
           }
 
           // Server-local path (for environments where media is already on disk)
           if (req.body.path) {
-            const localPath = path.isAbsolute(req.body.path) ? req.body.path : path.join(process.cwd(), req.body.path);
-            if (fs.existsSync(localPath)) {
-              const buffer = fs.readFileSync(localPath);
-              if (type === 'image') messageOptions = { image: buffer, caption: caption || '' };
-              else messageOptions = { video: buffer, caption: caption || '' };
-            } else {
-              return res.status(400).json({ error: 'Local file path not found' });
+            let localPath;
+            try {
+              localPath = resolveLocalMediaPath(req.body.path);
+            } catch (e) {
+              return res.status(400).json({ error: e.message });
             }
+            messageOptions = statusContent(type, { media: fs.readFileSync(localPath), caption });
           }
 
           // Base64 inline data
@@ -83,16 +113,13 @@ export default function registerStatusRoutes(manager) {
               const b = req.body.base64;
               const m = b.match(/^data:(.+);base64,(.+)$/);
               const raw = m ? m[2] : b;
-              const buffer = Buffer.from(raw, 'base64');
-              if (type === 'image') messageOptions = { image: buffer, caption: caption || '' };
-              else messageOptions = { video: buffer, caption: caption || '' };
+              messageOptions = statusContent(type, { media: Buffer.from(raw, 'base64'), caption });
             }
           }
 
           // Otherwise allow remote URL provided in body
           if ((!messageOptions || Object.keys(messageOptions).length === 0) && url) {
-            if (type === 'image') messageOptions = { image: { url }, caption: caption || '' };
-            else messageOptions = { video: { url }, caption: caption || '' };
+            messageOptions = statusContent(type, { media: { url }, caption });
           }
 
           if (!messageOptions || Object.keys(messageOptions).length === 0) {
@@ -102,34 +129,17 @@ export default function registerStatusRoutes(manager) {
         return res.status(400).json({ error: 'Invalid type. Supported: text, image, video' });
       }
 
-      const result = await s.sock.sendMessage(jid, messageOptions, sendOpts);
-      // cache last status sent on the session object for diagnostics
-      try {
-        const sess = manager.sockets.get(sessionId);
-        if (sess) sess.lastStatus = result;
-        // Persist last status in DB as well
-        await db.saveLastStatus(sessionId, result);
-        // deliver status webhook if configured
-        try {
-          const webhooks = await db.loadWebhooks(sessionId).catch(() => null) || {};
-          if (webhooks && webhooks.status) {
-            // keep the payload small and useful
-            const payload = { sessionId, result: { id: result.key?.id, remoteJid: result.key?.remoteJid, timestamp: Date.now() } };
-            // best-effort POST
-            try { await fetch(webhooks.status, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload), timeout: 5000 }); } catch (e) { /* ignore webhook errors */ }
-          }
-        } catch (e) { /* ignore */ }
-      } catch (e) { /* ignore caching/persist errors */ }
+      const result = await sendStatus(manager, sessionId, messageOptions, sendOpts);
       res.json({ success: true, result });
     } catch (err) {
-      console.error('Failed to send status:', err);
+      req.log.error({ err }, 'Failed to send status');
       res.status(500).json({ error: 'Failed to send status', details: err.message });
     }
   });
 
   // Query broadcast list info
   // GET /sessions/:id/broadcast/:jid
-  router.get('/sessions/:id/broadcast/:jid', async (req, res) => {
+  router.get('/sessions/:id/broadcast/:jid', requireScope('status'), async (req, res) => {
     const sessionId = req.params.id;
     const bcastJid = req.params.jid;
     if (!sessionId) return res.status(400).json({ error: 'Session ID required' });
@@ -142,7 +152,7 @@ export default function registerStatusRoutes(manager) {
       const info = await s.sock.getBroadcastListInfo(bcastJid);
       res.json({ success: true, info });
     } catch (err) {
-      console.error('Failed to query broadcast list:', err);
+      req.log.error({ err }, 'Failed to query broadcast list');
       res.status(500).json({ error: 'Failed to query broadcast list', details: err.message });
     }
   });
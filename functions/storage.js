@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+
+// Media storage backends share one interface:
+//   put(key, buffer, { mimetype }) -> { backend, key, size }
+//   get(key) -> { stream, size } or null when the object doesn't exist
+//   delete(key)
+// Select with MEDIA_STORAGE=local (default) or MEDIA_STORAGE=s3.
+
+// Directory the server-local `path` media input may read from (LOCAL_MEDIA_DIR, default ./local_media)
+const LOCAL_MEDIA_DIR = path.resolve(process.env.LOCAL_MEDIA_DIR || 'local_media');
+
+// Resolve a `path` from a send request to a file inside LOCAL_MEDIA_DIR (relative paths are taken from there).
+// Anything else - credentials, .env, /etc, symlinks pointing out - is refused, so a send-scoped token
+// can't mail the server's files to a number of its choosing. Errors carry status 400.
+export function resolveLocalMediaPath(requested, dir = LOCAL_MEDIA_DIR) {
+  const fail = (message) => Object.assign(new Error(message), { status: 400 });
+  if (typeof requested !== 'string' || !requested || requested.includes('\0')) throw fail('Invalid local file path');
+  const root = path.resolve(dir);
+  const inside = (p, base) => p.startsWith(base + path.sep);
+  const full = path.resolve(root, requested);
+  if (!inside(full, root)) throw fail('Local file path must be inside LOCAL_MEDIA_DIR');
+  let real;
+  try {
+    real = fs.realpathSync(full);
+    if (!fs.statSync(real).isFile()) throw new Error('not a file');
+  } catch (e) {
+    throw fail('Local file path not found');
+  }
+  let realRoot;
+  try { realRoot = fs.realpathSync(root); } catch (e) { realRoot = root; }
+  if (!inside(real, realRoot)) throw fail('Local file path must be inside LOCAL_MEDIA_DIR');
+  return real;
+}
+
+// Stores files under a local directory (MEDIA_DIR, default ./media)
+export class LocalMediaStorage {
+  constructor(dir) {
+    this.name = 'local';
+    this.dir = path.resolve(dir);
+  }
+
+  resolve(key) {
+    const full = path.resolve(this.dir, key);
+    // keys come from session/message IDs; refuse anything that escapes the media dir
+    if (!full.startsWith(this.dir + path.sep)) throw new Error('Invalid media key');
+    return full;
+  }
+
+  async put(key, buffer) {
+    const full = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(full), { recursive: true });
+    await fs.promises.writeFile(full, buffer);
+    return { backend: this.name, key, size: buffer.length };
+  }
+
+  async get(key) {
+    const full = this.resolve(key);
+    try {
+      const stat = await fs.promises.stat(full);
+      return { stream: fs.createReadStream(full), size: stat.size };
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, R2, ...).
+// The AWS SDK is only loaded when this backend is selected.
+export class S3MediaStorage {
+  constructor({ bucket, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle, prefix }) {
+    if (!bucket) throw new Error('S3_BUCKET is required for MEDIA_STORAGE=s3');
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix || '';
+    this.clientOptions = {
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      // MinIO and most self-hosted S3 servers need path-style URLs
+      forcePathStyle: !!forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    };
+    this.sdk = null;
+    this.client = null;
+  }
+
+  async getClient() {
+    if (!this.client) {
+      this.sdk = await import('@aws-sdk/client-s3');
+      this.client = new this.sdk.S3Client(this.clientOptions);
+    }
+    return this.client;
+  }
+
+  async put(key, buffer, { mimetype } = {}) {
+    const client = await this.getClient();
+    await client.send(new this.sdk.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + key,
+      Body: buffer,
+      ContentType: mimetype || 'application/octet-stream'
+    }));
+    return { backend: this.name, key, size: buffer.length };
+  }
+
+  async get(key) {
+    const client = await this.getClient();
+    try {
+      const out = await client.send(new this.sdk.GetObjectCommand({ Bucket: this.bucket, Key: this.prefix + key }));
+      return { stream: out.Body, size: out.ContentLength ?? null };
+    } catch (e) {
+      if (e.name === 'NoSuchKey' || e.$metadata?.httpStatusCode === 404) return null;
+      throw e;
+    }
+  }
+
+  async delete(key) {
+    const client = await this.getClient();
+    await client.send(new this.sdk.DeleteObjectCommand({ Bucket: this.bucket, Key: this.prefix + key }));
+  }
+}
+
+export function createMediaStorage(env = process.env) {
+  const backend = (env.MEDIA_STORAGE || 'local').toLowerCase();
+  if (backend === 's3') {
+    return new S3MediaStorage({
+      bucket: env.S3_BUCKET,
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true' || !!env.S3_ENDPOINT,
+      prefix: env.S3_PREFIX
+    });
+  }
+  if (backend !== 'local') throw new Error(`Unknown MEDIA_STORAGE backend: ${backend}`);
+  return new LocalMediaStorage(env.MEDIA_DIR || './media');
+}
@@ -0,0 +1,139 @@
+import express from 'express';
+import crypto from 'crypto';
+import db from '../db.js';
+import { requireScope } from './auth.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('webhooks');
+
+// Backoff policy for failed webhook deliveries: the n-th retry waits baseMs * 2^(n-1);
+// after maxAttempts the message is dead-lettered until replayed.
+export const WEBHOOK_RETRY = {
+  baseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30000,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8
+};
+
+// Webhook types a session can configure:
+// incoming/group messages, status sends, receipts for sent messages, group changes and connection opens/closes
+export const WEBHOOK_TYPES = ['incoming', 'group', 'status', 'receipt', 'group-events', 'connection'];
+
+const SCHEDULER_INTERVAL_MS = Number(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 30000;
+
+export function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Headers receivers use to verify a delivery: HMAC-SHA256 of `${timestamp}.${body}` keyed with the session secret
+export function signWebhookBody(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return {
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': `sha256=${signature}`
+  };
+}
+
+// Periodically retries undelivered messages whose backoff has elapsed
+export class WebhookRetryScheduler {
+  constructor(manager) {
+    this.manager = manager;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.tick(), SCHEDULER_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const sessions = await db.listSessions();
+      for (const { id: sessionId } of sessions) {
+        // with several nodes, each retries only the sessions it runs
+        if (!this.manager.cluster.owns(sessionId)) continue;
+        const due = await db.getUndeliveredMessages(sessionId, null, { due: true, limit: 100 });
+        if (!due.length) continue;
+        const webhooks = await db.loadWebhooks(sessionId).catch(() => null) || {};
+        for (const m of due) {
+          const target = m.pendingWebhook || (m.isGroup ? webhooks.group : webhooks.incoming);
+          if (!target) continue;
+          const result = await this.manager.deliverMessage(sessionId, m, target);
+          if (result.status === 'dead-letter') log.error({ sessionId, messageId: m.id, attempts: result.deliveryAttempts }, 'Message dead-lettered');
+        }
+      }
+    } catch (e) {
+      log.error({ err: e }, 'Webhook retry scheduler failed');
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+// Registers webhook secret and dead-letter routes on an express Router and returns it
+export default function registerWebhookRoutes(manager) {
+  const router = express.Router();
+
+  // Get the signing secret for a session (created on first use)
+  router.get('/sessions/:id/webhooks/secret', requireScope('manage-webhooks'), async (req, res) => {
+    try {
+      const secret = await manager.getWebhookSecret(req.params.id);
+      res.json({ secret });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to load webhook secret', details: e.message });
+    }
+  });
+
+  // Rotate the signing secret; deliveries are signed with the new secret immediately
+  router.post('/sessions/:id/webhooks/secret', requireScope('manage-webhooks'), async (req, res) => {
+    const sessionId = req.params.id;
+    try {
+      const secret = generateWebhookSecret();
+      await db.saveWebhookSecret(sessionId, secret);
+      manager.webhookSecrets.set(sessionId, secret);
+      res.json({ success: true, secret });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to rotate webhook secret', details: e.message });
+    }
+  });
+
+  // List dead-lettered messages (optional ?limit=)
+  router.get('/sessions/:id/dead-letter', requireScope('manage-webhooks'), async (req, res) => {
+    try {
+      const rows = await db.getDeadLetteredMessages(req.params.id, { limit: req.query.limit });
+      res.json({ count: rows.length, messages: rows });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to list dead-lettered messages', details: e.message });
+    }
+  });
+
+  // Replay dead-lettered messages (body: { ids?: [id,...], webhook?: url }).
+  // Attempts are reset, so messages that fail again go back into the retry schedule.
+  router.post('/sessions/:id/dead-letter/replay', requireScope('manage-webhooks'), async (req, res) => {
+    const sessionId = req.params.id;
+    const { ids, webhook } = req.body || {};
+    try {
+      const messages = await db.resetDeadLetter(sessionId, Array.isArray(ids) ? ids : null);
+      const webhooks = await db.loadWebhooks(sessionId).catch(() => null) || {};
+      const results = [];
+      for (const m of messages) {
+        const target = webhook || m.pendingWebhook || (m.isGroup ? webhooks.group : webhooks.incoming);
+        if (!target) {
+          results.push({ id: m.id, status: 'skipped', reason: 'no webhook configured' });
+          continue;
+        }
+        results.push(await manager.deliverMessage(sessionId, m, target));
+      }
+      res.json({ results });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to replay dead-lettered messages', details: e.message });
+    }
+  });
+
+  return router;
+}
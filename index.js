@@ -1,35 +1,108 @@
 import express from 'express';
 import makeWASocket, {
-  useMultiFileAuthState,
-  DisconnectReason,
   Browsers
 } from '@whiskeysockets/baileys';
 import { Boom } from '@hapi/boom';
 import fs from 'fs';
+import { EventEmitter } from 'events';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import db from './db.js';
+import { createAuthStore, useStoreAuthState, readCreds, readAuthFolder, importAuthFiles, importLegacyAuth } from './functions/authstate.js';
 import registerStatusRoutes from './functions/status.js';
+import registerMediaRoutes, { downloadIncomingMedia, mediaUrlFor } from './functions/media.js';
+import { createMediaStorage } from './functions/storage.js';
+import registerEventRoutes, { EventLog, attachEventSocket } from './functions/events.js';
+import registerScheduleRoutes, { MessageScheduler } from './functions/schedule.js';
+import registerCampaignRoutes, { CampaignRunner } from './functions/campaigns.js';
+import registerRuleRoutes, { RuleEngine } from './functions/rules.js';
+import registerChatRoutes from './functions/chats.js';
+import registerMessageActionRoutes from './functions/actions.js';
+import registerInteractiveRoutes, { textContent, validateLinkPreview, recordPollUpdates } from './functions/interactive.js';
+import registerContactRoutes, { NumberCheckCache, checkNumbers } from './functions/contacts.js';
+import registerGroupRoutes, { GroupCache } from './functions/groups.js';
+import registerQrRoutes, { FIRST_QR_TTL_MS, QR_TTL_MS } from './functions/qr.js';
+import registerOutboxRoutes, { OutboxWorker, queueAndRespond } from './functions/outbox.js';
+import registerWebhookRoutes, { WebhookRetryScheduler, WEBHOOK_RETRY, WEBHOOK_TYPES, generateWebhookSecret, signWebhookBody } from './functions/webhooks.js';
+import { parseMessage, reviveMessage, MEDIA_MESSAGE_TYPES, CHANGE_MESSAGE_TYPES } from './functions/messages.js';
+import registerAuthRoutes, { authenticate, requireAdmin, requireScope } from './functions/auth.js';
+import registerClusterRoutes, { SessionCluster } from './functions/cluster.js';
+import registerSessionRoutes, { validateSessionInfo, describeSession } from './functions/sessions.js';
+import { ReconnectTracker, TERMINAL_DISCONNECTS, RECONNECT_FAILED, disconnectReason } from './functions/connection.js';
+import registerHealthRoutes from './functions/health.js';
+import registerMetricsRoutes, { Metrics } from './functions/metrics.js';
+import { createLogger, requestLogger, clearSessionLogs } from './functions/logger.js';
+import registerLogRoutes from './functions/logs.js';
+
+const log = createLogger('manager');
+
+// Baileys WAMessageStatus values, indexed by status code
+const MESSAGE_STATUS = ['error', 'pending', 'server_ack', 'delivered', 'read', 'played'];
 
 class SessionManager {
   constructor() {
     this.app = express();
     this.sockets = new Map(); // sessionId -> { sock, isConnected, saveCreds }
     this.authDir = './auth_sessions';
+    // Baileys creds and Signal keys (the database by default, see functions/authstate.js)
+    this.authStore = createAuthStore({ authDir: this.authDir });
 
     // Record when the server instance was created so we can show uptime on the root page
     this.startTime = Date.now();
 
+    // in-process session events ('qr', 'connection', 'group', 'event') for streaming endpoints
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    // persisted event log behind /sessions/:id/events ('event' above carries its records)
+    this.eventLog = new EventLog(this);
+
     if (!fs.existsSync(this.authDir)) fs.mkdirSync(this.authDir, { recursive: true });
 
   // store received messages per session in-memory (small cache)
-  // structure: { [sessionId]: [ { id, from, isGroup, timestamp, text, raw } ] }
+  // structure: { [sessionId]: [ { id, from, isGroup, timestamp, type, text, caption, ..., raw } ] } (see parseMessage)
   this.receivedMessages = new Map();
 
+    // where downloaded incoming media is kept (local disk or S3, see functions/storage.js)
+    this.mediaStorage = createMediaStorage();
+    this.autoDownloadMedia = process.env.MEDIA_DOWNLOAD !== 'false';
+
+    // group metadata shared by the groups API and Baileys' cachedGroupMetadata
+    this.groupCache = new GroupCache();
+    // onWhatsApp results, reused by sends and /contacts/check
+    this.numberCache = new NumberCheckCache();
+
+    // per-session auto-reply rules run against incoming messages
+    this.rules = new RuleEngine(this);
+
+    // durable outbound queue (drained once the DB is ready)
+    this.outbox = new OutboxWorker(this);
+    // bulk campaigns, sent one recipient at a time in the background
+    this.campaigns = new CampaignRunner(this);
+    // one-off and recurring scheduled messages/statuses
+    this.scheduler = new MessageScheduler(this);
+    // webhook signing secrets (sessionId -> secret) and background delivery retries
+    this.webhookSecrets = new Map();
+    this.webhookRetries = new WebhookRetryScheduler(this);
+    // session leases when several instances share the DB (CLUSTER=true)
+    this.cluster = new SessionCluster(this);
+    // backoff state of sessions waiting to reconnect
+    this.reconnects = new ReconnectTracker();
+    // Prometheus metrics behind GET /metrics
+    this.metrics = new Metrics(this);
+    // set once stored sessions are restored (GET /health/ready)
+    this.ready = false;
+
     this.setupExpress();
-    // initialize DB and restore sessions
-    db.init().then(() => this.restoreSessions()).catch(err => {
-      console.error('Failed to initialize DB or restore sessions:', err);
+    // initialize DB, start background workers and restore sessions
+    db.init().then(() => Promise.all([this.outbox.start(), this.campaigns.start(), this.scheduler.start()])).then(() => {
+      this.webhookRetries.start();
+      this.eventLog.start();
+      this.cluster.start();
+      return this.restoreSessions();
+    }).then(() => {
+      this.ready = true;
+    }).catch(err => {
+      log.fatal({ err }, 'Failed to initialize DB or restore sessions');
       process.exit(1);
     });
   }
@@ -38,80 +111,57 @@ class SessionManager {
   async restoreSessions() {
     try {
       const rows = await db.listSessions();
-      for (const r of rows) {
-        const id = r.id;
-        // load persisted auth to check if session appears paired
-        let saved = await db.loadSession(id).catch(() => null);
-        let hasCreds = saved && (saved['creds.json']?.me || saved.creds?.me);
-        // Fallback: if DB doesn't have creds, check filesystem for creds.json
-        if (!hasCreds) {
-          const folder = path.join(this.authDir, id);
-          const credsPath = path.join(folder, 'creds.json');
-          if (fs.existsSync(credsPath)) {
-            try {
-              const data = JSON.parse(fs.readFileSync(credsPath, 'utf8'));
-              if (data && data.me) {
-                hasCreds = true;
-                // ensure DB is updated with filesystem state for future restarts
-                const out = {};
-                const files = fs.readdirSync(folder);
-                for (const f of files) {
-                  try {
-                    out[f] = JSON.parse(fs.readFileSync(path.join(folder, f), 'utf8'));
-                  } catch (e) { /* ignore parse errors */ }
-                }
-                saved = out;
-                await db.saveSession(id, out).catch(e => console.error('Failed to save session from fs to DB', id, e));
-              }
-            } catch (e) {
-              // ignore parse errors
-            }
-          }
-        }
-        if (!hasCreds) {
-          console.log(`Skipping restore for ${id} - no credentials present`);
-          continue;
-        }
-        // start each paired session but don't block startup
-        this.startSession(id).then(() => {
-          console.log(`Restored session ${id}`);
-        }).catch(err => {
-          console.error(`Failed to restore session ${id}:`, err.message || err);
-        });
-      }
-      // Also scan filesystem for any auth folders not present in DB and restore them
+      const ids = rows.map(r => r.id);
+      // auth folders of sessions that aren't in the DB yet
       try {
+        const known = new Set(ids);
         const folders = fs.readdirSync(this.authDir, { withFileTypes: true })
-          .filter(d => d.isDirectory())
+          .filter(d => d.isDirectory() && !known.has(d.name))
           .map(d => d.name);
-        const dbIds = new Set(rows.map(r => r.id));
         for (const id of folders) {
-          if (dbIds.has(id)) continue;
-          const credsPath = path.join(this.authDir, id, 'creds.json');
-          if (!fs.existsSync(credsPath)) continue;
-          try {
-            const data = JSON.parse(fs.readFileSync(credsPath, 'utf8'));
-            if (data && data.me) {
-              // import into DB and start session
-              const out = {};
-              const files = fs.readdirSync(path.join(this.authDir, id));
-              for (const f of files) {
-                try { out[f] = JSON.parse(fs.readFileSync(path.join(this.authDir, id, f), 'utf8')); } catch (e) { }
-              }
-              await db.saveSession(id, out).catch(e => console.error('Failed to import session from fs to DB', id, e));
-              this.startSession(id).then(() => console.log(`Imported and restored session ${id}`)).catch(err => console.error(`Failed to restore imported session ${id}:`, err));
-            }
-          } catch (e) { /* ignore parse errors */ }
+          if (!readAuthFolder(path.join(this.authDir, id))) continue;
+          await db.saveSession(id, {}).catch(e => log.error({ sessionId: id, err: e }, 'Failed to import session from fs to DB'));
+          ids.push(id);
         }
       } catch (e) {
         // ignore filesystem scan errors
       }
+      // stopped (or logged out) sessions stay down until started through the API
+      const stopped = new Set(rows.filter(r => r.stopped).map(r => r.id));
+      for (const id of ids) {
+        if (stopped.has(id)) {
+          log.info({ sessionId: id }, 'Skipping restore - session is stopped');
+          continue;
+        }
+        await importLegacyAuth(this.authStore, id, this.authDir).catch(e => log.error({ sessionId: id, err: e }, 'Failed to import auth'));
+        const creds = await readCreds(this.authStore, id).catch(() => null);
+        if (!creds?.me) {
+          log.info({ sessionId: id }, 'Skipping restore - no credentials present');
+          continue;
+        }
+        if (!(await this.cluster.acquire(id).catch(() => false))) {
+          log.info({ sessionId: id }, 'Skipping restore - running on another node');
+          continue;
+        }
+        // start each paired session but don't block startup
+        this.startSession(id).then(() => {
+          log.info({ sessionId: id }, 'Restored session');
+        }).catch(err => {
+          log.error({ sessionId: id, err }, 'Failed to restore session');
+        });
+      }
     } catch (err) {
-      console.error('Failed to load sessions from DB:', err.message || err);
+      log.error({ err }, 'Failed to load sessions from DB');
     }
   }
 
   setupExpress() {
+    // X-Request-Id and req.log (see functions/logger.js)
+    this.app.use(requestLogger(uuidv4));
+
+    // requests for sessions another node runs are forwarded there untouched (see functions/cluster.js)
+    this.app.use(this.cluster.middleware());
+
     // Middleware
     this.app.use(express.json());
     this.app.use(express.urlencoded({ extended: true }));
@@ -124,10 +174,45 @@ class SessionManager {
       next();
     });
 
+    // API key / token authentication (see functions/auth.js)
+    this.app.use(authenticate);
+
     // Routes
   this.setupRoutes();
+  // mount token issuing/revoking routes
+  this.app.use('/', registerAuthRoutes(this));
   // mount status/broadcast routes
   this.app.use('/', registerStatusRoutes(this));
+  // mount media sending routes
+  this.app.use('/', registerMediaRoutes(this));
+  // mount outbox job routes
+  this.app.use('/', registerOutboxRoutes(this));
+  // mount webhook secret and dead-letter routes
+  this.app.use('/', registerWebhookRoutes(this));
+  // mount QR pairing routes
+  this.app.use('/', registerQrRoutes(this));
+  // mount group management routes
+  this.app.use('/', registerGroupRoutes(this));
+  // mount conversation routes
+  this.app.use('/', registerChatRoutes(this));
+  // mount reply/react/edit/delete/forward/pin routes for stored messages
+  this.app.use('/', registerMessageActionRoutes(this));
+  // mount poll/location/contact card routes
+  this.app.use('/', registerInteractiveRoutes(this));
+  // mount contact lookup routes
+  this.app.use('/', registerContactRoutes(this));
+  // mount scheduled message/status routes
+  this.app.use('/', registerScheduleRoutes(this));
+  // mount campaign routes
+  this.app.use('/', registerCampaignRoutes(this));
+  // mount auto-reply rule routes
+  this.app.use('/', registerRuleRoutes(this));
+  // mount the SSE event stream (the WebSocket variant is attached in start())
+  this.app.use('/', registerEventRoutes(this));
+  // mount the cluster overview
+  this.app.use('/', registerClusterRoutes(this));
+  // mount the per-session log buffer
+  this.app.use('/', registerLogRoutes(this));
     
     // Error handling middleware
     this.app.use(this.errorHandler);
@@ -160,17 +245,12 @@ class SessionManager {
       res.setHeader('Content-Type', 'text/html; charset=utf-8');
       res.send(html);
     });
-    // Health check endpoint
-    this.app.get('/health', (req, res) => {
-      res.json({ 
-        status: 'ok', 
-        connected: this.isConnected,
-        timestamp: new Date().toISOString()
-      });
-    });
+    // /health, /health/live and /health/ready (no credentials needed), GET /metrics for Prometheus
+    this.app.use(registerHealthRoutes(this));
+    this.app.use(registerMetricsRoutes(this));
 
     // Diagnostic: get last status sent by a session
-    this.app.get('/sessions/:id/status/last', (req, res) => {
+    this.app.get('/sessions/:id/status/last', requireScope('status'), (req, res) => {
       const id = req.params.id;
       if (!id) return res.status(400).json({ error: 'Session ID required' });
       const s = this.sockets.get(id);
@@ -191,13 +271,13 @@ class SessionManager {
     // - type=group|individual (optional)
     // - limit=number (optional, default 50)
     // - since=unix ms timestamp (optional)
-    this.app.get('/sessions/:id/messages', async (req, res) => {
+    this.app.get('/sessions/:id/messages', requireScope('read-messages'), async (req, res) => {
       try {
         const sessionId = req.params.id;
         if (!sessionId) return res.status(400).json({ error: 'Session ID required' });
 
-        const { type, limit, since } = req.query;
-        const opts = { type: type || undefined, limit: Number(limit) || 50, since: since ? Number(since) : undefined };
+        const { type, limit, since, direction, messageType } = req.query;
+        const opts = { type: type || undefined, limit: Number(limit) || 50, since: since ? Number(since) : undefined, direction: direction || undefined, messageType: messageType || undefined };
 
         try {
           const rows = await db.getMessages(sessionId, opts);
@@ -209,22 +289,33 @@ class SessionManager {
           if (opts.type === 'group') results = results.filter(m => m.isGroup);
           if (opts.type === 'individual') results = results.filter(m => !m.isGroup);
           if (opts.since) results = results.filter(m => m.timestamp >= opts.since);
+          if (opts.messageType) results = results.filter(m => m.type === opts.messageType);
           const lim = Math.min(500, Math.max(1, opts.limit || 50));
           results = results.slice(0, lim);
-          const sanitized = results.map(r => ({ id: r.id, from: r.from, isGroup: r.isGroup, timestamp: r.timestamp, text: r.text }));
+          const sanitized = results.map(r => ({ id: r.id, from: r.from, isGroup: r.isGroup, timestamp: r.timestamp, type: r.type, text: r.text, caption: r.caption, quotedMessageId: r.quotedMessageId, targetMessageId: r.targetMessageId }));
           return res.json({ count: sanitized.length, messages: sanitized });
         }
       } catch (err) {
-        console.error('Failed to list messages:', err);
+        req.log.error({ err }, 'Failed to list messages');
         res.status(500).json({ error: 'Failed to get messages', details: err.message });
       }
     });
 
+    // Delivery/read status of a message we sent
+    this.app.get('/sessions/:id/messages/:msgId/status', requireScope('read-messages'), async (req, res) => {
+      try {
+        const status = await db.getMessageStatus(req.params.id, req.params.msgId);
+        if (!status) return res.status(404).json({ error: 'Message not found' });
+        res.json(status);
+      } catch (e) {
+        res.status(500).json({ error: 'Failed to get message status', details: e.message });
+      }
+    });
+
     // Session management
-    this.app.post('/sessions', this.createSession.bind(this));
-    this.app.get('/sessions', this.listSessions.bind(this));
+    this.app.post('/sessions', requireAdmin, this.createSession.bind(this));
     // Get or set webhooks for a session
-    this.app.get('/sessions/:id/webhooks', async (req, res) => {
+    this.app.get('/sessions/:id/webhooks', requireScope('manage-webhooks'), async (req, res) => {
       const sessionId = req.params.id;
       if (!sessionId) return res.status(400).json({ error: 'Session ID required' });
       try {
@@ -235,11 +326,12 @@ class SessionManager {
       }
     });
 
-    this.app.post('/sessions/:id/webhooks', async (req, res) => {
+    this.app.post('/sessions/:id/webhooks', requireScope('manage-webhooks'), async (req, res) => {
       const sessionId = req.params.id;
       if (!sessionId) return res.status(400).json({ error: 'Session ID required' });
-      const { incoming, group, status } = req.body;
-      const payload = { incoming: incoming || null, group: group || null, status: status || null };
+      const { incoming, group } = req.body;
+      const payload = {};
+      for (const type of WEBHOOK_TYPES) payload[type] = req.body[type] || null;
       try {
         await db.saveWebhooks(sessionId, payload);
         res.json({ success: true, webhooks: payload });
@@ -253,13 +345,7 @@ class SessionManager {
               for (const m of pending) {
                 // forward only individual messages (not groups)
                 if (m.isGroup) continue;
-                try {
-                  const payload = this.buildWebhookPayload(m);
-                  await this.postToWebhook(incoming, payload);
-                  await db.updateMessageDelivery(m.id, { delivered: true, pending_webhook: null, last_delivery_error: null }).catch(() => null);
-                } catch (e) {
-                  await db.updateMessageDelivery(m.id, { delivered: false, pending_webhook: incoming, last_delivery_error: String(e.message || e) }).catch(() => null);
-                }
+                await this.deliverMessage(sessionId, m, incoming);
               }
             }
 
@@ -268,17 +354,11 @@ class SessionManager {
               const pending = await db.getUndeliveredMessages(sessionId);
               for (const m of pending) {
                 if (!m.isGroup) continue;
-                try {
-                  const payload = this.buildWebhookPayload(m);
-                  await this.postToWebhook(group, payload);
-                  await db.updateMessageDelivery(m.id, { delivered: true, pending_webhook: null, last_delivery_error: null }).catch(() => null);
-                } catch (e) {
-                  await db.updateMessageDelivery(m.id, { delivered: false, pending_webhook: group, last_delivery_error: String(e.message || e) }).catch(() => null);
-                }
+                await this.deliverMessage(sessionId, m, group);
               }
             }
           } catch (err) {
-            console.error('Failed to forward pending messages after webhook update', err);
+            req.log.error({ err }, 'Failed to forward pending messages after webhook update');
           }
         })();
       } catch (e) {
@@ -286,18 +366,18 @@ class SessionManager {
       }
     });
     
-    // Partially update webhooks for a session (body may contain incoming, group, status)
-    this.app.patch('/sessions/:id/webhooks', async (req, res) => {
+    // Partially update webhooks for a session (body may contain any of WEBHOOK_TYPES)
+    this.app.patch('/sessions/:id/webhooks', requireScope('manage-webhooks'), async (req, res) => {
       const sessionId = req.params.id;
       if (!sessionId) return res.status(400).json({ error: 'Session ID required' });
-      const { incoming, group, status } = req.body || {};
+      const body = req.body || {};
       try {
         // load existing and merge
         const existing = await db.loadWebhooks(sessionId).catch(() => ({})) || {};
         const merged = Object.assign({}, existing);
-        if (typeof incoming !== 'undefined') merged.incoming = incoming;
-        if (typeof group !== 'undefined') merged.group = group;
-        if (typeof status !== 'undefined') merged.status = status;
+        for (const type of WEBHOOK_TYPES) {
+          if (typeof body[type] !== 'undefined') merged[type] = body[type];
+        }
         await db.saveWebhooks(sessionId, merged);
         res.json({ success: true, webhooks: merged });
       } catch (e) {
@@ -305,8 +385,8 @@ class SessionManager {
       }
     });
 
-    // Delete webhooks: body optional { type: 'incoming'|'group'|'status' }. If no type, clear all webhooks for session.
-    this.app.delete('/sessions/:id/webhooks', async (req, res) => {
+    // Delete webhooks: body optional { type: one of WEBHOOK_TYPES }. If no type, clear all webhooks for session.
+    this.app.delete('/sessions/:id/webhooks', requireScope('manage-webhooks'), async (req, res) => {
       const sessionId = req.params.id;
       if (!sessionId) return res.status(400).json({ error: 'Session ID required' });
       const { type } = req.body || {};
@@ -317,7 +397,7 @@ class SessionManager {
           await db.saveWebhooks(sessionId, {});
           return res.json({ success: true, webhooks: {} });
         }
-        if (!['incoming', 'group', 'status'].includes(type)) return res.status(400).json({ error: 'Invalid webhook type' });
+        if (!WEBHOOK_TYPES.includes(type)) return res.status(400).json({ error: 'Invalid webhook type', supported: WEBHOOK_TYPES });
         const copy = Object.assign({}, existing);
         delete copy[type];
         await db.saveWebhooks(sessionId, copy);
@@ -326,10 +406,10 @@ class SessionManager {
         res.status(500).json({ error: 'Failed to delete webhooks', details: e.message });
       }
     });
-    this.app.post('/sessions/:id/pair-request', this.handlePairRequest.bind(this));
-    this.app.post('/sessions/:id/send-message', this.handleSendMessage.bind(this));
+    this.app.post('/sessions/:id/pair-request', requireAdmin, this.handlePairRequest.bind(this));
+    this.app.post('/sessions/:id/send-message', requireScope('send'), this.handleSendMessage.bind(this));
     // forward messages to an arbitrary webhook immediately (body: { webhook, ids?: [id,...] })
-    this.app.post('/sessions/:id/forward', async (req, res) => {
+    this.app.post('/sessions/:id/forward', requireScope('manage-webhooks'), async (req, res) => {
       const sessionId = req.params.id;
       const { webhook, ids } = req.body || {};
       if (!sessionId) return res.status(400).json({ error: 'Session ID required' });
@@ -338,15 +418,7 @@ class SessionManager {
         const messages = ids && Array.isArray(ids) && ids.length ? await db.getMessagesByIds(ids, sessionId) : await db.getMessages(sessionId, { limit: 50 });
         const results = [];
         for (const m of messages) {
-          try {
-            const payload = this.buildWebhookPayload(m);
-            await this.postToWebhook(webhook, payload);
-            await db.updateMessageDelivery(m.id, { delivered: true, pending_webhook: null, last_delivery_error: null });
-            results.push({ id: m.id, status: 'delivered' });
-          } catch (e) {
-            await db.updateMessageDelivery(m.id, { delivered: false, pending_webhook: webhook, last_delivery_error: String(e.message || e) }).catch(() => null);
-            results.push({ id: m.id, status: 'pending', error: String(e.message || e) });
-          }
+          results.push(await this.deliverMessage(sessionId, m, webhook));
         }
         res.json({ results });
       } catch (e) {
@@ -355,7 +427,7 @@ class SessionManager {
     });
 
     // list undelivered or pending messages
-    this.app.get('/sessions/:id/undelivered', async (req, res) => {
+    this.app.get('/sessions/:id/undelivered', requireScope('manage-webhooks'), async (req, res) => {
       const sessionId = req.params.id;
       if (!sessionId) return res.status(400).json({ error: 'Session ID required' });
       try {
@@ -367,7 +439,7 @@ class SessionManager {
     });
 
     // retry forwarding specific messages (body: { ids?: [id,...], webhook?: url })
-    this.app.post('/sessions/:id/forward/retry', async (req, res) => {
+    this.app.post('/sessions/:id/forward/retry', requireScope('manage-webhooks'), async (req, res) => {
       const sessionId = req.params.id;
       const { ids, webhook } = req.body || {};
       if (!sessionId) return res.status(400).json({ error: 'Session ID required' });
@@ -380,36 +452,34 @@ class SessionManager {
             results.push({ id: m.id, status: 'skipped', reason: 'no webhook configured' });
             continue;
           }
-          try {
-            const payload = this.buildWebhookPayload(m);
-            await this.postToWebhook(target, payload);
-            await db.updateMessageDelivery(m.id, { delivered: true, pending_webhook: null, last_delivery_error: null });
-            results.push({ id: m.id, status: 'delivered' });
-          } catch (e) {
-            await db.updateMessageDelivery(m.id, { delivered: false, pending_webhook: target, last_delivery_error: String(e.message || e) }).catch(() => null);
-            results.push({ id: m.id, status: 'pending', error: String(e.message || e) });
-          }
+          results.push(await this.deliverMessage(sessionId, m, target));
         }
         res.json({ results });
       } catch (e) {
         res.status(500).json({ error: 'Failed to retry forwarding', details: e.message });
       }
     });
-    this.app.get('/sessions/:id/status', this.getSessionStatus.bind(this));
-    this.app.post('/sessions/:id/sync', this.syncSession.bind(this));
-    this.app.delete('/sessions/:id', this.deleteSession.bind(this));
+    this.app.get('/sessions/:id/status', requireScope(), this.getSessionStatus.bind(this));
+    this.app.post('/sessions/:id/sync', requireAdmin, this.syncSession.bind(this));
+    this.app.delete('/sessions/:id', requireAdmin, this.deleteSession.bind(this));
+    // listing, details, rename/tags/metadata and stop/start/restart/logout
+    this.app.use(registerSessionRoutes(this));
   }
 
   // Create and start a session (does not pair automatically)
   async createSession(req, res) {
+    // optional { name, tags, metadata }, as for PATCH /sessions/:id
+    const { info, error } = validateSessionInfo(req.body || {});
+    if (error) return res.status(400).json({ error });
     try {
       const id = uuidv4();
-  // create an empty auth folder for this session
-  const folder = path.join(this.authDir, id);
-  if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
-
       // Save placeholder in DB
       await db.saveSession(id, {});
+      if (Object.keys(info).length) await db.updateSessionInfo(id, info);
+      // opt into full history sync (body: { syncFullHistory: true }); only applies to the first pairing
+      if (typeof req.body?.syncFullHistory !== 'undefined') {
+        await db.saveSessionSettings(id, { syncFullHistory: req.body.syncFullHistory === true || req.body.syncFullHistory === 'true' });
+      }
 
       // Start the socket and wait for initialization
       try {
@@ -417,38 +487,23 @@ class SessionManager {
         const exists = !!sock;
         res.status(201).json({ id, initialized: exists });
       } catch (err) {
-        console.error('Failed to start session:', err);
+        req.log.error({ sessionId: id, err }, 'Failed to start session');
         res.status(201).json({ id, initialized: false, error: err.message });
       }
     } catch (error) {
-      console.error('Error creating session:', error);
+      req.log.error({ err: error }, 'Failed to create session');
       res.status(500).json({ error: 'Failed to create session', details: error.message });
     }
   }
 
   setupSocketEventHandlers(sessionId, sock, saveCreds) {
     // Persist creds to DB whenever they update
+    // keys are written by the auth store as they change; only creds need saving here
     sock.ev.on('creds.update', async () => {
       try {
-        // first let Baileys persist to files
-        try { await saveCreds(); } catch (e) { /* continue even if saveCreds fails */ }
-
-        const folder = path.join(this.authDir, sessionId);
-        const out = {};
-        if (fs.existsSync(folder)) {
-          const files = fs.readdirSync(folder);
-          for (const f of files) {
-            try {
-              const content = fs.readFileSync(path.join(folder, f), 'utf8');
-              out[f] = JSON.parse(content);
-            } catch (e) {
-              // skip parse errors for non-json files
-            }
-          }
-        }
-        await db.saveSession(sessionId, out);
+        await saveCreds();
       } catch (err) {
-        console.error('Failed to persist creds to DB for session', sessionId, err);
+        log.error({ sessionId, err }, 'Failed to persist creds');
       }
     });
 
@@ -456,83 +511,158 @@ class SessionManager {
       await this.handleConnectionUpdate(sessionId, update);
     });
 
-    sock.ev.on('messages.upsert', async ({ messages }) => {
-      await this.handleIncomingMessages(sessionId, messages);
+    sock.ev.on('messages.upsert', async ({ messages, type }) => {
+      await this.handleIncomingMessages(sessionId, messages, type);
+    });
+
+    // conversations: flags and unread counts synced from the phone
+    sock.ev.on('chats.upsert', async (chats) => {
+      await db.upsertChats(sessionId, chats, { absolute: true }).catch(e => log.error({ sessionId, err: e }, 'Failed to store chats'));
+    });
+
+    sock.ev.on('chats.update', async (updates) => {
+      await db.upsertChats(sessionId, updates).catch(e => log.error({ sessionId, err: e }, 'Failed to update chats'));
+    });
+
+    sock.ev.on('chats.delete', async (jids) => {
+      await db.deleteChats(sessionId, jids).catch(e => log.error({ sessionId, err: e }, 'Failed to delete chats'));
+    });
+
+    // history sync (recent history by default, everything when the session opted into full sync)
+    sock.ev.on('messaging-history.set', async (history) => {
+      await this.handleHistorySync(sessionId, history);
+    });
+
+    // delivery/read acks for messages we sent
+    sock.ev.on('messages.update', async (updates) => {
+      await this.handleMessageUpdates(sessionId, updates);
+    });
+
+    // per-participant receipts (group messages)
+    sock.ev.on('message-receipt.update', async (receipts) => {
+      await this.handleMessageReceipts(sessionId, receipts);
+    });
+
+    // keep the contacts table in sync with the address book
+    sock.ev.on('contacts.upsert', async (contacts) => {
+      await db.upsertContacts(sessionId, contacts).catch(e => log.error({ sessionId, err: e }, 'Failed to store contacts'));
+    });
+
+    sock.ev.on('contacts.update', async (updates) => {
+      await db.upsertContacts(sessionId, updates).catch(e => log.error({ sessionId, err: e }, 'Failed to update contacts'));
+    });
+
+    // group changes: refresh cached metadata and notify the group-events webhook
+    sock.ev.on('groups.upsert', async (groups) => {
+      await this.handleGroupEvent(sessionId, 'groups.upsert', groups);
+    });
+
+    sock.ev.on('groups.update', async (updates) => {
+      await this.handleGroupEvent(sessionId, 'groups.update', updates);
     });
 
+    sock.ev.on('group-participants.update', async (update) => {
+      await this.handleGroupEvent(sessionId, 'group-participants.update', update);
+    });
+
+    // { id: chat jid, presences: { [participant]: { lastKnownPresence, lastSeen } } }
     sock.ev.on('presence.update', (presenceUpdate) => {
-      console.log(`[${sessionId}] Presence update:`, presenceUpdate);
+      this.eventLog.publish(sessionId, 'presence', presenceUpdate);
     });
   }
 
   async handleConnectionUpdate(sessionId, update) {
     const { connection, lastDisconnect, qr } = update;
 
-    console.log(`[${sessionId}] Connection update: ${connection}`);
 
     const s = this.sockets.get(sessionId);
     if (!s) return;
 
+    if (connection) {
+      const change = { connection, statusCode: lastDisconnect?.error?.output?.statusCode || null };
+      this.events.emit('connection', sessionId, change);
+      this.eventLog.publish(sessionId, 'connection', change);
+      // account shown by GET /sessions
+      const me = connection === 'open' ? s.sock.user : null;
+      const account = me ? { phone: this.formatSenderNumber(me.id), pushName: me.name } : {};
+      await db.recordSessionConnection(sessionId, connection, account).catch(e => log.error({ sessionId, err: e }, 'Failed to record connection state'));
+    }
+
     if (connection === 'close') {
       s.isConnected = false;
-      const shouldReconnect = lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut;
-
-      console.log(`[${sessionId}] Connection closed due to:`, lastDisconnect?.error?.message || 'Unknown reason');
-
-      if (shouldReconnect) {
-        console.log(`[${sessionId}] Attempting to reconnect in 5 seconds...`);
-        setTimeout(() => this.startSession(sessionId), 5000);
+      // logoutSession cleans up itself
+      if (s.loggingOut) return;
+      const statusCode = lastDisconnect?.error?.output?.statusCode ?? null;
+      let terminalState = TERMINAL_DISCONNECTS[statusCode] || null;
+      const reconnect = terminalState ? null : this.reconnects.next(sessionId, statusCode);
+      if (!terminalState && !reconnect) terminalState = RECONNECT_FAILED;
+      this.metrics.disconnects.inc({ session: sessionId, reason: disconnectReason(statusCode) || 'unknown' });
+      if (reconnect) this.metrics.reconnects.inc({ session: sessionId });
+
+      log.warn({ sessionId, statusCode, reason: disconnectReason(statusCode), error: lastDisconnect?.error?.message || null }, 'Connection closed');
+      await this.recordConnectionEvent(sessionId, {
+        event: 'close',
+        statusCode,
+        reason: disconnectReason(statusCode),
+        message: lastDisconnect?.error?.message || null,
+        attempt: reconnect?.attempt ?? null,
+        terminalState
+      }, reconnect);
+
+      if (reconnect) {
+        log.info({ sessionId, attempt: reconnect.attempt, delayMs: reconnect.delayMs }, 'Reconnecting');
+        this.scheduleReconnect(sessionId, s, reconnect.delayMs);
+      } else if (terminalState === 'logged_out') {
+        log.warn({ sessionId }, 'Logged out, clearing stored auth; the session is kept stopped');
+        await this.handleLoggedOut(sessionId);
       } else {
-        console.log(`[${sessionId}] ❌ Logged out. Clearing stored auth and DB record.`);
-        await db.deleteSession(sessionId).catch(e => console.error('Failed to delete session from DB', e));
-        // remove auth folder
-        const authFolder = path.join(this.authDir, sessionId);
-        if (fs.existsSync(authFolder)) fs.rmSync(authFolder, { recursive: true, force: true });
-        this.sockets.delete(sessionId);
+        log.error({ sessionId, terminalState }, 'Connection ended; the session is kept stopped until started again');
+        await this.stopTerminated(sessionId, terminalState);
       }
     } else if (connection === 'open') {
       s.isConnected = true;
-      console.log(`[${sessionId}] ✅ Connected to WhatsApp successfully`);
-
-      try {
-        const me = s.sock.user;
-        console.log(`[${sessionId}] 📱 Authenticated as: ${me?.name || me?.id || 'Unknown'}`);
-      } catch (error) {
-        console.log(`[${sessionId}] Could not get user info:`, error.message);
-      }
-      // ensure creds are saved to DB now that session is open
+      s.qr = null;
+      this.reconnects.reset(sessionId);
+      log.info({ sessionId, jid: s.sock.user?.id || null, pushName: s.sock.user?.name || null }, 'Connected to WhatsApp');
+      await this.recordConnectionEvent(sessionId, { event: 'open' });
+      // ensure creds are saved now that session is open
       try {
         if (s.saveCreds) await s.saveCreds();
-      } catch (e) { /* ignore */ }
-      try {
-        const folder = path.join(this.authDir, sessionId);
-        const out = {};
-        if (fs.existsSync(folder)) {
-          const files = fs.readdirSync(folder);
-          for (const f of files) {
-            try { out[f] = JSON.parse(fs.readFileSync(path.join(folder, f), 'utf8')); } catch (e) { }
-          }
-        }
-        await db.saveSession(sessionId, out).catch(e => console.error('Failed to save session on open', sessionId, e));
-      } catch (e) { /* ignore */ }
+      } catch (e) {
+        log.error({ sessionId, err: e }, 'Failed to save creds on open');
+      }
     } else if (connection === 'connecting') {
       s.isConnected = false;
-      console.log(`[${sessionId}] 🔄 Connecting to WhatsApp...`);
+      log.info({ sessionId }, 'Connecting to WhatsApp');
     } else if (qr) {
       s.isConnected = false;
-      console.log(`[${sessionId}] 📱 QR code received - use pairing code instead`);
+      // Baileys rotates the QR until it is scanned; keep the latest for GET /sessions/:id/qr
+      const now = Date.now();
+      s.qr = { value: qr, generatedAt: now, expiresAt: now + (s.qr ? QR_TTL_MS : FIRST_QR_TTL_MS) };
+      this.events.emit('qr', sessionId, s.qr);
+      log.info({ sessionId }, `QR code received - scan it via GET /sessions/${sessionId}/qr or use a pairing code`);
     }
   }
 
-  async handleIncomingMessages(sessionId, messages) {
+  async handleIncomingMessages(sessionId, messages, type) {
     for (const message of messages) {
+      // messages we sent from the phone or another linked device; sends through this API are recorded by sendContent
+      if (message.key.fromMe && message.message && type === 'notify') {
+        if (parseMessage(message).type !== 'protocol') await this.recordOutboundMessage(sessionId, message);
+        continue;
+      }
       if (!message.key.fromMe && message.message) {
         const from = message.key.remoteJid;
         const isGroup = from && from.endsWith('@g.us');
         const timestamp = (message.messageTimestamp || Date.now()) * 1000;
-        const text = message.message.conversation || message.message.extendedTextMessage?.text || null;
+        const parsed = parseMessage(message);
+        // skip housekeeping protocol messages (history sync notifications, key shares, ...)
+        if (parsed.type === 'protocol') continue;
+        this.metrics.messages.inc({ session: sessionId, direction: 'in' });
+        // media captions double as the message text so text filters still find them
+        const text = parsed.text || parsed.caption || null;
 
-        console.log(`[${sessionId}] 📨 Message from ${from}: ${text}`);
+        log.info({ sessionId, messageId: message.key.id, type: parsed.type, from, text }, 'Incoming message');
 
         // persist in-memory for quick access
         let entry = null;
@@ -544,6 +674,7 @@ class SessionManager {
             from,
             isGroup,
             timestamp,
+            ...parsed,
             text,
             raw: message
           };
@@ -552,7 +683,7 @@ class SessionManager {
           if (store.length > 500) store.length = 500;
           this.receivedMessages.set(sessionId, store);
         } catch (e) {
-          console.error('Failed to store incoming message in memory', e);
+          log.error({ sessionId, err: e }, 'Failed to store incoming message in memory');
         }
 
         // persist to DB and deliver webhook if configured
@@ -560,41 +691,190 @@ class SessionManager {
           // try to persist the message to DB (best-effort)
           try {
             await db.saveMessage(sessionId, entry).catch(() => null);
+            await db.applyMessageChange(sessionId, parsed, message.key).catch(() => null);
+            if (entry && !CHANGE_MESSAGE_TYPES.includes(parsed.type)) await db.recordChatMessage(sessionId, from, { id: entry.id, timestamp, text: text || `[${parsed.type}]`, fromMe: false }).catch(() => null);
           } catch (e) {
             // ignore DB persistence errors
           }
 
+          // download media before notifying webhooks so the fetch URL works right away
+          if (entry && this.autoDownloadMedia) {
+            try {
+              const stored = await downloadIncomingMedia(this, sessionId, message, parsed);
+              if (stored) {
+                entry.mediaKey = stored.key;
+                entry.mediaSize = stored.size;
+              }
+            } catch (e) {
+              log.error({ sessionId, messageId: entry.id, err: e }, 'Failed to download media');
+            }
+          }
+
+          if (entry) this.eventLog.publish(sessionId, 'message', this.buildEventMessage(entry, sessionId, 'inbound'));
+
           // read webhooks and post sanitized payload
           const webhooks = await db.loadWebhooks(sessionId).catch(() => null) || {};
           // ensure entry exists (storage may have failed)
           if (entry) {
-            const payload = this.buildWebhookPayload(entry);
             const target = entry.isGroup ? webhooks.group : webhooks.incoming;
             if (target) {
-              try {
-                await this.postToWebhook(target, payload);
-                // mark delivered in DB
-                await db.updateMessageDelivery(entry.id, { delivered: true, pending_webhook: null, last_delivery_error: null }).catch(() => null);
-              } catch (err) {
-                console.error('Webhook delivery failed', err);
-                // mark pending and save last error
-                await db.updateMessageDelivery(entry.id, { delivered: false, pending_webhook: target, last_delivery_error: String(err.message || err) }).catch(() => null);
-              }
+              // failures are recorded as pending and picked up by the retry scheduler
+              const result = await this.deliverMessage(sessionId, entry, target);
+              if (result.status !== 'delivered') log.warn({ sessionId, messageId: entry.id, error: result.error }, 'Webhook delivery failed');
             }
           }
         } catch (e) {
-          console.error('Failed to process webhook for incoming message', e);
+          log.error({ sessionId, err: e }, 'Failed to process webhook for incoming message');
         }
 
-        // Example: Echo bot
-        if (text && text.toLowerCase() === 'ping') {
-          await this.sendMessage(sessionId, from, 'pong').catch(e => console.error(e));
+        // auto-reply rules configured via /sessions/:id/rules
+        if (entry) {
+          await this.rules.handle(sessionId, entry).catch(e => log.error({ sessionId, err: e }, 'Failed to evaluate rules'));
         }
       }
     }
   }
 
 
+  // Persist a sent message so receipts can be tracked against it (best-effort)
+  async recordOutboundMessage(sessionId, sentMessage, content = {}) {
+    if (!sentMessage?.key?.id) return;
+    this.metrics.messages.inc({ session: sessionId, direction: 'out' });
+    const session = this.sockets.get(sessionId);
+    const to = sentMessage.key.remoteJid;
+    const parsed = parseMessage(sentMessage);
+    const statusCode = typeof sentMessage.status === 'number' ? sentMessage.status : 1;
+    const message = {
+      id: sentMessage.key.id,
+      from: session?.sock?.user?.id || null,
+      to,
+      isGroup: !!(to && to.endsWith('@g.us')),
+      timestamp: Number(sentMessage.messageTimestamp || Math.floor(Date.now() / 1000)) * 1000,
+      ...parsed,
+      text: parsed.text || parsed.caption || content.text || content.caption || null,
+      raw: sentMessage,
+      status: MESSAGE_STATUS[statusCode] || 'pending',
+      statusCode
+    };
+    try {
+      await db.saveOutboundMessage(sessionId, message);
+      await db.applyMessageChange(sessionId, parsed, { fromMe: true });
+      if (!CHANGE_MESSAGE_TYPES.includes(parsed.type)) await db.recordChatMessage(sessionId, to, { id: message.id, timestamp: message.timestamp, text: message.text || `[${parsed.type}]`, fromMe: true });
+    } catch (e) {
+      log.error({ sessionId, messageId: sentMessage.key.id, err: e }, 'Failed to persist outbound message');
+    }
+    this.eventLog.publish(sessionId, 'message', this.buildEventMessage(message, sessionId, 'outbound'));
+  }
+
+  // messaging-history.set: store chats, contacts and messages without triggering webhooks or rules
+  async handleHistorySync(sessionId, { chats = [], contacts = [], messages = [], syncType, progress }) {
+    try {
+      await db.upsertChats(sessionId, chats, { absolute: true });
+      await db.upsertContacts(sessionId, contacts);
+      const rows = [];
+      for (const message of messages) {
+        const jid = message.key?.remoteJid;
+        if (!jid || !message.message) continue;
+        const parsed = parseMessage(message);
+        if (parsed.type === 'protocol') continue;
+        const fromMe = !!message.key.fromMe;
+        rows.push({
+          id: message.key.id,
+          direction: fromMe ? 'outbound' : 'inbound',
+          from: fromMe ? null : jid,
+          to: fromMe ? jid : null,
+          isGroup: jid.endsWith('@g.us'),
+          timestamp: Number(message.messageTimestamp || 0) * 1000,
+          ...parsed,
+          text: parsed.text || parsed.caption || null,
+          raw: message
+        });
+      }
+      const inserted = await db.saveHistoryMessages(sessionId, rows);
+      // latest message per chat, so chats imported from history get a preview
+      const latest = new Map();
+      for (const r of rows) {
+        if (CHANGE_MESSAGE_TYPES.includes(r.type)) continue;
+        const jid = r.from || r.to;
+        if (!latest.has(jid) || latest.get(jid).timestamp < r.timestamp) latest.set(jid, r);
+      }
+      for (const [jid, r] of latest) {
+        await db.recordChatMessage(sessionId, jid, { id: r.id, timestamp: r.timestamp, text: r.text || `[${r.type}]`, fromMe: r.direction === 'outbound' });
+      }
+      log.info({ sessionId, syncType, progress: progress ?? null, chats: chats.length, contacts: contacts.length, messages: inserted }, 'History sync');
+    } catch (e) {
+      log.error({ sessionId, err: e }, 'Failed to store history sync');
+    }
+  }
+
+  // messages.update: status changes (server ack, delivered, read, played) for our own messages
+  async handleMessageUpdates(sessionId, updates) {
+    for (const { key, update } of updates) {
+      // decrypted poll votes (needs getMessage to find the poll)
+      if (update?.pollUpdates?.length) {
+        await recordPollUpdates(this, sessionId, key, update.pollUpdates).catch(e => log.error({ sessionId, messageId: key.id, err: e }, 'Failed to record poll votes'));
+      }
+      if (!key?.fromMe || typeof update?.status !== 'number') continue;
+      const status = MESSAGE_STATUS[update.status];
+      if (!status) continue;
+      try {
+        const updated = await db.updateOutboundStatus(sessionId, key.id, status, update.status);
+        if (updated) await this.publishReceipt(sessionId, { id: key.id, to: key.remoteJid, status, participant: null });
+      } catch (e) {
+        log.error({ sessionId, messageId: key.id, err: e }, 'Failed to update message status');
+      }
+    }
+  }
+
+  // message-receipt.update: one receipt per recipient device/participant
+  async handleMessageReceipts(sessionId, receipts) {
+    for (const { key, receipt } of receipts) {
+      if (!key?.fromMe || !receipt?.userJid) continue;
+      let status = 'delivered';
+      if (receipt.playedTimestamp) status = 'played';
+      else if (receipt.readTimestamp) status = 'read';
+      const ts = Number(receipt.playedTimestamp || receipt.readTimestamp || receipt.receiptTimestamp || 0) * 1000 || Date.now();
+      try {
+        const changed = await db.addMessageReceipt(sessionId, key.id, receipt.userJid, { status, timestamp: ts });
+        if (changed) await this.publishReceipt(sessionId, { id: key.id, to: key.remoteJid, status, participant: receipt.userJid });
+      } catch (e) {
+        log.error({ sessionId, messageId: key.id, err: e }, 'Failed to record receipt');
+      }
+    }
+  }
+
+  // groups.upsert / groups.update / group-participants.update
+  async handleGroupEvent(sessionId, event, data) {
+    const items = Array.isArray(data) ? data : [data];
+    for (const item of items) {
+      if (!item?.id) continue;
+      // new groups arrive with full metadata; everything else just invalidates
+      if (event === 'groups.upsert') this.groupCache.set(sessionId, item);
+      else this.groupCache.invalidate(sessionId, item.id);
+    }
+    this.events.emit('group', sessionId, { event, data });
+    this.eventLog.publish(sessionId, 'group', { event, data });
+    await this.postEventWebhook(sessionId, 'group-events', { event, data });
+  }
+
+  // Receipts go to both the event stream and the receipt webhook
+  async publishReceipt(sessionId, receipt) {
+    this.eventLog.publish(sessionId, 'receipt', receipt);
+    await this.postEventWebhook(sessionId, 'receipt', receipt);
+  }
+
+  // POST an event to one of the session's event webhooks (receipt, group-events, ...) if configured (best-effort)
+  async postEventWebhook(sessionId, type, data) {
+    const webhooks = await db.loadWebhooks(sessionId).catch(() => null) || {};
+    if (!webhooks[type]) return;
+    const payload = { sessionId, type, ...data, timestamp: Date.now() };
+    try {
+      await this.postToWebhook(webhooks[type], payload, sessionId, type);
+    } catch (e) {
+      log.warn({ sessionId, type, err: e }, 'Webhook delivery failed');
+    }
+  }
+
   async handlePairRequest(req, res) {
     try {
       const { number } = req.body;
@@ -623,7 +903,7 @@ class SessionManager {
         return res.status(503).json({ error: 'Session is not initialized or not running' });
       }
 
-      console.log(`[${sessionId}] Requesting pairing code for: ${number}`);
+      req.log.info({ number }, 'Requesting pairing code');
       const code = await session.sock.requestPairingCode(cleanNumber);
       
       res.json({ 
@@ -633,7 +913,7 @@ class SessionManager {
       });
       
     } catch (error) {
-      console.error('Error requesting pairing code:', error);
+      req.log.error({ err: error }, 'Failed to request pairing code');
       res.status(500).json({ 
         error: 'Failed to request pairing code',
         details: error.message
@@ -643,7 +923,7 @@ class SessionManager {
 
   async handleSendMessage(req, res) {
     try {
-      const { to, message } = req.body;
+      const { to, message, linkPreview } = req.body;
       const sessionId = req.params.id;
       if (!sessionId) return res.status(400).json({ error: 'Session ID is required in the URL' });
       
@@ -653,19 +933,17 @@ class SessionManager {
         });
       }
 
+      const previewError = validateLinkPreview(linkPreview);
+      if (previewError) return res.status(400).json({ error: previewError });
+
       const session = this.sockets.get(sessionId);
       if (!session) return res.status(503).json({ error: 'Session not found' });
-      if (!session.isConnected) return res.status(503).json({ error: 'WhatsApp is not connected for this session' });
 
-      const result = await this.sendMessage(sessionId, to, message);
-      res.json({ 
-        success: true, 
-        messageId: result.key.id,
-        timestamp: result.messageTimestamp
-      });
+      // queued sends survive reconnects; connected sessions answer with the message id as before
+      await queueAndRespond(this, req, res, to, textContent(message, linkPreview));
       
     } catch (error) {
-      console.error('Error sending message:', error);
+      req.log.error({ err: error }, 'Failed to send message');
       res.status(500).json({ 
         error: 'Failed to send message',
         details: error.message
@@ -673,45 +951,32 @@ class SessionManager {
     }
   }
 
+  // Import the session's auth folder into the auth store (e.g. after copying a folder from another host)
   async syncSession(req, res) {
     const sessionId = req.params.id;
     if (!sessionId) return res.status(400).json({ error: 'Session ID required' });
     try {
-      const folder = path.join(this.authDir, sessionId);
-      if (!fs.existsSync(folder)) return res.status(404).json({ error: 'Session auth folder not found' });
-      const out = {};
-      const files = fs.readdirSync(folder);
-      for (const f of files) {
-        try { out[f] = JSON.parse(fs.readFileSync(path.join(folder, f), 'utf8')); } catch (e) { }
-      }
-      await db.saveSession(sessionId, out);
-      res.json({ success: true });
+      const files = readAuthFolder(path.join(this.authDir, sessionId));
+      if (!files) return res.status(404).json({ error: 'Session auth folder not found' });
+      // the file store reads the folder directly
+      const imported = this.authStore.name === 'file' ? 0 : await importAuthFiles(this.authStore, sessionId, files);
+      res.json({ success: true, imported });
     } catch (err) {
       res.status(500).json({ error: 'Failed to sync session', details: err.message });
     }
   }
 
-  async getSessionStatus(req, res) {
-    const sessionId = req.params.id;
-    if (!sessionId) return res.status(400).json({ error: 'Session ID required' });
-    try {
-      const s = this.sockets.get(sessionId);
-      const folder = path.join(this.authDir, sessionId);
-      const hasFiles = fs.existsSync(folder) && fs.readdirSync(folder).length > 0;
-      const dbRow = await db.loadSession(sessionId).catch(() => null);
-      const hasDbCreds = !!(dbRow && (dbRow['creds.json']?.me || dbRow.creds?.me));
-      res.json({
-        id: sessionId,
-        connected: !!s?.isConnected,
-        hasFiles,
-        hasDbCreds
-      });
-    } catch (err) {
-      res.status(500).json({ error: 'Failed to get status', details: err.message });
-    }
+  async sendMessage(sessionId, jid, text) {
+    return this.sendContent(sessionId, jid, { text });
   }
 
-  async sendMessage(sessionId, jid, text) {
+  // Send any Baileys message content (text, image, document, ...) to a phone number or JID
+  async sendContent(sessionId, jid, content, options = {}) {
+    if (typeof jid !== 'string' || !jid) {
+      const err = new Error('"to" must be a phone number or JID string');
+      err.permanent = true; // retrying won't help
+      throw err;
+    }
     const session = this.sockets.get(sessionId);
     if (!session || !session.sock) throw new Error('WhatsApp socket is not initialized for this session');
     if (!session.isConnected) throw new Error('WhatsApp is not connected. Please check connection status.');
@@ -725,22 +990,29 @@ class SessionManager {
         formattedJid = `${cleanNumber}@s.whatsapp.net`;
       }
 
-      console.log(`[${sessionId}] Attempting to send message to: ${formattedJid}`);
 
-      const [result] = await session.sock.onWhatsApp(formattedJid.replace('@s.whatsapp.net', ''));
-      if (!result?.exists) throw new Error('Phone number is not registered on WhatsApp');
+      // groups, broadcasts and other non-user JIDs can't be checked with onWhatsApp
+      const result = formattedJid.endsWith('@s.whatsapp.net')
+        ? (await checkNumbers(this, sessionId, [formattedJid]))[0]
+        : { exists: true };
+      if (!result?.exists) {
+        const err = new Error('Phone number is not registered on WhatsApp');
+        err.permanent = true; // retrying won't help
+        throw err;
+      }
 
-      const sentMessage = await session.sock.sendMessage(formattedJid, { text });
-      console.log(`[${sessionId}] ✅ Message sent successfully to ${formattedJid}`);
+      const sentMessage = await session.sock.sendMessage(formattedJid, content, options);
+      log.info({ sessionId, messageId: sentMessage?.key?.id || null, to: formattedJid }, 'Message sent');
+      await this.recordOutboundMessage(sessionId, sentMessage, content);
       return sentMessage;
     } catch (error) {
-      console.error(`[${sessionId}] ❌ Failed to send message to ${jid}:`, error.message);
+      log.error({ sessionId, to: jid, err: error }, 'Failed to send message');
       throw error;
     }
   }
 
   errorHandler(err, req, res, next) {
-    console.error('Express error:', err);
+    (req.log || log).error({ err }, 'Express error');
     
     if (res.headersSent) {
       return next(err);
@@ -752,17 +1024,50 @@ class SessionManager {
     });
   }
 
-  // POST JSON payload to webhook URL with a short timeout
-  async postToWebhook(url, payload) {
+  // Signing secret for a session's webhooks, generated and persisted on first use
+  async getWebhookSecret(sessionId) {
+    if (this.webhookSecrets.has(sessionId)) return this.webhookSecrets.get(sessionId);
+    let secret = await db.loadWebhookSecret(sessionId);
+    if (!secret) {
+      secret = generateWebhookSecret();
+      await db.saveWebhookSecret(sessionId, secret);
+    }
+    this.webhookSecrets.set(sessionId, secret);
+    return secret;
+  }
+
+  // Deliver a stored message to a webhook and record the outcome.
+  // Failures schedule an automatic retry (see WEBHOOK_RETRY) and dead-letter the message after too many attempts.
+  async deliverMessage(sessionId, message, target) {
+    try {
+      await this.postToWebhook(target, this.buildWebhookPayload(message, sessionId), sessionId, 'message');
+      await db.updateMessageDelivery(message.id, { delivered: true, pending_webhook: null, last_delivery_error: null }).catch(() => null);
+      return { id: message.id, status: 'delivered' };
+    } catch (e) {
+      const error = String(e.message || e);
+      const state = await db.updateMessageDelivery(message.id, { delivered: false, pending_webhook: target, last_delivery_error: error, retry: WEBHOOK_RETRY }).catch(() => null);
+      if (state?.deadLettered) return { id: message.id, status: 'dead-letter', error, deliveryAttempts: state.deliveryAttempts };
+      return { id: message.id, status: 'pending', error };
+    }
+  }
+
+  // POST JSON payload to webhook URL with a short timeout.
+  // When sessionId is given the body is signed with the session's webhook secret.
+  // kind labels the delivery in /metrics (message, receipt, connection, rule, ...)
+  async postToWebhook(url, payload, sessionId, kind = 'other') {
     if (!url) return;
+    const started = process.hrtime.bigint();
     try {
+      const body = JSON.stringify(payload);
+      const headers = { 'Content-Type': 'application/json' };
+      if (sessionId) Object.assign(headers, signWebhookBody(await this.getWebhookSecret(sessionId), body));
       // use global fetch (Node 18+). Set a short timeout via AbortController
       const controller = new AbortController();
       const id = setTimeout(() => controller.abort(), 5000);
       const res = await fetch(url, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
+        headers,
+        body,
         signal: controller.signal
       });
       clearTimeout(id);
@@ -770,8 +1075,11 @@ class SessionManager {
         const txt = await res.text().catch(() => '<no-body>');
         throw new Error(`Webhook POST failed: ${res.status} ${txt}`);
       }
+      this.metrics.webhookDuration.observe({ kind }, Number(process.hrtime.bigint() - started) / 1e9);
       return true;
     } catch (e) {
+      this.metrics.webhookDuration.observe({ kind }, Number(process.hrtime.bigint() - started) / 1e9);
+      this.metrics.webhookFailures.inc({ kind });
       // swallow errors here; caller logs
       throw e;
     }
@@ -795,8 +1103,14 @@ class SessionManager {
     }
   }
 
+  // Message payload for the event stream: the webhook payload minus raw and delivery bookkeeping
+  buildEventMessage(message, sessionId, direction) {
+    const { raw, delivered, deliveryAttempts, lastDeliveryError, pendingWebhook, ...payload } = this.buildWebhookPayload(message, sessionId);
+    return { ...payload, direction, toJid: message.to || null, status: message.status || null };
+  }
+
   // Build a normalized payload for webhooks including both the raw JID and a formatted international number when possible
-  buildWebhookPayload(message) {
+  buildWebhookPayload(message, sessionId) {
     // message may be an 'entry' created in memory or a DB row
     const fromJid = message.from || message.from_jid || null;
     const formatted = this.formatSenderNumber(fromJid, message.raw || null) || null;
@@ -806,7 +1120,19 @@ class SessionManager {
       from: formatted,
       isGroup: !!message.isGroup,
       timestamp: message.timestamp || message.timestamp_ms || null,
+      type: message.type || message.message_type || 'text',
       text: message.text || null,
+      caption: message.caption || null,
+      mimetype: message.mimetype || null,
+      fileName: message.fileName || message.file_name || null,
+      latitude: message.latitude ?? null,
+      longitude: message.longitude ?? null,
+      quotedMessageId: message.quotedMessageId || message.quoted_message_id || null,
+      quotedParticipant: message.quotedParticipant || message.quoted_participant || null,
+      targetMessageId: message.targetMessageId || message.target_message_id || null,
+      details: message.details || {},
+      // media can always be fetched on demand, even if it wasn't downloaded on receipt
+      mediaUrl: sessionId && MEDIA_MESSAGE_TYPES.includes(message.type) ? mediaUrlFor(sessionId, message.id) : null,
       delivered: typeof message.delivered !== 'undefined' ? !!message.delivered : undefined,
       deliveryAttempts: message.deliveryAttempts || message.delivery_attempts || 0,
       lastDeliveryError: message.lastDeliveryError || message.last_delivery_error || null,
@@ -816,58 +1142,58 @@ class SessionManager {
   }
 
   start(port = 3000) {
-    this.app.listen(port, () => {
-      console.log(`🚀 WhatsApp Bot server running on http://localhost:${port}`);
-      console.log(`📊 Health check: http://localhost:${port}/health`);
-      console.log(`🔗 Create session: POST http://localhost:${port}/sessions`);
+    const server = this.app.listen(port, () => {
+      log.info({ port }, `Server running on http://localhost:${port} (health: /health, create a session: POST /sessions)`);
     });
+    // WebSocket event stream shares the HTTP server
+    attachEventSocket(this, server);
 
     // Graceful shutdown
     process.on('SIGINT', () => {
-      console.log('\n📴 Shutting down gracefully...');
+      log.info('Shutting down gracefully');
+      this.outbox.stop();
+      this.campaigns.stop();
+      this.scheduler.stop();
+      this.webhookRetries.stop();
+      this.eventLog.stop();
       // close all active sockets
       for (const [id, s] of this.sockets.entries()) {
         try {
           if (s.sock) s.sock.end();
         } catch (e) { /* ignore */ }
       }
-      process.exit(0);
+      // hand sessions to the other nodes right away
+      this.cluster.stop();
+      this.cluster.releaseAll().finally(() => process.exit(0));
     });
   }
 
 
   // Start a socket for a session (or restart)
   async startSession(sessionId) {
+    if (!(await this.cluster.acquire(sessionId))) throw new Error(`Session ${sessionId} is running on another node`);
     // load auth from DB if available and write into session folder
-    const folder = path.join(this.authDir, sessionId);
-    let saved = await db.loadSession(sessionId).catch(() => null);
-    if (saved) {
-      try {
-        if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
-        for (const [fname, content] of Object.entries(saved)) {
-          try {
-            fs.writeFileSync(path.join(folder, fname), JSON.stringify(content, null, 2));
-          } catch (e) {
-            console.error('Failed to write auth file', fname, e);
-          }
-        }
-      } catch (e) {
-        console.error('Failed to restore auth files for session', sessionId, e);
-      }
-    }
-
-    const { state, saveCreds } = await useMultiFileAuthState(folder);
+    const { state, saveCreds } = await useStoreAuthState(this.authStore, sessionId);
+    const settings = await db.loadSessionSettings(sessionId).catch(() => null);
+    const syncFullHistory = settings?.syncFullHistory || process.env.SYNC_FULL_HISTORY === 'true';
 
     const sock = makeWASocket({
       auth: state,
       printQRInTerminal: false,
       browser: Browsers.ubuntu('Chrome'),
       generateHighQualityLinkPreview: true,
-      syncFullHistory: false,
+      syncFullHistory,
+      // Baileys skips the FULL history chunk unless told otherwise
+      ...(syncFullHistory ? { shouldSyncHistoryMessage: () => true } : {}),
       markOnlineOnConnect: true,
       keepAliveIntervalMs: 30000,
       connectTimeoutMs: 60000,
       defaultQueryTimeoutMs: 60000,
+      cachedGroupMetadata: async (jid) => this.groupCache.get(sessionId, jid),
+      // stored messages let Baileys decrypt poll votes and resend messages a recipient failed to decrypt
+      getMessage: async (key) => this.getStoredMessage(sessionId, key),
+      // Baileys logs through the same logger (module 'baileys', warn unless LOG_LEVELS says otherwise)
+      logger: createLogger('baileys', { sessionId }),
     });
 
     this.sockets.set(sessionId, { sock, isConnected: false, saveCreds });
@@ -876,13 +1202,109 @@ class SessionManager {
     return sock;
   }
 
-  async listSessions(req, res) {
+  // Close the socket without logging out, e.g. after another node took the session over
+  stopLocalSession(sessionId) {
+    const s = this.sockets.get(sessionId);
+    // forget the session first so the close event doesn't schedule a reconnect
+    this.sockets.delete(sessionId);
+    this.reconnects.reset(sessionId);
     try {
-      const rows = await db.listSessions();
-      res.json(rows);
+      if (s?.sock) s.sock.end(undefined);
+    } catch (e) { /* ignore */ }
+  }
+
+  async getStoredMessage(sessionId, key) {
+    if (!key?.id) return undefined;
+    const stored = await db.getRawMessage(sessionId, key.id).catch(() => null);
+    return reviveMessage(stored?.raw)?.message || undefined;
+  }
+
+  // Start a new socket for a dropped session once `delayMs` has passed, unless it was stopped, restarted or deleted meanwhile
+  scheduleReconnect(sessionId, s, delayMs) {
+    setTimeout(() => {
+      if (this.sockets.get(sessionId) !== s) return;
+      this.startSession(sessionId).catch(async (err) => {
+        log.error({ sessionId, err }, 'Reconnect failed');
+        if (this.sockets.get(sessionId) !== s) return;
+        // another node runs it now
+        if (!this.cluster.owns(sessionId)) {
+          this.sockets.delete(sessionId);
+          this.reconnects.reset(sessionId);
+          return;
+        }
+        const next = this.reconnects.next(sessionId, null);
+        if (next) {
+          this.metrics.reconnects.inc({ session: sessionId });
+          return this.scheduleReconnect(sessionId, s, next.delayMs);
+        }
+        await this.recordConnectionEvent(sessionId, { event: 'close', message: err.message || String(err), terminalState: RECONNECT_FAILED });
+        await this.stopTerminated(sessionId, RECONNECT_FAILED);
+      });
+    }, delayMs);
+  }
+
+  // Persist a connection open/close in the session's history and notify the connection webhook (best-effort)
+  async recordConnectionEvent(sessionId, event, reconnect = null) {
+    await db.addConnectionEvent(sessionId, event).catch(e => log.error({ sessionId, err: e }, 'Failed to record connection event'));
+    const { event: connection, ...details } = event;
+    await this.postEventWebhook(sessionId, 'connection', {
+      connection,
+      ...details,
+      reconnect: reconnect ? { attempt: reconnect.attempt, nextAttemptAt: reconnect.nextAttemptAt } : null
+    });
+  }
+
+  // A disconnect reconnecting won't fix (banned, replaced, ...): keep the session and its creds, stopped until started again
+  async stopTerminated(sessionId, terminalState) {
+    this.sockets.delete(sessionId);
+    this.reconnects.reset(sessionId);
+    await db.setSessionStopped(sessionId, true, terminalState).catch(e => log.error({ sessionId, err: e }, 'Failed to mark session stopped'));
+    await this.cluster.release(sessionId);
+  }
+
+  // Close the socket and keep it closed (also across restarts) until started again; creds are kept
+  async stopSession(sessionId) {
+    await db.setSessionStopped(sessionId, true);
+    const running = this.sockets.has(sessionId);
+    this.stopLocalSession(sessionId);
+    if (running) await db.recordSessionConnection(sessionId, 'close');
+    await this.cluster.release(sessionId);
+  }
+
+  async restartSession(sessionId) {
+    await db.setSessionStopped(sessionId, false);
+    this.stopLocalSession(sessionId);
+    return this.startSession(sessionId);
+  }
+
+  // Unlink this device from the phone; the session row, settings and messages are kept
+  async logoutSession(sessionId) {
+    const s = this.sockets.get(sessionId);
+    if (!s) throw new Error('Session is not running');
+    s.loggingOut = true;
+    try {
+      await s.sock.logout();
     } catch (err) {
-      res.status(500).json({ error: 'Failed to list sessions', details: err.message });
+      s.loggingOut = false;
+      throw err;
     }
+    await this.handleLoggedOut(sessionId);
+  }
+
+  // Forget the credentials of a logged out session and keep it stopped; starting it pairs again
+  async handleLoggedOut(sessionId) {
+    this.sockets.delete(sessionId);
+    this.reconnects.reset(sessionId);
+    this.groupCache.clearSession(sessionId);
+    this.numberCache.clearSession(sessionId);
+    this.rules.clearSession(sessionId);
+    await this.authStore.clear(sessionId).catch(e => log.error({ sessionId, err: e }, 'Failed to clear auth state'));
+    // remove auth folder (file store, or left over from older versions)
+    const authFolder = path.join(this.authDir, sessionId);
+    if (fs.existsSync(authFolder)) fs.rmSync(authFolder, { recursive: true, force: true });
+    await db.setSessionStopped(sessionId, true, 'logged_out').catch(e => log.error({ sessionId, err: e }, 'Failed to mark session stopped'));
+    await db.recordSessionConnection(sessionId, 'logged_out').catch(e => log.error({ sessionId, err: e }, 'Failed to record logout'));
+    await this.cluster.release(sessionId);
   }
 
   async deleteSession(req, res) {
@@ -892,9 +1314,18 @@ class SessionManager {
       const s = this.sockets.get(sessionId);
       if (s && s.sock) s.sock.end();
       this.sockets.delete(sessionId);
+      this.reconnects.reset(sessionId);
+      this.metrics.clearSession(sessionId);
+      clearSessionLogs(sessionId);
+      this.groupCache.clearSession(sessionId);
+      this.numberCache.clearSession(sessionId);
+      this.rules.clearSession(sessionId);
+      await this.authStore.clear(sessionId);
+      await this.cluster.release(sessionId);
       await db.deleteSession(sessionId);
-      const authFile = path.join(this.authDir, `${sessionId}.json`);
-      if (fs.existsSync(authFile)) fs.rmSync(authFile, { force: true });
+      // auth folder (file store, or left over from older versions)
+      const authFolder = path.join(this.authDir, sessionId);
+      if (fs.existsSync(authFolder)) fs.rmSync(authFolder, { recursive: true, force: true });
       res.json({ success: true });
     } catch (err) {
       res.status(500).json({ error: 'Failed to delete session', details: err.message });
@@ -906,13 +1337,20 @@ class SessionManager {
     if (!sessionId) return res.status(400).json({ error: 'Session ID required' });
     try {
       const s = this.sockets.get(sessionId);
-      const folder = path.join(this.authDir, sessionId);
-      const hasAuth = fs.existsSync(folder) && fs.readdirSync(folder).length > 0;
+      const hasAuth = !!(await readCreds(this.authStore, sessionId).catch(() => null));
+      const session = await db.getSession(sessionId);
+      const [lastClose] = await db.listConnectionEvents(sessionId, { event: 'close', limit: 1 });
       res.json({
         id: sessionId,
         connected: !!(s && s.isConnected),
         running: !!s,
-        hasAuth
+        hasAuth,
+        state: session ? describeSession(this, session).state : null,
+        // set when the session went down for good: logged_out, banned, replaced, bad_session or reconnect_failed
+        terminalState: session?.terminalState || null,
+        lastDisconnect: lastClose ? { statusCode: lastClose.statusCode, reason: lastClose.reason, message: lastClose.message, timestamp: lastClose.timestamp } : null,
+        // pending reconnect: { attempt, maxAttempts, nextAttemptAt }
+        reconnect: this.reconnects.status(sessionId)
       });
     } catch (err) {
       res.status(500).json({ error: 'Failed to get session status', details: err.message });
@@ -1,13 +1,31 @@
+import fs from 'fs';
 import db from '../db.js';
+import { configureEncryption, isEncrypted } from '../functions/encryption.js';
 
-const id = '408f7372-f7c9-4299-a8db-326bc5548a73';
+// Usage: node scripts/print_session.mjs <sessionId> [--key <key> | --key-file <path>]
+// Encrypted values are only decrypted when the key is passed on the command line; otherwise
+// they are printed as stored, even if ENCRYPTION_KEY is set in the environment.
+const args = process.argv.slice(2);
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : null;
+};
+const id = args.find((a, i) => !a.startsWith('--') && !['--key', '--key-file'].includes(args[i - 1]));
+const keyFile = option('--key-file');
+const key = option('--key') || (keyFile ? fs.readFileSync(keyFile, 'utf8') : null);
 
 async function main(){
+  if (!id) {
+    console.error('Usage: node scripts/print_session.mjs <sessionId> [--key <key> | --key-file <path>]');
+    process.exit(1);
+  }
   try{
+    configureEncryption({ key, passthrough: !key });
     await db.init();
     const s = await db.loadSession(id);
-    console.log('DB session for', id, ':');
-    console.log(JSON.stringify(s, null, 2));
+    const { creds } = await db.readAuthKeys(id, 'creds', ['creds']);
+    console.log('DB session for', id, key ? '(decrypted):' : '(as stored):');
+    console.log(JSON.stringify({ authJson: s, creds: creds && !isEncrypted(creds) ? JSON.parse(creds) : creds || null }, null, 2));
     process.exit(0);
   }catch(err){
     console.error('Error:', err);
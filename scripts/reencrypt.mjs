@@ -0,0 +1,25 @@
+import db from '../db.js';
+import { encryptionEnabled } from '../functions/encryption.js';
+
+// Rewrites encrypted data with the current ENCRYPTION_KEY, e.g. after rotating keys:
+//   ENCRYPTION_KEY=<new> ENCRYPTION_OLD_KEYS=<old>[,<older>] node scripts/reencrypt.mjs
+// Also encrypts data stored before a key was configured. Run it without ENCRYPTION_KEY
+// (but with ENCRYPTION_OLD_KEYS) to decrypt everything back to plaintext.
+
+async function main(){
+  try{
+    await db.init();
+    console.log(encryptionEnabled() ? 'Re-encrypting with the current key...' : 'No ENCRYPTION_KEY set, decrypting to plaintext...');
+    const totals = await db.reencryptAll({
+      onProgress: (table, count) => process.stdout.write(`\r${table}: ${count} row(s) rewritten`)
+    });
+    process.stdout.write('\n');
+    console.log('Done:', totals);
+    process.exit(0);
+  }catch(err){
+    console.error('\nError:', err.message || err);
+    process.exit(1);
+  }
+}
+
+main();
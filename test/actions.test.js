@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb, serve } from './helpers.js';
+import registerMessageActionRoutes from '../functions/actions.js';
+
+const amina = '255700000001@s.whatsapp.net';
+const incomingKey = { id: 'in-1', remoteJid: amina, fromMe: false };
+const outgoingKey = { id: 'out-1', remoteJid: amina, fromMe: true };
+
+const sent = [];
+const modified = [];
+let budget = 10;
+const manager = {
+  sockets: new Map([['s1', { isConnected: true, sock: { chatModify: async (mod, jid) => { modified.push({ mod, jid }); } } }]]),
+  outbox: { reserve: () => budget-- > 0 },
+  sendContent: async (sessionId, jid, content, options) => {
+    sent.push({ jid, content, options });
+    return { key: { id: `sent-${sent.length}` }, messageTimestamp: 1700000000 };
+  }
+};
+let app;
+let db;
+
+before(async () => {
+  db = await initDb('s1');
+  await db.saveMessage('s1', { id: 'in-1', from: amina, isGroup: false, timestamp: 1000, text: 'hello', raw: { key: incomingKey, message: { conversation: 'hello' }, messageTimestamp: 1 } });
+  await db.saveOutboundMessage('s1', { id: 'out-1', to: amina, timestamp: 2000, text: 'hi', raw: { key: outgoingKey, message: { conversation: 'hi' } }, status: 'server_ack', statusCode: 2 });
+  app = await serve(registerMessageActionRoutes(manager));
+});
+
+after(() => app.close());
+
+const last = () => sent.at(-1);
+
+test('reply quotes the original in its chat', async () => {
+  const res = await app.request('POST', '/sessions/s1/messages/in-1/reply', { body: { text: 'thanks' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.messageId, `sent-${sent.length}`);
+  assert.equal(last().jid, amina);
+  assert.deepEqual(last().content, { text: 'thanks' });
+  assert.deepEqual(last().options.quoted.key, incomingKey);
+});
+
+test('react sends the emoji for the original key', async () => {
+  await app.request('POST', '/sessions/s1/messages/in-1/react', { body: { emoji: '👍' } });
+  assert.deepEqual(last().content, { react: { text: '👍', key: incomingKey } });
+  assert.equal((await app.request('POST', '/sessions/s1/messages/in-1/react', { body: {} })).status, 400);
+});
+
+test('only our own messages can be edited', async () => {
+  let res = await app.request('POST', '/sessions/s1/messages/in-1/edit', { body: { text: 'changed' } });
+  assert.equal(res.status, 400);
+  res = await app.request('POST', '/sessions/s1/messages/out-1/edit', { body: { text: 'changed' } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(last().content, { text: 'changed', edit: outgoingKey });
+});
+
+test('pins take one of the durations WhatsApp offers', async () => {
+  const res = await app.request('POST', '/sessions/s1/messages/in-1/pin', { body: { durationSeconds: 60 } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'durationSeconds must be one of 86400, 604800, 2592000');
+  assert.equal((await app.request('POST', '/sessions/s1/messages/in-1/pin', { body: { durationSeconds: 86400 } })).status, 200);
+  assert.deepEqual(last().content, { pin: incomingKey, type: 1, time: 86400 });
+  await app.request('POST', '/sessions/s1/messages/in-1/pin', { body: { pinned: false } });
+  assert.deepEqual(last().content, { pin: incomingKey, type: 2 });
+});
+
+test('forward sends the stored message to another chat', async () => {
+  const res = await app.request('POST', '/sessions/s1/messages/in-1/forward', { body: { to: '255700000002' } });
+  assert.equal(res.status, 200);
+  assert.equal(last().jid, '255700000002');
+  assert.deepEqual(last().content.forward.key, incomingKey);
+  assert.equal((await app.request('POST', '/sessions/s1/messages/in-1/forward', { body: {} })).status, 400);
+});
+
+test('delete revokes for everyone, or only on our devices', async () => {
+  let res = await app.request('DELETE', '/sessions/s1/messages/out-1');
+  assert.equal(res.status, 200);
+  assert.deepEqual(last().content, { delete: outgoingKey });
+
+  const count = sent.length;
+  res = await app.request('DELETE', '/sessions/s1/messages/in-1?forEveryone=false');
+  assert.equal(res.status, 200);
+  assert.equal(sent.length, count);
+  assert.equal(modified.at(-1).mod.deleteForMe.key.id, 'in-1');
+  assert.equal((await db.getRawMessage('s1', 'in-1')).deleted, true);
+  // deleted messages can't be forwarded any more
+  assert.equal((await app.request('POST', '/sessions/s1/messages/in-1/forward', { body: { to: '255700000002' } })).status, 409);
+});
+
+test('unknown messages, unknown sessions and the rate limit', async () => {
+  assert.equal((await app.request('POST', '/sessions/s1/messages/nope/reply', { body: { text: 'x' } })).status, 404);
+  assert.equal((await app.request('POST', '/sessions/s9/messages/in-1/reply', { body: { text: 'x' } })).status, 404);
+  budget = 0;
+  const res = await app.request('POST', '/sessions/s1/messages/out-1/reply', { body: { text: 'x' } });
+  assert.equal(res.status, 429);
+  budget = 10;
+});
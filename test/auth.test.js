@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { initDb, serve } from './helpers.js';
+import db from '../db.js';
+import registerAuthRoutes, { checkScope, requireScope, resolveToken, SCOPES } from '../functions/auth.js';
+
+let app;
+
+before(async () => {
+  await initDb('s1', 's2');
+  const probe = express.Router();
+  probe.get('/sessions/:id/probe/send', requireScope('send'), (req, res) => res.json({ ok: true }));
+  probe.get('/sessions/:id/probe/any', requireScope(), (req, res) => res.json({ ok: true }));
+  app = await serve(registerAuthRoutes({}), probe);
+});
+
+after(() => app.close());
+
+const issue = async (body) => {
+  const res = await app.request('POST', '/auth/tokens', { body });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body;
+};
+
+test('checkScope: admins pass, session tokens need the session and the scope', () => {
+  const admin = { role: 'admin', sessionId: null, scopes: ['*'] };
+  const token = { role: 'session', sessionId: 's1', scopes: ['send'] };
+  assert.equal(checkScope(admin, 's2', 'groups'), null);
+  assert.equal(checkScope(token, 's1', 'send'), null);
+  assert.equal(checkScope(token, 's1'), null);
+  assert.equal(checkScope(token, 's2', 'send').status, 403);
+  assert.match(checkScope(token, 's1', 'groups').error, /Missing required scope: groups/);
+  assert.equal(checkScope({ ...token, scopes: ['*'] }, 's1', 'groups'), null);
+  assert.equal(checkScope(null, 's1', 'send').status, 401);
+});
+
+test('requests without valid credentials are refused', async () => {
+  assert.equal((await app.request('GET', '/auth/me', { token: null })).status, 401);
+  assert.equal((await app.request('GET', '/auth/me', { token: 'wrong' })).status, 401);
+  assert.equal((await resolveToken('test-admin-key')).auth.role, 'admin');
+});
+
+test('session tokens are limited to their session and scopes', async () => {
+  const { token } = await issue({ sessionId: 's1', scopes: ['send'] });
+  assert.equal((await app.request('GET', '/sessions/s1/probe/send', { token })).status, 200);
+  assert.equal((await app.request('GET', '/sessions/s1/probe/any', { token })).status, 200);
+  assert.equal((await app.request('GET', '/sessions/s2/probe/send', { token })).status, 403);
+  // token management is admin-only
+  assert.equal((await app.request('GET', '/auth/tokens', { token })).status, 403);
+  assert.equal((await app.request('POST', '/auth/tokens', { token, body: { sessionId: 's1' } })).status, 403);
+});
+
+test('tokens default to every scope and reject unknown ones', async () => {
+  const record = await issue({ sessionId: 's1' });
+  assert.deepEqual(record.scopes, SCOPES);
+  const res = await app.request('POST', '/auth/tokens', { body: { sessionId: 's1', scopes: ['send', 'root'] } });
+  assert.equal(res.status, 400);
+  assert.equal((await app.request('POST', '/auth/tokens', { body: { sessionId: 'nope' } })).status, 404);
+});
+
+test('revoked tokens stop working', async () => {
+  const { token, id } = await issue({ sessionId: 's1', scopes: ['send'] });
+  assert.equal((await app.request('DELETE', `/auth/tokens/${id}`)).status, 200);
+  const res = await app.request('GET', '/sessions/s1/probe/send', { token });
+  assert.equal(res.status, 401);
+  assert.match(res.body.error, /revoked/);
+});
+
+test('expired tokens stop working', async () => {
+  const { token } = await issue({ sessionId: 's1', expiresIn: 1 });
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  assert.equal((await app.request('GET', '/sessions/s1/probe/send', { token })).status, 401);
+});
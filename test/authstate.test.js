@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initDb } from './helpers.js';
+import { proto } from '@whiskeysockets/baileys';
+import db from '../db.js';
+import {
+  DatabaseAuthStore, FileAuthStore, MemoryAuthStore, createAuthStore,
+  useStoreAuthState, readCreds, readAuthFolder, importAuthFiles, importLegacyAuth
+} from '../functions/authstate.js';
+
+let tmp;
+
+before(async () => {
+  await initDb('database', 'legacy-blob');
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'authstate-test-'));
+});
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const stores = () => [new DatabaseAuthStore(), new FileAuthStore(tmp), new MemoryAuthStore()];
+
+test('the backend follows AUTH_STORE', () => {
+  assert.equal(createAuthStore({ authDir: tmp }, {}).name, 'database');
+  assert.equal(createAuthStore({ authDir: tmp }, { AUTH_STORE: 'postgres' }).name, 'database');
+  assert.equal(createAuthStore({ authDir: tmp }, { AUTH_STORE: 'File' }).name, 'file');
+  assert.equal(createAuthStore({ authDir: tmp }, { AUTH_STORE: 'memory' }).name, 'memory');
+  assert.throws(() => createAuthStore({ authDir: tmp }, { AUTH_STORE: 'redis' }), /Unknown AUTH_STORE backend: redis/);
+});
+
+test('creds and keys round-trip through every store', async () => {
+  for (const store of stores()) {
+    const sessionId = store.name === 'database' ? 'database' : `rt-${store.name}`;
+    assert.equal(await readCreds(store, sessionId), null, store.name);
+
+    const { state, saveCreds } = await useStoreAuthState(store, sessionId);
+    state.creds.me = { id: '255700000000:3@s.whatsapp.net' };
+    await saveCreds();
+    await state.keys.set({
+      'pre-key': { 1: { public: Buffer.from([1, 2]), private: Buffer.from([3, 4]) } },
+      session: { '255700000001.0': { raw: 'signal session' } },
+      'sender-key': { '120363000000000001@g.us::255700000001::0': { chain: 1 } },
+      'app-state-sync-key': { AAAAAA: { keyData: Buffer.from([9]), timestamp: 5 } }
+    });
+
+    const creds = await readCreds(store, sessionId);
+    assert.equal(creds.me.id, '255700000000:3@s.whatsapp.net', store.name);
+    assert.ok(Buffer.isBuffer(creds.noiseKey.private), store.name);
+    assert.deepEqual(creds.noiseKey.private, state.creds.noiseKey.private);
+
+    // a fresh auth state (a restart) sees everything that was written
+    const reloaded = (await useStoreAuthState(store, sessionId)).state;
+    assert.equal(reloaded.creds.me.id, '255700000000:3@s.whatsapp.net');
+    const preKeys = await reloaded.keys.get('pre-key', ['1', '2']);
+    assert.deepEqual(Object.keys(preKeys), ['1'], store.name);
+    assert.deepEqual(preKeys['1'].public, Buffer.from([1, 2]));
+    assert.deepEqual(await reloaded.keys.get('session', ['255700000001.0']), { '255700000001.0': { raw: 'signal session' } });
+    assert.deepEqual(await reloaded.keys.get('sender-key', ['120363000000000001@g.us::255700000001::0']), { '120363000000000001@g.us::255700000001::0': { chain: 1 } });
+    const syncKey = (await reloaded.keys.get('app-state-sync-key', ['AAAAAA'])).AAAAAA;
+    assert.ok(syncKey instanceof proto.Message.AppStateSyncKeyData, store.name);
+
+    // null deletes a key, clear() drops the whole session
+    await reloaded.keys.set({ 'pre-key': { 1: null } });
+    assert.deepEqual(await reloaded.keys.get('pre-key', ['1']), {});
+    await store.clear(sessionId);
+    assert.equal(await readCreds(store, sessionId), null, store.name);
+    assert.deepEqual(await reloaded.keys.get('session', ['255700000001.0']), {});
+  }
+});
+
+test('the file store keeps the useMultiFileAuthState layout', async () => {
+  const store = new FileAuthStore(tmp);
+  const { state, saveCreds } = await useStoreAuthState(store, 'layout');
+  await saveCreds();
+  await state.keys.set({ 'sender-key': { 'group/a:b': { chain: 1 } }, 'pre-key': { 7: { public: Buffer.from([1]) } } });
+  const files = fs.readdirSync(path.join(tmp, 'layout')).sort();
+  assert.deepEqual(files, ['creds.json', 'pre-key-7.json', 'sender-key-group__a-b.json']);
+  assert.equal(Object.keys(readAuthFolder(path.join(tmp, 'layout'))).length, 3);
+  assert.equal(readAuthFolder(path.join(tmp, 'missing')), null);
+});
+
+test('auth files are imported under their key type', async () => {
+  const store = new MemoryAuthStore();
+  const count = await importAuthFiles(store, 'imported', {
+    'creds.json': { me: { id: '255700000000@s.whatsapp.net' } },
+    'pre-key-1.json': { public: 'a' },
+    'sender-key-memory-120363000000000001@g.us.json': { '255700000001': true },
+    'sender-key-120363000000000001@g.us--255700000001--0.json': { chain: 1 },
+    'app-state-sync-version-regular.json': { version: 3 },
+    'notes.json': { ignored: true },
+    'session-empty.json': null
+  });
+  assert.equal(count, 5);
+  assert.deepEqual(await store.read('imported', 'sender-key-memory', ['120363000000000001@g.us']), { '120363000000000001@g.us': '{"255700000001":true}' });
+  assert.deepEqual(Object.keys(await store.read('imported', 'sender-key', ['120363000000000001@g.us--255700000001--0'])), ['120363000000000001@g.us--255700000001--0']);
+  assert.deepEqual(await store.read('imported', 'app-state-sync-version', ['regular']), { regular: '{"version":3}' });
+  assert.equal((await readCreds(store, 'imported')).me.id, '255700000000@s.whatsapp.net');
+});
+
+test('legacy auth is imported once, from sessions.auth_json or the auth folder', async () => {
+  const store = new MemoryAuthStore();
+  await db.saveSession('legacy-blob', { 'creds.json': { me: { id: 'blob' } }, 'pre-key-1.json': { public: 'a' } });
+  assert.equal(await importLegacyAuth(store, 'legacy-blob', tmp), 2);
+  assert.equal((await readCreds(store, 'legacy-blob')).me.id, 'blob');
+
+  // the store already has creds: nothing is overwritten
+  await db.saveSession('legacy-blob', { 'creds.json': { me: { id: 'newer blob' } } });
+  assert.equal(await importLegacyAuth(store, 'legacy-blob', tmp), 0);
+  assert.equal((await readCreds(store, 'legacy-blob')).me.id, 'blob');
+
+  fs.mkdirSync(path.join(tmp, 'legacy-folder'));
+  fs.writeFileSync(path.join(tmp, 'legacy-folder', 'creds.json'), JSON.stringify({ me: { id: 'folder' } }));
+  fs.writeFileSync(path.join(tmp, 'legacy-folder', 'session-255700000001.0.json'), JSON.stringify({ raw: 1 }));
+  assert.equal(await importLegacyAuth(store, 'legacy-folder', tmp), 2);
+  assert.equal((await readCreds(store, 'legacy-folder')).me.id, 'folder');
+  assert.equal(await importLegacyAuth(store, 'no-auth', tmp), 0);
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { v4 as uuidv4 } from 'uuid';
+import { initDb } from './helpers.js';
+
+process.env.OUTBOX_RETRY_BASE_MS = '20';
+
+const { parseCsv, parseRecipients, renderTemplate, CampaignRunner } = await import('../functions/campaigns.js');
+const { OutboxWorker } = await import('../functions/outbox.js');
+const { NumberCheckCache } = await import('../functions/contacts.js');
+
+const db = await initDb('s1', 's2');
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('parseCsv handles quotes, escaped quotes, CRLF and blank lines', () => {
+  assert.deepEqual(parseCsv('phone,name\r\n255700000001,"Doe, Jane"\n\n255700000002,"say ""hi"""\n'), [
+    ['phone', 'name'],
+    ['255700000001', 'Doe, Jane'],
+    ['255700000002', 'say "hi"']
+  ]);
+  assert.deepEqual(parseCsv('a,"multi\nline",c'), [['a', 'multi\nline', 'c']]);
+  assert.deepEqual(parseCsv('a,,c'), [['a', '', 'c']]);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('CSV recipients need a phone column; other columns become variables', () => {
+  const { recipients } = parseRecipients({ csv: '﻿Name,Phone,Plan\nAmina,+255 700 000001,Gold\n' });
+  assert.deepEqual(recipients, [{ phone: '255700000001', variables: { Name: 'Amina', Plan: 'Gold' } }]);
+  assert.match(parseRecipients({ csv: 'name\nAmina' }).error, /"phone" column/);
+});
+
+test('JSON recipients and validation', () => {
+  const { recipients } = parseRecipients({ recipients: ['255700000001', { number: '255700000002', name: 'Ali', variables: { plan: 'Basic' } }] });
+  assert.deepEqual(recipients, [
+    { phone: '255700000001', variables: {} },
+    { phone: '255700000002', variables: { name: 'Ali', plan: 'Basic' } }
+  ]);
+  assert.match(parseRecipients({ recipients: ['123', 'abc'] }).error, /Invalid phone numbers: 123, abc/);
+  assert.match(parseRecipients({ recipients: [] }).error, /empty/);
+  assert.match(parseRecipients({}).error, /Provide "recipients"/);
+});
+
+test('renderTemplate fills placeholders with fallbacks', () => {
+  assert.equal(renderTemplate('Hi {{ name }}, your plan: {{plan|Basic}}', { name: 'Amina', plan: '' }), 'Hi Amina, your plan: Basic');
+  assert.equal(renderTemplate('Hi {{name}}!', {}), 'Hi !');
+});
+
+// Connected session whose sends fail with the given errors first
+function fakeManager(sessionId, failures = []) {
+  const sent = [];
+  const sock = { onWhatsApp: async (...numbers) => numbers.map(n => ({ jid: `${n}@s.whatsapp.net`, exists: true })) };
+  const manager = {
+    cluster: { enabled: false },
+    numberCache: new NumberCheckCache(),
+    sockets: new Map([[sessionId, { sock, isConnected: true }]]),
+    sendContent: async (id, to, content) => {
+      if (failures.length) throw failures.shift();
+      sent.push({ to, text: content.text });
+      return { key: { id: `msg-${sent.length}` } };
+    }
+  };
+  manager.outbox = new OutboxWorker(manager);
+  manager.campaigns = new CampaignRunner(manager);
+  return { manager, sent };
+}
+
+const createCampaign = (sessionId, phones) => db.createCampaign({
+  id: uuidv4(), sessionId, template: 'Hi {{name|there}}', minDelayMs: 0, maxDelayMs: 0,
+  recipients: phones.map(phone => ({ phone, variables: {} }))
+});
+
+test('campaign messages go through the outbox and survive a failed attempt', async () => {
+  const { manager, sent } = fakeManager('s1', [new Error('Connection Closed')]);
+  manager.outbox.events.on('job', manager.campaigns.onOutboxJob);
+  try {
+    let campaign = await createCampaign('s1', ['255700000001']);
+    await manager.campaigns.step(campaign);
+    const [recipient] = await db.listCampaignRecipients(campaign.id);
+    assert.equal(recipient.status, 'sending');
+    assert.ok(recipient.outboxJobId);
+
+    // the disconnect only delays the message
+    const retried = await manager.outbox.waitFor(recipient.outboxJobId, 2000);
+    assert.equal(retried.status, 'queued');
+    assert.equal((await db.listCampaignRecipients(campaign.id))[0].status, 'sending');
+
+    await sleep(40);
+    const done = manager.outbox.waitFor(recipient.outboxJobId, 2000);
+    await manager.outbox.tick();
+    assert.equal((await done).status, 'sent');
+    await sleep(20);
+    const [finished] = await db.listCampaignRecipients(campaign.id);
+    assert.equal(finished.status, 'sent');
+    assert.equal(finished.messageId, 'msg-1');
+    assert.deepEqual(sent, [{ to: '255700000001@s.whatsapp.net', text: 'Hi there' }]);
+
+    campaign = await db.getCampaign('s1', campaign.id);
+    await manager.campaigns.step(campaign);
+    assert.equal((await db.getCampaign('s1', campaign.id)).status, 'completed');
+  } finally {
+    manager.outbox.events.removeListener('job', manager.campaigns.onOutboxJob);
+  }
+});
+
+test('campaign sends wait for the outbox rate limit', async () => {
+  const { manager } = fakeManager('s2');
+  const campaign = await createCampaign('s2', ['255700000002']);
+  manager.outbox.sentAt.set('s2', Array(20).fill(Date.now()));
+  await manager.campaigns.step(campaign);
+  assert.equal((await db.listCampaignRecipients(campaign.id))[0].status, 'pending');
+});
+
+test('after a restart, recipients take the outcome of their outbox job or are queued again', async () => {
+  const campaign = await createCampaign('s2', ['255700000011', '255700000012', '255700000013']);
+  const [sentOne, queuedOne, lostOne] = await db.listCampaignRecipients(campaign.id);
+  const job = (id, to) => db.enqueueOutbox({ id, sessionId: 's2', to, content: { text: 'hi' } });
+  await db.updateCampaignRecipient(sentOne.id, { status: 'sending', outboxJobId: 'job-sent' });
+  await job('job-sent', '255700000011');
+  await db.markOutboxSent('job-sent', 'msg-sent');
+  await db.updateCampaignRecipient(queuedOne.id, { status: 'sending', outboxJobId: 'job-queued' });
+  await job('job-queued', '255700000012');
+  // the job id was recorded, then the process stopped before the job was queued
+  await db.updateCampaignRecipient(lostOne.id, { status: 'sending', outboxJobId: 'job-lost' });
+
+  assert.equal(await db.requeueStuckCampaignRecipients('s2'), 1);
+  const byId = new Map((await db.listCampaignRecipients(campaign.id)).map(r => [r.id, r]));
+  assert.equal(byId.get(sentOne.id).status, 'sent');
+  assert.equal(byId.get(sentOne.id).messageId, 'msg-sent');
+  assert.equal(byId.get(queuedOne.id).status, 'sending');
+  assert.equal(byId.get(lostOne.id).status, 'pending');
+  assert.equal(byId.get(lostOne.id).outboxJobId, null);
+});
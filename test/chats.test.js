@@ -0,0 +1,29 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb, serve } from './helpers.js';
+import registerChatRoutes from '../functions/chats.js';
+
+let app;
+
+before(async () => {
+  const db = await initDb('s1');
+  await db.upsertChats('s1', [{ id: '255700000001@s.whatsapp.net', name: 'Amina', unreadCount: 2 }, { id: '120363000000000001@g.us', name: 'Team' }]);
+  app = await serve(registerChatRoutes({ sockets: new Map() }));
+});
+
+after(() => app.close());
+
+test('chats are found by JID, phone number or group id', async () => {
+  for (const id of [encodeURIComponent('255700000001@s.whatsapp.net'), '255700000001', encodeURIComponent('+255 700 000001')]) {
+    const res = await app.request('GET', `/sessions/s1/chats/${id}`);
+    assert.equal(res.status, 200, id);
+    assert.equal(res.body.chat.name, 'Amina');
+  }
+  const res = await app.request('GET', '/sessions/s1/chats/120363000000000001');
+  assert.equal(res.body.chat.name, 'Team');
+});
+
+test('a literal % in a chat id is not decoded a second time', async () => {
+  const res = await app.request('GET', `/sessions/s1/chats/${encodeURIComponent('%E0@lid')}`);
+  assert.equal(res.status, 404);
+});
@@ -0,0 +1,142 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import express from 'express';
+import { initDb } from './helpers.js';
+
+process.env.LEASE_TTL_MS = '300';
+
+const { SessionCluster } = await import('../functions/cluster.js');
+const { MemoryAuthStore, importAuthFiles } = await import('../functions/authstate.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+let db;
+
+// The parts of SessionManager a cluster node calls back into
+function node(nodeId, address = `http://${nodeId}.internal:3000`) {
+  const manager = {
+    sockets: new Map(),
+    authStore: new MemoryAuthStore(),
+    stopped: [],
+    started: [],
+    stopLocalSession(sessionId) { this.stopped.push(sessionId); this.sockets.delete(sessionId); },
+    async startSession(sessionId) { this.started.push(sessionId); this.sockets.set(sessionId, {}); }
+  };
+  manager.cluster = new SessionCluster(manager, { CLUSTER: 'true', NODE_ID: nodeId, NODE_URL: `${address}/` });
+  return manager;
+}
+
+before(async () => {
+  db = await initDb('lease', 'failover', 'unpaired', 'forward');
+});
+
+test('with clustering off every session is local', async () => {
+  const cluster = new SessionCluster({ sockets: new Map() }, {});
+  assert.equal(cluster.enabled, false);
+  assert.equal(await cluster.acquire('lease'), true);
+  assert.equal(cluster.owns('anything'), true);
+  assert.equal(await db.getSessionLease('lease'), null);
+});
+
+test('a lease is held by one node until it expires, then another node takes over', async () => {
+  const a = node('node-a');
+  const b = node('node-b');
+  assert.equal(a.cluster.address, 'http://node-a.internal:3000');
+  assert.equal(await a.cluster.acquire('lease'), true);
+  assert.equal(await b.cluster.acquire('lease'), false);
+  assert.equal(a.cluster.owns('lease'), true);
+  assert.equal(b.cluster.owns('lease'), false);
+  assert.equal((await db.getSessionLease('lease')).owner, 'node-a');
+
+  // renewing keeps the lease past its first expiry
+  await sleep(200);
+  await a.cluster.tick();
+  await sleep(200);
+  assert.equal(await b.cluster.acquire('lease'), false);
+
+  // node a stops renewing; a send it had in flight is queued again for the new owner
+  const job = await db.enqueueOutbox({ id: 'in-flight', sessionId: 'lease', to: '255700000001', content: { text: 'hi' } });
+  await db.claimOutboxJobs('lease', 1);
+  assert.equal((await db.getOutboxJob('lease', job.id)).status, 'sending');
+  await sleep(400);
+  assert.equal(await db.getSessionLease('lease'), null);
+  assert.equal(await b.cluster.acquire('lease'), true);
+  assert.equal((await db.getSessionLease('lease')).owner, 'node-b');
+  assert.equal((await db.getOutboxJob('lease', job.id)).status, 'queued');
+
+  // the old owner notices on its next heartbeat and stops its socket
+  a.sockets.set('lease', {});
+  await a.cluster.tick();
+  assert.deepEqual(a.stopped, ['lease']);
+  assert.equal(a.cluster.owns('lease'), false);
+  assert.equal(a.sockets.has('lease'), false);
+
+  await b.cluster.releaseAll();
+  assert.equal(await db.getSessionLease('lease'), null);
+});
+
+test('the heartbeat starts paired sessions no live node runs', async () => {
+  const a = node('failover-a');
+  await importAuthFiles(a.authStore, 'failover', { 'creds.json': { me: { id: '255700000000:1@s.whatsapp.net' } } });
+  await a.cluster.tick();
+  await sleep(20);
+  // only the session with paired creds; "unpaired" has never logged in
+  assert.deepEqual(a.started, ['failover']);
+  assert.equal(a.cluster.owns('failover'), true);
+
+  // a second node sees the live lease and leaves the session alone
+  const b = node('failover-b');
+  b.authStore = a.authStore;
+  await b.cluster.tick();
+  assert.deepEqual(b.started, []);
+
+  await a.cluster.release('failover');
+  assert.equal(a.cluster.owns('failover'), false);
+  assert.equal(await db.getSessionLease('failover'), null);
+});
+
+test('requests for a session owned by another node are forwarded to it once', async () => {
+  const seen = [];
+  const owner = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      seen.push({ url: req.url, forwardedBy: req.headers['x-forwarded-by-node'], body });
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ from: 'owner' }));
+    });
+  });
+  await new Promise(resolve => owner.listen(0, '127.0.0.1', resolve));
+  const a = node('forward-a', `http://127.0.0.1:${owner.address().port}`);
+  const b = node('forward-b');
+  await a.cluster.acquire('forward');
+
+  const app = express();
+  app.use(b.cluster.middleware());
+  app.use((req, res) => res.json({ from: 'local' }));
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const forwarded = await fetch(`${base}/sessions/forward/send?wait=false`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"to":"255700000001"}' });
+    assert.equal(forwarded.status, 201);
+    assert.deepEqual(await forwarded.json(), { from: 'owner' });
+    assert.deepEqual(seen, [{ url: '/sessions/forward/send?wait=false', forwardedBy: 'forward-b', body: '{"to":"255700000001"}' }]);
+
+    // already forwarded, unowned or not a session route: handled here
+    const again = await fetch(`${base}/sessions/forward/send`, { method: 'POST', headers: { 'x-forwarded-by-node': 'forward-c' } });
+    assert.deepEqual(await again.json(), { from: 'local' });
+    assert.deepEqual(await (await fetch(`${base}/sessions/lease/send`)).json(), { from: 'local' });
+    assert.deepEqual(await (await fetch(`${base}/health`)).json(), { from: 'local' });
+    assert.equal(seen.length, 1);
+
+    // the owner going away answers 502 instead of hanging
+    await new Promise(resolve => owner.close(resolve));
+    const down = await fetch(`${base}/sessions/forward/status`);
+    assert.equal(down.status, 502);
+    assert.equal((await down.json()).node, 'forward-a');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    if (owner.listening) owner.close();
+    await a.cluster.releaseAll();
+  }
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DisconnectReason } from '@whiskeysockets/baileys';
+import { ReconnectTracker, reconnectDelay, disconnectReason, TERMINAL_DISCONNECTS } from '../functions/connection.js';
+
+const options = { baseMs: 1000, maxMs: 8000, maxAttempts: 3 };
+
+test('delays double per attempt up to maxMs, with jitter between half and all of it', () => {
+  for (let i = 0; i < 50; i++) {
+    for (const [attempt, full] of [[1, 1000], [2, 2000], [3, 4000], [4, 8000], [10, 8000]]) {
+      const delay = reconnectDelay(attempt, options);
+      assert.ok(delay >= full / 2 && delay <= full, `attempt ${attempt}: ${delay}`);
+    }
+  }
+});
+
+test('attempts are counted per session until maxAttempts', () => {
+  const tracker = new ReconnectTracker(options);
+  const closed = DisconnectReason.connectionClosed;
+  assert.equal(tracker.next('s1', closed).attempt, 1);
+  assert.equal(tracker.next('s1', closed).attempt, 2);
+  assert.equal(tracker.next('s2', closed).attempt, 1);
+  const third = tracker.next('s1', closed);
+  assert.equal(third.attempt, 3);
+  assert.ok(third.nextAttemptAt >= Date.now());
+  assert.deepEqual(tracker.status('s1'), { attempt: 3, maxAttempts: 3, nextAttemptAt: third.nextAttemptAt });
+  // used up: give up and forget the session
+  assert.equal(tracker.next('s1', closed), null);
+  assert.equal(tracker.status('s1'), null);
+});
+
+test('the restart after pairing is immediate and not counted', () => {
+  const tracker = new ReconnectTracker(options);
+  const restart = tracker.next('s1', DisconnectReason.restartRequired);
+  assert.equal(restart.delayMs, 0);
+  assert.equal(restart.attempt, 0);
+  assert.equal(tracker.next('s1', DisconnectReason.connectionLost).attempt, 1);
+});
+
+test('reset starts over and maxAttempts 0 never gives up', () => {
+  const tracker = new ReconnectTracker(options);
+  tracker.next('s1', DisconnectReason.timedOut);
+  tracker.reset('s1');
+  assert.equal(tracker.status('s1'), null);
+  assert.equal(tracker.next('s1', DisconnectReason.timedOut).attempt, 1);
+
+  const forever = new ReconnectTracker({ ...options, maxAttempts: 0 });
+  for (let i = 1; i <= 50; i++) assert.equal(forever.next('s1', DisconnectReason.connectionLost).attempt, i);
+  assert.equal(forever.status('s1').maxAttempts, null);
+});
+
+test('terminal disconnects and reason names', () => {
+  assert.equal(TERMINAL_DISCONNECTS[DisconnectReason.loggedOut], 'logged_out');
+  assert.equal(TERMINAL_DISCONNECTS[DisconnectReason.forbidden], 'banned');
+  assert.equal(TERMINAL_DISCONNECTS[DisconnectReason.connectionClosed], undefined);
+  assert.equal(disconnectReason(401), 'loggedOut');
+  assert.equal(disconnectReason(null), null);
+  assert.equal(disconnectReason(999), 'unknown');
+});
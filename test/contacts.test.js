@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb, serve } from './helpers.js';
+import registerContactRoutes, { checkNumbers, NumberCheckCache } from '../functions/contacts.js';
+
+// onWhatsApp stand-in: registered maps a queried number to the account WhatsApp answers with
+function fakeManager(registered) {
+  const queries = [];
+  const sock = {
+    onWhatsApp: async (...numbers) => {
+      queries.push(numbers);
+      // like Baileys: existing accounts only, without the number that was asked for, in any order
+      return numbers.filter(n => registered[n]).map(n => ({ jid: `${registered[n]}@s.whatsapp.net`, exists: true })).reverse();
+    }
+  };
+  return { queries, sockets: new Map([['s1', { sock }]]), numberCache: new NumberCheckCache() };
+}
+
+test('numbers are matched by their digits and cached', async () => {
+  const manager = fakeManager({ 255700000001: '255700000001' });
+  const results = await checkNumbers(manager, 's1', ['+255 700 000001', '255700000002']);
+  assert.deepEqual(results, [
+    { input: '+255 700 000001', jid: '255700000001@s.whatsapp.net', exists: true, cached: false },
+    { input: '255700000002', jid: null, exists: false, cached: false }
+  ]);
+  const [again] = await checkNumbers(manager, 's1', ['255700000001@s.whatsapp.net']);
+  assert.equal(again.cached, true);
+  assert.equal(manager.queries.length, 1);
+});
+
+test('a number WhatsApp answers in another form is mapped back to the input', async () => {
+  // Brazilian mobile queried with the extra 9, answered without it
+  const manager = fakeManager({ 5511912345678: '551112345678' });
+  const [single] = await checkNumbers(manager, 's1', ['5511912345678']);
+  assert.deepEqual(single, { input: '5511912345678', jid: '551112345678@s.whatsapp.net', exists: true, cached: false });
+
+  const batch = fakeManager({ 5511912345678: '551112345678', 5521987654321: '552187654321', 255700000001: '255700000001' });
+  const results = await checkNumbers(batch, 's1', ['5511912345678', '255700000001', '5521987654321', '255700000009']);
+  assert.deepEqual(results.map(r => r.jid), [
+    '551112345678@s.whatsapp.net', '255700000001@s.whatsapp.net', '552187654321@s.whatsapp.net', null
+  ]);
+});
+
+test('misses expire sooner than hits', () => {
+  const cache = new NumberCheckCache(60000, 1000);
+  cache.set('s1', '1', { jid: '1@s.whatsapp.net', exists: true });
+  cache.set('s1', '2', { jid: null, exists: false });
+  for (const entry of cache.entries.values()) entry.checkedAt -= 5000;
+  assert.equal(cache.get('s1', '1').exists, true);
+  assert.equal(cache.get('s1', '2'), null);
+});
+
+test('contact ids are taken as express decoded them', async () => {
+  await initDb();
+  const asked = [];
+  const sock = {
+    profilePictureUrl: async (jid) => { asked.push(jid); return null; },
+    fetchStatus: async () => null,
+    getBusinessProfile: async () => null
+  };
+  const app = await serve(registerContactRoutes({ sockets: new Map([['s1', { sock, isConnected: true }]]) }));
+  try {
+    let res = await app.request('GET', `/sessions/s1/contacts/${encodeURIComponent('255700000001@s.whatsapp.net')}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.jid, '255700000001@s.whatsapp.net');
+    // a literal % must not be decoded a second time (that used to answer 500 with a URIError)
+    res = await app.request('GET', `/sessions/s1/contacts/${encodeURIComponent('%E0@lid')}`);
+    assert.equal(res.status, 200);
+    assert.equal(asked.at(-1), '%E0@lid');
+  } finally {
+    await app.close();
+  }
+});
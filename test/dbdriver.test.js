@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import { createPool, translate } from '../functions/dbdriver.js';
+import { MIGRATIONS, migrate } from '../functions/migrations.js';
+
+test('Postgres SQL is translated to SQLite', () => {
+  assert.equal(
+    translate('SELECT * FROM t WHERE id = ANY($1::text[]) AND name ILIKE $2 FOR UPDATE SKIP LOCKED'),
+    'SELECT * FROM t WHERE id IN (SELECT value FROM json_each(@p1)) AND name LIKE @p2'
+  );
+  assert.equal(translate('SELECT $1::jsonb, $2::timestamptz'), 'SELECT @p1, @p2');
+  assert.equal(
+    translate('CREATE TABLE x (id BIGSERIAL PRIMARY KEY, created_at TIMESTAMPTZ DEFAULT now())'),
+    "CREATE TABLE x (id INTEGER PRIMARY KEY AUTOINCREMENT, created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')))"
+  );
+});
+
+test('unknown drivers are refused', async () => {
+  await assert.rejects(createPool({ DB_DRIVER: 'mysql' }), /Unknown DB_DRIVER/);
+  await assert.rejects(createPool({ DB_DRIVER: 'postgres' }), /DATABASE_URL is required/);
+});
+
+test('rows come back typed like pg returns them', async () => {
+  const pool = await createPool({ DB_DRIVER: 'memory' });
+  const client = await pool.connect();
+  try {
+    await client.query('CREATE TABLE t (id TEXT PRIMARY KEY, data JSONB, flag BOOLEAN, at TIMESTAMPTZ, n INTEGER)');
+    const at = new Date('2026-01-02T03:04:05.678Z');
+    await client.query('INSERT INTO t VALUES ($1,$2,$3,$4,$5)', ['a', { x: [1, 2] }, true, at, 7]);
+    await client.query('INSERT INTO t VALUES ($1,$2,$3,$4,$5)', ['b', null, false, null, 8]);
+    const { rows } = await client.query('SELECT * FROM t WHERE id = ANY($1) ORDER BY id', [['a', 'b']]);
+    assert.deepEqual(rows, [
+      { id: 'a', data: { x: [1, 2] }, flag: true, at, n: 7 },
+      { id: 'b', data: null, flag: false, at: null, n: 8 }
+    ]);
+    const later = await client.query(`SELECT ${pool.dialect.addMs('at', '$1')} AS t FROM t WHERE id = 'a'`, [1500]);
+    assert.equal(later.rows[0].t, '2026-01-02T03:04:07.178Z');
+    const set = await client.query(`UPDATE t SET data = ${pool.dialect.jsonSet('data', '$1', '$2')} WHERE id = 'b' RETURNING data`, ['k', JSON.stringify({ v: 1 })]);
+    assert.deepEqual(set.rows[0].data, { k: { v: 1 } });
+    const changed = await client.query('UPDATE t SET n = n + 1');
+    assert.equal(changed.rowCount, 2);
+  } finally {
+    client.release();
+    await pool.end();
+  }
+});
+
+test('connections are handed out one at a time', async () => {
+  const pool = await createPool({ DB_DRIVER: 'memory' });
+  const first = await pool.connect();
+  let second = null;
+  const waiting = pool.connect().then(c => { second = c; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(second, null);
+  assert.equal(pool.waitingCount, 1);
+  first.release();
+  await waiting;
+  second.release();
+  await pool.end();
+});
+
+test('migrations have increasing versions and apply once', async () => {
+  const versions = MIGRATIONS.map(m => m.version);
+  assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+  assert.equal(new Set(versions).size, versions.length);
+
+  const pool = await createPool({ DB_DRIVER: 'memory' });
+  assert.deepEqual(await migrate(pool), versions);
+  assert.deepEqual(await migrate(pool), []);
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    assert.deepEqual(rows.map(r => r.version), versions);
+  } finally {
+    client.release();
+    await pool.end();
+  }
+});
+
+test('a failing migration rolls back completely', async () => {
+  const pool = await createPool({ DB_DRIVER: 'memory' });
+  MIGRATIONS.push({ version: 9999, name: 'broken', statements: ['CREATE TABLE ok_table (id TEXT)', 'NOT SQL'] });
+  try {
+    await assert.rejects(migrate(pool));
+  } finally {
+    MIGRATIONS.pop();
+  }
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query("SELECT name FROM sqlite_master WHERE name IN ('ok_table', 'schema_migrations')");
+    assert.deepEqual(rows, []);
+  } finally {
+    client.release();
+    await pool.end();
+  }
+});
@@ -0,0 +1,103 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { initDb } from './helpers.js';
+import db from '../db.js';
+import {
+  configureEncryption, parseKey, encryptString, decryptString, encryptJson, decryptJson, encryptMessageRaw, isEncrypted, needsReencrypt
+} from '../functions/encryption.js';
+
+const keyA = crypto.randomBytes(32).toString('hex');
+const keyB = crypto.randomBytes(32).toString('base64');
+
+before(() => initDb());
+
+async function rawAuthValue(id) {
+  const client = await db.pool.connect();
+  try {
+    const res = await client.query("SELECT value FROM auth_keys WHERE session_id = 'rot' AND key_id = $1", [id]);
+    return res.rows[0].value;
+  } finally {
+    client.release();
+  }
+}
+
+test('keys must be 32 bytes as hex or base64', () => {
+  assert.equal(parseKey(keyA).length, 32);
+  assert.equal(parseKey(keyB).length, 32);
+  assert.throws(() => parseKey('too-short'), /32 bytes/);
+});
+
+test('strings and JSON round-trip, with a fresh data key per value', () => {
+  configureEncryption({ key: keyA });
+  const a = encryptString('hello');
+  const b = encryptString('hello');
+  assert.ok(a.startsWith('enc:v1:'));
+  assert.notEqual(a, b);
+  assert.equal(decryptString(a), 'hello');
+  assert.equal(encryptString(a), a); // already encrypted values are left alone
+
+  const raw = { key: { id: 'ABC', remoteJid: '1@s.whatsapp.net' }, messageTimestamp: 1700000000, message: { conversation: 'secret' } };
+  const stored = encryptMessageRaw(raw);
+  assert.deepEqual(stored.key, raw.key);
+  assert.equal(stored.messageTimestamp, raw.messageTimestamp);
+  assert.equal(stored.message, undefined);
+  assert.ok(isEncrypted(stored));
+  assert.deepEqual(decryptJson(stored), raw);
+  assert.deepEqual(decryptJson(encryptJson({ a: 1 })), { a: 1 });
+});
+
+test('tampered values fail to decrypt', () => {
+  configureEncryption({ key: keyA });
+  const value = encryptString('hello');
+  const [prefix, payload] = [value.slice(0, value.lastIndexOf(':') + 1), value.slice(value.lastIndexOf(':') + 1)];
+  const bytes = Buffer.from(payload, 'base64');
+  bytes[bytes.length - 1] ^= 1;
+  assert.throws(() => decryptString(prefix + bytes.toString('base64')));
+});
+
+test('values need the key they were encrypted with', () => {
+  configureEncryption({ key: keyA });
+  const value = encryptString('hello');
+  configureEncryption({ key: keyB });
+  assert.throws(() => decryptString(value), /not configured/);
+  configureEncryption({ key: keyB, passthrough: true });
+  assert.equal(decryptString(value), value);
+  configureEncryption({ key: keyB, oldKeys: [keyA] });
+  assert.equal(decryptString(value), 'hello');
+});
+
+test('without a key nothing is encrypted and plaintext stays readable', () => {
+  configureEncryption({});
+  assert.equal(encryptString('plain'), 'plain');
+  assert.deepEqual(encryptJson({ a: 1 }), { a: 1 });
+  assert.equal(decryptString('plain'), 'plain');
+  assert.equal(needsReencrypt('plain'), false);
+});
+
+test('reencryptAll rotates stored values to the current key', async () => {
+  configureEncryption({});
+  await db.saveSession('rot', {});
+  await db.writeAuthKeys('rot', [{ category: 'pre-key', id: 'plain', value: 'v0' }]);
+  configureEncryption({ key: keyA });
+  await db.writeAuthKeys('rot', [{ category: 'pre-key', id: 'old', value: 'v1' }]);
+  assert.equal(needsReencrypt(await rawAuthValue('plain')), true);
+
+  configureEncryption({ key: keyB, oldKeys: [keyA] });
+  assert.equal(needsReencrypt(await rawAuthValue('old')), true);
+  const totals = await db.reencryptAll({ batchSize: 1 });
+  assert.equal(totals.auth_keys, 2);
+  assert.equal(needsReencrypt(await rawAuthValue('old')), false);
+  assert.equal(needsReencrypt(await rawAuthValue('plain')), false);
+  assert.deepEqual((await db.reencryptAll()).auth_keys, 0);
+
+  // the old key is no longer needed
+  configureEncryption({ key: keyB });
+  assert.deepEqual(await db.readAuthKeys('rot', 'pre-key', ['plain', 'old']), { plain: 'v0', old: 'v1' });
+
+  // dropping the key: with only an old key configured, everything is rewritten in plaintext
+  configureEncryption({ oldKeys: [keyB] });
+  await db.reencryptAll();
+  configureEncryption({});
+  assert.equal(await rawAuthValue('old'), 'v1');
+});
@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import net from 'net';
+import './helpers.js';
+import { attachEventSocket } from '../functions/events.js';
+
+let server;
+let port;
+
+// Raw upgrade request; resolves with what the server wrote before closing the socket
+function upgrade(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => {
+      const lines = [`GET ${path} HTTP/1.1`, 'Host: localhost', 'Connection: Upgrade', 'Upgrade: websocket',
+        'Sec-WebSocket-Version: 13', 'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ=='];
+      for (const [k, v] of Object.entries(headers)) lines.push(`${k}: ${v}`);
+      socket.write(lines.join('\r\n') + '\r\n\r\n');
+    });
+    let data = '';
+    socket.on('data', chunk => { data += chunk; });
+    socket.on('close', () => resolve(data));
+    socket.on('error', reject);
+  });
+}
+
+before(async () => {
+  const manager = {
+    cluster: { forwardUpgrade: async (req, socket, head, sessionId) => { if (sessionId === 'boom') throw new Error('lease lookup failed'); return false; } }
+  };
+  server = http.createServer();
+  attachEventSocket(manager, server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('malformed session id is answered with 400 instead of crashing the process', async () => {
+  const response = await upgrade('/sessions/%E0%A4%A/events/ws');
+  assert.match(response, /^HTTP\/1\.1 400 /);
+});
+
+test('unknown paths get 404', async () => {
+  const response = await upgrade('/nope');
+  assert.match(response, /^HTTP\/1\.1 404 /);
+});
+
+test('upgrades without credentials get 401', async () => {
+  const response = await upgrade('/sessions/abc/events/ws');
+  assert.match(response, /^HTTP\/1\.1 401 /);
+});
+
+test('a failing forward lookup closes the socket', async () => {
+  const response = await upgrade('/sessions/boom/events/ws', { Authorization: 'Bearer test-admin-key' });
+  assert.equal(response, '');
+});
@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { serve } from './helpers.js';
+import registerGroupRoutes, { GroupCache } from '../functions/groups.js';
+
+const asked = [];
+let listed = 0;
+const sock = {
+  groupMetadata: async (jid) => {
+    asked.push(jid);
+    return { id: jid, subject: 'Team', participants: [] };
+  },
+  groupFetchAllParticipating: async () => {
+    listed++;
+    return { '120363000000000009@g.us': { id: '120363000000000009@g.us', subject: `Listed ${listed}`, participants: [] } };
+  }
+};
+const manager = { sockets: new Map([['s1', { sock, isConnected: true }]]), groupCache: new GroupCache() };
+let app;
+
+before(async () => { app = await serve(registerGroupRoutes(manager)); });
+after(() => app.close());
+
+test('group ids are taken as express decoded them', async () => {
+  let res = await app.request('GET', '/sessions/s1/groups/120363000000000001');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.group.id, '120363000000000001@g.us');
+
+  res = await app.request('GET', `/sessions/s1/groups/${encodeURIComponent('120363000000000002@g.us')}`);
+  assert.equal(res.body.group.id, '120363000000000002@g.us');
+
+  // a literal % must not be decoded a second time (that used to answer 500 with a URIError)
+  res = await app.request('GET', '/sessions/s1/groups/12%25E0');
+  assert.equal(res.status, 200);
+  assert.equal(asked.at(-1), '12%E0@g.us');
+});
+
+test('group routes need a connected session', async () => {
+  const res = await app.request('GET', '/sessions/nope/groups/1');
+  assert.equal(res.status, 404);
+});
+
+test('the group list is always fetched and refreshes the metadata cache', async () => {
+  let res = await app.request('GET', '/sessions/s1/groups');
+  assert.equal(res.body.groups[0].subject, 'Listed 1');
+  res = await app.request('GET', '/sessions/s1/groups');
+  assert.equal(res.body.groups[0].subject, 'Listed 2');
+  const before = asked.length;
+  res = await app.request('GET', '/sessions/s1/groups/120363000000000009');
+  assert.equal(res.body.group.subject, 'Listed 2');
+  assert.equal(asked.length, before);
+  res = await app.request('GET', '/sessions/s1/groups/120363000000000009?refresh=true');
+  assert.equal(res.body.group.subject, 'Team');
+  assert.equal(asked.length, before + 1);
+});
@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb, serve } from './helpers.js';
+
+process.env.HEALTH_DB_TIMEOUT_MS = '100';
+
+const { default: registerHealthRoutes, sessionCounts } = await import('../functions/health.js');
+
+const db = await initDb();
+const manager = {
+  ready: false,
+  sockets: new Map([
+    ['open', { isConnected: true }],
+    ['qr', { isConnected: false, qr: { value: 'qr' } }],
+    ['dropped', { isConnected: false }],
+    ['new', { isConnected: false }]
+  ]),
+  reconnects: { status: (sessionId) => (sessionId === 'dropped' ? { attempt: 2 } : null) }
+};
+let app;
+
+before(async () => { app = await serve(registerHealthRoutes(manager)); });
+after(() => app.close());
+
+test('sessions are counted by state', () => {
+  assert.deepEqual(sessionCounts(manager), { running: 4, connected: 1, pairing: 1, connecting: 1, reconnecting: 1 });
+});
+
+test('health and liveness answer without credentials', async () => {
+  const health = await app.request('GET', '/health', { token: null });
+  assert.equal(health.status, 200);
+  assert.equal(health.body.status, 'ok');
+  assert.equal(health.body.sessions.connected, 1);
+
+  const live = await app.request('GET', '/health/live', { token: null });
+  assert.equal(live.status, 200);
+  assert.equal(typeof live.body.uptimeSeconds, 'number');
+});
+
+test('readiness waits for the sessions to be restored', async () => {
+  const res = await app.request('GET', '/health/ready', { token: null });
+  assert.equal(res.status, 503);
+  assert.equal(res.body.status, 'not_ready');
+  assert.equal(res.body.checks.database.ok, true);
+  assert.equal(res.body.checks.database.driver, 'sqlite');
+  assert.equal(res.body.checks.sessions.ok, false);
+
+  manager.ready = true;
+  const ready = await app.request('GET', '/health/ready');
+  assert.equal(ready.status, 200);
+  assert.equal(ready.body.status, 'ready');
+  assert.equal(typeof ready.body.checks.database.latencyMs, 'number');
+  // a session that isn't connected doesn't fail the check
+  assert.equal(ready.body.checks.sessions.reconnecting, 1);
+});
+
+test('a database that fails or hangs makes the node not ready', async () => {
+  manager.ready = true;
+  const ping = db.ping;
+  try {
+    db.ping = async () => { throw new Error('connection refused'); };
+    const failed = await app.request('GET', '/health/ready');
+    assert.equal(failed.status, 503);
+    assert.deepEqual(failed.body.checks.database, { ok: false, driver: 'sqlite', error: 'connection refused' });
+
+    db.ping = () => new Promise(() => {});
+    const hung = await app.request('GET', '/health/ready');
+    assert.equal(hung.status, 503);
+    assert.equal(hung.body.checks.database.error, 'No answer within 100ms');
+  } finally {
+    db.ping = ping;
+  }
+});
@@ -0,0 +1,46 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+
+// Modules read their settings when first imported, so test files import this file before anything under test.
+// A file that needs other settings sets them after this import and loads the modules with await import().
+process.env.DB_DRIVER = 'memory';
+process.env.API_ADMIN_KEY = 'test-admin-key';
+process.env.LOG_LEVEL = 'silent';
+
+// Run migrations on the in-memory database and create the given sessions; returns the db module
+export async function initDb(...sessionIds) {
+  const { default: db } = await import('../db.js');
+  await db.init();
+  for (const id of sessionIds) await db.saveSession(id, {});
+  return db;
+}
+
+// Serve routers the way index.js mounts them (request logger, JSON bodies, authentication) on a random port.
+// Returns { request(method, path, { body, token, headers }) -> { status, headers, body }, fetch(path, init), close() };
+// fetch() sends the admin key and leaves the body unread, for streamed responses.
+export async function serve(...routers) {
+  const { authenticate } = await import('../functions/auth.js');
+  const { requestLogger } = await import('../functions/logger.js');
+  const app = express();
+  app.use(requestLogger(uuidv4));
+  app.use(express.json());
+  app.use(authenticate);
+  for (const router of routers) app.use('/', router);
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    async request(method, path, { body, token = process.env.API_ADMIN_KEY, headers = {} } = {}) {
+      const res = await fetch(base + path, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await res.text();
+      let parsed = text;
+      try { parsed = JSON.parse(text); } catch (e) { /* not JSON */ }
+      return { status: res.status, headers: res.headers, body: parsed };
+    },
+    fetch: (path, init = {}) => fetch(base + path, { ...init, headers: { Authorization: `Bearer ${process.env.API_ADMIN_KEY}`, ...init.headers } }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
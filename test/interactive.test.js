@@ -0,0 +1,141 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb, serve } from './helpers.js';
+import db from '../db.js';
+import { parseMessage } from '../functions/messages.js';
+import registerInteractiveRoutes, { textContent, validateLinkPreview, buildVcard, hashPollOption, tallyPoll, recordPollUpdates } from '../functions/interactive.js';
+
+const me = '255700000000@s.whatsapp.net';
+const amina = '255700000001@s.whatsapp.net';
+const baraka = '255700000002@s.whatsapp.net';
+const group = '120363000000000001@g.us';
+
+// Offline session: queueAndRespond answers 202 with the queued job, which is what the routes hand over
+const queued = [];
+const manager = {
+  sockets: new Map([['s1', { isConnected: false, sock: { user: { id: '255700000000:3@s.whatsapp.net' } } }]]),
+  outbox: { enqueue: async (sessionId, to, content) => { queued.push({ sessionId, to, content }); return { id: `job-${queued.length}`, status: 'queued' }; } }
+};
+let app;
+
+// A received poll stored the way handleIncomingMessages does
+const pollMessage = {
+  key: { id: 'poll-1', remoteJid: group, fromMe: false, participant: amina },
+  message: { pollCreationMessageV3: { name: 'Lunch?', options: [{ optionName: 'Rice' }, { optionName: 'Ugali' }, { optionName: 'Chips' }], selectableOptionsCount: 1 } }
+};
+const vote = (participant, options, at) => ({
+  pollUpdateMessageKey: { id: `vote-${at}`, remoteJid: group, fromMe: participant === null, participant: participant || undefined },
+  vote: { selectedOptions: options.map(o => Buffer.from(hashPollOption(o), 'hex')) },
+  senderTimestampMs: at
+});
+
+before(async () => {
+  await initDb('s1');
+  await db.saveMessage('s1', { id: 'poll-1', from: group, isGroup: true, timestamp: Date.now(), ...parseMessage(pollMessage), raw: pollMessage });
+  app = await serve(registerInteractiveRoutes(manager));
+});
+after(() => app.close());
+
+test('link previews are generated, disabled or overridden', () => {
+  assert.deepEqual(textContent('hi'), { text: 'hi' });
+  assert.deepEqual(textContent('hi', false), { text: 'hi', linkPreview: null });
+  assert.deepEqual(textContent('see https://example.com', { url: 'https://example.com', title: 'Example' }).linkPreview, {
+    'canonical-url': 'https://example.com',
+    'matched-text': 'https://example.com',
+    title: 'Example',
+    description: ''
+  });
+  assert.equal(validateLinkPreview(undefined), null);
+  assert.equal(validateLinkPreview(false), null);
+  assert.match(validateLinkPreview({ title: 'no url' }), /"linkPreview" must be/);
+  assert.match(validateLinkPreview('https://example.com'), /"linkPreview" must be/);
+});
+
+test('vCards escape their fields and carry the WhatsApp id', () => {
+  const vcard = buildVcard({ name: 'Doe, Jane; PhD', phone: '+255 700-000-001', org: 'Acme\nLtd', email: 'jane@example.com' });
+  assert.deepEqual(vcard.split('\n'), [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'FN:Doe\\, Jane\\; PhD',
+    'ORG:Acme\\nLtd;',
+    'TEL;type=CELL;type=VOICE;waid=255700000001:+255700000001',
+    'EMAIL:jane@example.com',
+    'END:VCARD'
+  ]);
+});
+
+test('poll requests are validated before anything is queued', async () => {
+  const send = (body) => app.request('POST', '/sessions/s1/send-poll', { body });
+  assert.equal((await send({ to: amina, options: ['a', 'b'] })).status, 400);
+  assert.match((await send({ to: amina, name: 'q', options: ['a'] })).body.error, /2 to 12/);
+  assert.match((await send({ to: amina, name: 'q', options: Array.from({ length: 13 }, (_, i) => `o${i}`) })).body.error, /2 to 12/);
+  assert.match((await send({ to: amina, name: 'q', options: ['a', ' a '] })).body.error, /unique/);
+  assert.match((await send({ to: amina, name: 'q', options: ['a', 'b'], selectableCount: 3 })).body.error, /between 0 and 2/);
+  assert.equal((await app.request('POST', '/sessions/gone/send-poll', { body: { to: amina, name: 'q', options: ['a', 'b'] } })).status, 503);
+  assert.equal(queued.length, 0);
+
+  const res = await send({ to: amina, name: 'Lunch?', options: [' Rice', 'Ugali '], selectableCount: 0 });
+  assert.equal(res.status, 202);
+  assert.equal(res.body.jobId, 'job-1');
+  assert.deepEqual(queued.pop(), { sessionId: 's1', to: amina, content: { poll: { name: 'Lunch?', values: ['Rice', 'Ugali'], selectableCount: 0 } } });
+});
+
+test('locations need coordinates in range', async () => {
+  const send = (body) => app.request('POST', '/sessions/s1/send-location', { body });
+  assert.equal((await send({ to: amina, latitude: 91, longitude: 0 })).status, 400);
+  assert.equal((await send({ to: amina, latitude: 0, longitude: -181 })).status, 400);
+  assert.equal((await send({ to: amina, latitude: 'north', longitude: 39 })).status, 400);
+  assert.equal(queued.length, 0);
+
+  assert.equal((await send({ to: amina, latitude: '-6.8', longitude: 39.28, name: 'Office' })).status, 202);
+  assert.deepEqual(queued.pop().content, { location: { degreesLatitude: -6.8, degreesLongitude: 39.28, name: 'Office' } });
+});
+
+test('contact cards are built from phone numbers or passed through as vCards', async () => {
+  const send = (body) => app.request('POST', '/sessions/s1/send-contact', { body });
+  assert.equal((await send({ to: amina, contacts: [] })).status, 400);
+  assert.match((await send({ to: amina, contacts: [{ name: 'No number' }] })).body.error, /"name" and either/);
+  assert.equal(queued.length, 0);
+
+  assert.equal((await send({ to: amina, contact: { name: 'Jane', phone: '255700000009' } })).status, 202);
+  const single = queued.pop().content.contacts;
+  assert.equal(single.displayName, 'Jane');
+  assert.match(single.contacts[0].vcard, /waid=255700000009:\+255700000009/);
+
+  const vcard = 'BEGIN:VCARD\nVERSION:3.0\nFN:Own\nEND:VCARD';
+  assert.equal((await send({ to: amina, contacts: [{ name: 'Jane', phone: '255700000009' }, { name: 'Own', vcard }] })).status, 202);
+  const many = queued.pop().content.contacts;
+  assert.equal(many.displayName, '2 contacts');
+  assert.equal(many.contacts[1].vcard, vcard);
+});
+
+test('only the latest vote of each voter counts', () => {
+  const votes = [
+    { voter: amina, options: ['Rice'] },
+    { voter: baraka, options: [] },
+    { voter: me, options: ['Rice', 'Removed option'] }
+  ];
+  assert.deepEqual(tallyPoll(['Rice', 'Ugali'], votes), {
+    totalVoters: 2,
+    results: [{ option: 'Rice', votes: 2, voters: [amina, me] }, { option: 'Ugali', votes: 0, voters: [] }]
+  });
+});
+
+test('decrypted poll votes are stored and aggregated into results', async () => {
+  assert.equal(await recordPollUpdates(manager, 's1', { id: 'poll-1' }, [
+    vote(amina, ['Rice'], 1000),
+    vote(baraka, ['Ugali'], 1001),
+    vote(null, ['Ugali'], 1002)
+  ]), 3);
+  // baraka changes their vote; a late copy of the older vote is ignored
+  await recordPollUpdates(manager, 's1', { id: 'poll-1' }, [vote(baraka, ['Chips'], 2000)]);
+  assert.equal(await recordPollUpdates(manager, 's1', { id: 'poll-1' }, [vote(baraka, ['Ugali'], 1001)]), 0);
+  assert.equal(await recordPollUpdates(manager, 's1', { id: 'not-a-poll' }, [vote(amina, ['Rice'], 3000)]), 0);
+
+  const res = await app.request('GET', '/sessions/s1/polls/poll-1/results');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.poll, { id: 'poll-1', name: 'Lunch?', options: ['Rice', 'Ugali', 'Chips'], selectableCount: 1, chat: group });
+  assert.equal(res.body.totalVoters, 3);
+  assert.deepEqual(res.body.results.map(r => [r.option, r.voters]), [['Rice', [amina]], ['Ugali', [me]], ['Chips', [baraka]]]);
+  assert.equal((await app.request('GET', '/sessions/s1/polls/nope/results')).status, 404);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+
+process.env.LOG_REDACT = 'text,phone';
+process.env.LOG_BUFFER_SIZE = '3';
+
+const { createLogger, getSessionLogs, clearSessionLogs, requestLogger, levelFor } = await import('../functions/logger.js');
+
+const last = (sessionId) => getSessionLogs(sessionId).at(-1);
+
+test('message bodies are redacted', () => {
+  const log = createLogger('manager');
+  log.info({ sessionId: 'text', text: 'hello', message: { conversation: 'hi', extendedTextMessage: { text: 'yo' } } }, 'Incoming message');
+  const entry = last('text');
+  assert.equal(entry.text, '[redacted]');
+  assert.equal(entry.message.conversation, '[redacted]');
+  assert.equal(entry.message.extendedTextMessage.text, '[redacted]');
+});
+
+test('bare numbers in phone fields are masked', () => {
+  const log = createLogger('manager', { sessionId: 'phone' });
+  log.info({ number: '255683568254' }, 'Requesting pairing code');
+  assert.equal(last('phone').number, '********8254');
+  log.info({ to: '+255683568254', from: '255683568254@s.whatsapp.net', numbers: ['255700000001', '255700000002'] }, 'Send');
+  const entry = last('phone');
+  assert.equal(entry.to, '+********8254');
+  assert.equal(entry.from, '********8254@s.whatsapp.net');
+  assert.deepEqual(entry.numbers, ['********0001', '********0002']);
+});
+
+test('numbers in messages and errors are masked', () => {
+  const log = createLogger('manager', { sessionId: 'msg' });
+  log.error(new Error('No account for +255683568254'), 'Send to %s failed', '255683568254@s.whatsapp.net');
+  const entry = last('msg');
+  assert.equal(entry.msg, 'Send to ********8254@s.whatsapp.net failed');
+  assert.equal(entry.err.message, 'No account for +********8254');
+});
+
+test('fields that are not phone fields are kept', () => {
+  const log = createLogger('manager', { sessionId: 'other' });
+  log.info({ durationMs: 1234567, messageId: '3EB0123456789' }, 'Done');
+  assert.equal(last('other').durationMs, 1234567);
+  assert.equal(last('other').messageId, '3EB0123456789');
+});
+
+test('the session buffer keeps the newest entries and filters by level and module', () => {
+  const log = createLogger('outbox', { sessionId: 'buf' });
+  log.debug('below the buffer level');
+  log.info('one');
+  log.warn('two');
+  createLogger('baileys', { sessionId: 'buf' }).error('three');
+  log.info('four');
+  assert.deepEqual(getSessionLogs('buf').map(e => e.msg), ['two', 'three', 'four']);
+  assert.deepEqual(getSessionLogs('buf', { level: 'warn' }).map(e => e.msg), ['two', 'three']);
+  assert.deepEqual(getSessionLogs('buf', { module: 'baileys' }).map(e => e.msg), ['three']);
+  assert.deepEqual(getSessionLogs('buf', { limit: 1 }).map(e => e.msg), ['four']);
+  clearSessionLogs('buf');
+  assert.deepEqual(getSessionLogs('buf'), []);
+});
+
+test('Baileys is quiet unless configured otherwise', () => {
+  assert.equal(levelFor('baileys'), 'warn');
+  assert.equal(levelFor('manager'), 'silent');
+});
+
+test('requestLogger keeps or generates X-Request-Id and binds the session', () => {
+  const middleware = requestLogger(() => 'generated');
+  const run = (headers, path) => {
+    const req = { headers, path, method: 'GET' };
+    const sent = {};
+    middleware(req, { setHeader: (k, v) => { sent[k] = v; }, on: () => {} }, () => {});
+    return { req, sent };
+  };
+  let { req, sent } = run({}, '/sessions/abc/send-message');
+  assert.equal(sent['X-Request-Id'], 'generated');
+  assert.deepEqual(req.log.bindings, { module: 'http', requestId: 'generated', sessionId: 'abc' });
+  ({ req, sent } = run({ 'x-request-id': 'from-client' }, '/sessions/%E0%A4%A/logs'));
+  assert.equal(sent['X-Request-Id'], 'from-client');
+  assert.equal(req.log.bindings.sessionId, undefined);
+});
@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { initDb, serve } from './helpers.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-media-'));
+fs.writeFileSync(path.join(dir, 'photo.jpg'), 'jpg');
+process.env.LOCAL_MEDIA_DIR = dir;
+
+const { default: registerMediaRoutes, resolveMediaInput, mediaDownloadHeaders } = await import('../functions/media.js');
+const { default: registerScheduleRoutes } = await import('../functions/schedule.js');
+
+let app;
+
+before(async () => {
+  await initDb('s1');
+  app = await serve(registerScheduleRoutes({}));
+});
+
+after(async () => {
+  await app.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('send-media reads server paths only from LOCAL_MEDIA_DIR', () => {
+  const input = resolveMediaInput({ body: { path: 'photo.jpg' } });
+  assert.equal(input.media.toString(), 'jpg');
+  assert.equal(input.fileName, 'photo.jpg');
+  for (const p of ['/etc/passwd', '../../etc/passwd', path.join(process.cwd(), 'package.json')]) {
+    assert.throws(() => resolveMediaInput({ body: { path: p } }), err => err.status === 400, p);
+  }
+});
+
+test('scheduled messages and statuses refuse paths outside LOCAL_MEDIA_DIR', async () => {
+  const sendAt = new Date(Date.now() + 3600000).toISOString();
+  let res = await app.request('POST', '/sessions/s1/schedule', { body: { sendAt, message: { to: '255700000001', type: 'document', path: '/etc/passwd' } } });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /LOCAL_MEDIA_DIR/);
+  res = await app.request('POST', '/sessions/s1/schedule', { body: { sendAt, status: { type: 'image', path: '../../etc/passwd' } } });
+  assert.equal(res.status, 400);
+  res = await app.request('POST', '/sessions/s1/schedule', { body: { sendAt, message: { to: '255700000001', type: 'image', path: 'photo.jpg' } } });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+});
+
+test('received media is served as a sandboxed download', async () => {
+  const db = await initDb('s2');
+  const files = { 's2/html-1': '<script>alert(1)</script>', 's2/jpg-1': 'jpg' };
+  const manager = {
+    mediaStorage: { get: async (key) => files[key] === undefined ? null : { stream: Readable.from([files[key]]), size: files[key].length } }
+  };
+  const media = await serve(registerMediaRoutes(manager));
+  try {
+    await db.saveMessage('s2', { id: 'html-1', from: '255700000001@s.whatsapp.net', isGroup: false, timestamp: 1, type: 'document', mimetype: 'text/html', fileName: 'invoice".html' });
+    await db.saveMessageMedia('s2', 'html-1', { key: 's2/html-1', backend: 'local', size: 25 });
+    await db.saveMessage('s2', { id: 'jpg-1', from: '255700000001@s.whatsapp.net', isGroup: false, timestamp: 2, type: 'image', mimetype: 'image/jpeg' });
+    await db.saveMessageMedia('s2', 'jpg-1', { key: 's2/jpg-1', backend: 'local', size: 3 });
+
+    let res = await media.request('GET', '/sessions/s2/messages/html-1/media');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/octet-stream');
+    assert.equal(res.headers.get('content-disposition'), 'attachment; filename="invoice_.html"');
+    assert.equal(res.headers.get('content-security-policy'), 'sandbox');
+    assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+
+    res = await media.request('GET', '/sessions/s2/messages/jpg-1/media');
+    assert.equal(res.headers.get('content-type'), 'image/jpeg');
+    assert.equal(res.headers.get('content-disposition'), 'attachment');
+    assert.equal(res.headers.get('content-security-policy'), 'sandbox');
+  } finally {
+    await media.close();
+  }
+});
+
+test('only inline-safe mimetypes are passed through', () => {
+  assert.equal(mediaDownloadHeaders({ mimetype: 'image/svg+xml' })['Content-Type'], 'application/octet-stream');
+  assert.equal(mediaDownloadHeaders({ mimetype: 'audio/ogg; codecs=opus' })['Content-Type'], 'audio/ogg');
+  assert.equal(mediaDownloadHeaders({ mimetype: 'IMAGE/PNG' })['Content-Type'], 'image/png');
+  assert.equal(mediaDownloadHeaders({})['Content-Type'], 'application/octet-stream');
+  assert.equal(mediaDownloadHeaders({ fileName: 'résumé\r\n.pdf' })['Content-Disposition'], 'attachment; filename="r_sum___.pdf"');
+});
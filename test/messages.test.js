@@ -0,0 +1,78 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb } from './helpers.js';
+import db from '../db.js';
+import { parseMessage } from '../functions/messages.js';
+
+const amina = '255700000001@s.whatsapp.net';
+const baraka = '255700000002@s.whatsapp.net';
+const group = '120363000000000001@g.us';
+
+// Incoming WAMessage as Baileys emits it
+const incoming = (id, remoteJid, message, participant) => ({ key: { id, remoteJid, fromMe: false, ...(participant ? { participant } : {}) }, message });
+const edit = (targetId, text) => ({ protocolMessage: { type: 14, key: { id: targetId }, editedMessage: { conversation: text } } });
+const revoke = (targetId) => ({ protocolMessage: { type: 0, key: { id: targetId } } });
+
+// Store an incoming message the way handleIncomingMessages does
+async function receive(waMessage) {
+  const parsed = parseMessage(waMessage);
+  await db.saveMessage('s1', { id: waMessage.key.id, from: waMessage.key.remoteJid, isGroup: waMessage.key.remoteJid.endsWith('@g.us'), timestamp: Date.now(), ...parsed, raw: waMessage });
+  return db.applyMessageChange('s1', parsed, waMessage.key);
+}
+
+before(async () => {
+  await initDb('s1');
+  await receive(incoming('a-1', amina, { conversation: 'from amina' }));
+  await receive(incoming('g-1', group, { conversation: 'amina in the group' }, amina));
+  await db.saveOutboundMessage('s1', { id: 'out-1', to: amina, timestamp: Date.now(), text: 'from us', status: 'server_ack', statusCode: 2 });
+});
+
+test('edits and revokes are parsed with the message they target', () => {
+  const edited = parseMessage(incoming('e', amina, edit('a-1', 'fixed')));
+  assert.equal(edited.type, 'edit');
+  assert.equal(edited.targetMessageId, 'a-1');
+  assert.equal(edited.text, 'fixed');
+  const revoked = parseMessage(incoming('d', amina, revoke('a-1')));
+  assert.equal(revoked.type, 'delete');
+  assert.equal(revoked.targetMessageId, 'a-1');
+  assert.equal(parseMessage(incoming('h', amina, { protocolMessage: { type: 5 } })).type, 'protocol');
+});
+
+test("a different sender's edit or revoke is ignored", async () => {
+  assert.equal(await receive(incoming('x-1', baraka, edit('a-1', 'rewritten'))), false);
+  assert.equal(await receive(incoming('x-2', baraka, revoke('a-1'))), false);
+  // another member of the same group
+  assert.equal(await receive(incoming('x-3', group, edit('g-1', 'rewritten'), baraka)), false);
+  // our own messages can't be changed by contacts, not even the one we wrote to
+  assert.equal(await receive(incoming('x-4', amina, edit('out-1', 'rewritten'))), false);
+  assert.equal(await receive(incoming('x-5', amina, revoke('out-1'))), false);
+
+  const rows = await db.getMessagesByIds(['a-1', 'g-1', 'out-1'], 's1');
+  const [a1, g1, out1] = ['a-1', 'g-1', 'out-1'].map(id => rows.find(r => r.id === id));
+  assert.equal(a1.text, 'from amina');
+  assert.equal(a1.deleted, false);
+  assert.equal(g1.text, 'amina in the group');
+  assert.equal(out1.text, 'from us');
+  assert.equal(out1.deleted, false);
+});
+
+test('the sender can edit and revoke their own messages', async () => {
+  assert.equal(await receive(incoming('e-1', amina, edit('a-1', 'fixed'))), true);
+  assert.equal(await receive(incoming('e-2', group, edit('g-1', 'fixed in the group'), amina)), true);
+  assert.equal(await receive(incoming('d-1', group, revoke('g-1'), amina)), true);
+  const rows = await db.getMessagesByIds(['a-1', 'g-1'], 's1');
+  const [a1, g1] = ['a-1', 'g-1'].map(id => rows.find(r => r.id === id));
+  assert.equal(a1.text, 'fixed');
+  assert.ok(a1.editedAt);
+  assert.equal(g1.text, 'fixed in the group');
+  assert.equal(g1.deleted, true);
+});
+
+test('our own changes only touch messages we sent', async () => {
+  assert.equal(await db.applyMessageChange('s1', { type: 'edit', targetMessageId: 'a-1', text: 'ours now' }, { fromMe: true }), false);
+  assert.equal(await db.applyMessageChange('s1', { type: 'edit', targetMessageId: 'out-1', text: 'edited by us' }, { fromMe: true }), true);
+  assert.equal(await db.applyMessageChange('s1', { type: 'delete', targetMessageId: 'out-1' }), false);
+  const rows = await db.getMessagesByIds(['a-1', 'out-1'], 's1');
+  assert.equal(rows.find(r => r.id === 'a-1').text, 'fixed');
+  assert.equal(rows.find(r => r.id === 'out-1').text, 'edited by us');
+});
@@ -0,0 +1,88 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb, serve } from './helpers.js';
+import db from '../db.js';
+import registerMetricsRoutes, { Metrics } from '../functions/metrics.js';
+
+const manager = {
+  sockets: new Map([['s1', { isConnected: true }], ['s2', { isConnected: false, qr: { value: 'qr' } }]]),
+  reconnects: { status: () => null },
+  cluster: { owns: (sessionId) => sessionId !== 'elsewhere' }
+};
+manager.metrics = new Metrics(manager);
+let app;
+
+// Sample lines of the exposition, without HELP/TYPE comments
+const samples = (text) => text.split('\n').filter(line => line && !line.startsWith('#'));
+
+before(async () => {
+  await initDb('s1', 's2', 'elsewhere');
+  const retry = { baseMs: 1000, maxAttempts: 2 };
+  for (const [id, sessionId, attempts] of [['m1', 's1', 1], ['m2', 's1', 2], ['m3', 'elsewhere', 1]]) {
+    await db.saveMessage(sessionId, { id, from: '255700000001@s.whatsapp.net', isGroup: false, timestamp: Date.now(), text: 'hi' });
+    for (let i = 0; i < attempts; i++) await db.updateMessageDelivery(id, { pending_webhook: 'https://hooks.example.com/in', retry });
+  }
+  await db.enqueueOutbox({ id: 'o1', sessionId: 's1', to: '255700000001', content: { text: 'a' } });
+  await db.enqueueOutbox({ id: 'o2', sessionId: 's1', to: '255700000001', content: { text: 'b' } });
+  await db.enqueueOutbox({ id: 'o3', sessionId: 'elsewhere', to: '255700000001', content: { text: 'c' } });
+  app = await serve(registerMetricsRoutes(manager));
+});
+after(() => app.close());
+
+test('counters and histograms render in the Prometheus text format', async () => {
+  const metrics = new Metrics(manager);
+  metrics.messages.inc({ session: 's1', direction: 'in' });
+  metrics.messages.inc({ session: 's1', direction: 'in' });
+  metrics.messages.inc({ session: 's1', direction: 'out' }, 3);
+  metrics.disconnects.inc({ session: 's1', reason: 'connection "lost"\nagain' });
+  metrics.webhookDuration.observe({ session: 's1' }, 0.3);
+  metrics.webhookDuration.observe({ session: 's1' }, 7);
+
+  const text = await metrics.render();
+  assert.ok(text.endsWith('\n'));
+  assert.match(text, /# HELP whatsapp_messages_total Messages received/);
+  assert.match(text, /# TYPE whatsapp_webhook_delivery_seconds histogram/);
+  const lines = samples(text);
+  assert.ok(lines.includes('whatsapp_messages_total{session="s1",direction="in"} 2'));
+  assert.ok(lines.includes('whatsapp_messages_total{session="s1",direction="out"} 3'));
+  assert.ok(lines.includes('whatsapp_disconnects_total{session="s1",reason="connection \\"lost\\"\\nagain"} 1'));
+  assert.ok(lines.includes('whatsapp_webhook_delivery_seconds_bucket{session="s1",le="0.25"} 0'));
+  assert.ok(lines.includes('whatsapp_webhook_delivery_seconds_bucket{session="s1",le="0.5"} 1'));
+  assert.ok(lines.includes('whatsapp_webhook_delivery_seconds_bucket{session="s1",le="5"} 1'));
+  assert.ok(lines.includes('whatsapp_webhook_delivery_seconds_bucket{session="s1",le="+Inf"} 2'));
+  assert.ok(lines.includes('whatsapp_webhook_delivery_seconds_sum{session="s1"} 7.3'));
+  assert.ok(lines.includes('whatsapp_webhook_delivery_seconds_count{session="s1"} 2'));
+
+  // a deleted session's series go away
+  metrics.clearSession('s1');
+  assert.equal(samples(await metrics.render()).some(line => line.includes('direction=')), false);
+});
+
+test('gauges report the sessions, backlogs and pool at scrape time', async () => {
+  const lines = samples(await manager.metrics.render());
+  assert.ok(lines.includes('whatsapp_sessions{state="connected"} 1'));
+  assert.ok(lines.includes('whatsapp_sessions{state="pairing"} 1'));
+  assert.ok(lines.includes('whatsapp_session_connected{session="s1"} 1'));
+  assert.ok(lines.includes('whatsapp_session_connected{session="s2"} 0'));
+  assert.ok(lines.includes('whatsapp_webhook_pending{session="s1"} 1'));
+  assert.ok(lines.includes('whatsapp_webhook_dead_letter{session="s1"} 1'));
+  assert.ok(lines.includes('whatsapp_outbox_depth{session="s1",status="queued"} 2'));
+  assert.ok(lines.some(line => /^whatsapp_db_pool_connections\{driver="sqlite",state="total"\} \d+$/.test(line)));
+  assert.ok(lines.some(line => /^process_resident_memory_bytes \d+$/.test(line)));
+  // sessions owned by another node are reported there
+  assert.equal(lines.some(line => line.includes('elsewhere')), false);
+
+  // gauges are rebuilt each scrape: a stopped session disappears
+  manager.sockets.delete('s2');
+  const rescraped = samples(await manager.metrics.render());
+  assert.equal(rescraped.some(line => line.startsWith('whatsapp_session_connected{session="s2"}')), false);
+  assert.ok(rescraped.includes('whatsapp_sessions{state="pairing"} 0'));
+});
+
+test('/metrics is served to the admin key by default', async () => {
+  assert.equal((await app.request('GET', '/metrics', { token: null })).status, 401);
+  const res = await app.request('GET', '/metrics');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  assert.match(res.body, /^# HELP whatsapp_messages_total/);
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { initDb, serve } from './helpers.js';
+
+process.env.OUTBOX_RATE_PER_MINUTE = '2';
+process.env.OUTBOX_MAX_ATTEMPTS = '2';
+process.env.OUTBOX_RETRY_BASE_MS = '20';
+
+const { OutboxWorker, queueAndRespond } = await import('../functions/outbox.js');
+
+const db = await initDb('retry', 'permanent', 'exhausted', 'rate', 'bookkeeping', 'http');
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// sendContent stand-in: each call takes the next outcome (an Error to throw, anything else to send)
+function fakeManager(sessionId, outcomes = []) {
+  const sent = [];
+  const manager = {
+    cluster: { enabled: false },
+    sockets: new Map([[sessionId, { isConnected: true }]]),
+    sendContent: async (id, to, content) => {
+      const outcome = outcomes.shift();
+      if (outcome instanceof Error) throw outcome;
+      sent.push({ to, content });
+      return { key: { id: `msg-${sent.length}` }, messageTimestamp: 1700000000 };
+    }
+  };
+  manager.outbox = new OutboxWorker(manager);
+  return { manager, sent };
+}
+
+test('failed sends are retried with backoff until they go through', async () => {
+  const { manager, sent } = fakeManager('retry', [new Error('socket closed')]);
+  const job = await manager.outbox.enqueue('retry', '255700000001', { text: 'hi' });
+  const first = await manager.outbox.waitFor(job.id, 2000);
+  assert.equal(first.status, 'queued');
+  assert.equal(first.attempts, 1);
+  assert.equal(first.lastError, 'socket closed');
+  assert.ok(new Date(first.nextAttemptAt) > new Date(first.updatedAt));
+
+  // not due yet
+  await manager.outbox.tick();
+  assert.equal(sent.length, 0);
+
+  await sleep(40);
+  const done = manager.outbox.waitFor(job.id, 2000);
+  await manager.outbox.tick();
+  const second = await done;
+  assert.equal(second.status, 'sent');
+  assert.equal(second.messageId, 'msg-1');
+  assert.equal(second.attempts, 2);
+  assert.deepEqual(sent, [{ to: '255700000001', content: { text: 'hi' } }]);
+});
+
+test('permanent errors and exhausted attempts fail the job for good', async () => {
+  const unregistered = Object.assign(new Error('Phone number is not registered on WhatsApp'), { permanent: true });
+  const { manager } = fakeManager('permanent', [unregistered]);
+  const a = await manager.outbox.enqueue('permanent', '255700000009', { text: 'hi' });
+  const failed = await manager.outbox.waitFor(a.id, 2000);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.attempts, 1);
+
+  const other = fakeManager('exhausted', [new Error('timeout'), new Error('timeout')]).manager;
+  const b = await other.outbox.enqueue('exhausted', '255700000001', { text: 'hi' });
+  assert.equal((await other.outbox.waitFor(b.id, 2000)).status, 'queued');
+  await sleep(40);
+  const last = other.outbox.waitFor(b.id, 2000);
+  await other.outbox.tick();
+  const exhausted = await last;
+  assert.equal(exhausted.status, 'failed');
+  assert.equal(exhausted.attempts, 2);
+  assert.equal(exhausted.lastError, 'timeout');
+});
+
+test('sends per session stop at the rate limit, and reserve() draws from the same budget', async () => {
+  const { manager, sent } = fakeManager('rate');
+  const jobs = [];
+  for (const text of ['one', 'two', 'three']) jobs.push(await manager.outbox.enqueue('rate', '255700000001', { text }));
+  await manager.outbox.tick();
+  await sleep(20);
+  assert.deepEqual(sent.map(s => s.content.text), ['one', 'two']);
+  assert.equal(manager.outbox.budget('rate'), 0);
+  assert.equal(manager.outbox.reserve('rate'), false);
+  assert.equal((await db.getOutboxJob('rate', jobs[2].id)).status, 'queued');
+
+  // sends older than a minute no longer count
+  manager.outbox.sentAt.set('rate', [Date.now() - 61000, Date.now() - 61000]);
+  assert.equal(manager.outbox.budget('rate'), 2);
+  assert.equal(manager.outbox.reserve('rate'), true);
+  assert.equal(manager.outbox.budget('rate'), 1);
+  await manager.outbox.tick();
+  assert.deepEqual(sent.map(s => s.content.text), ['one', 'two', 'three']);
+  assert.equal(manager.outbox.budget('rate'), 0);
+});
+
+test('a failed status update after the send does not send the message again', async () => {
+  const { manager, sent } = fakeManager('bookkeeping');
+  const markOutboxSent = db.markOutboxSent;
+  db.markOutboxSent = async () => { throw new Error('connection terminated'); };
+  try {
+    const job = await manager.outbox.enqueue('bookkeeping', '255700000001', { text: 'once' });
+    const done = await manager.outbox.waitFor(job.id, 2000);
+    assert.equal(done.status, 'sent');
+    assert.equal(done.messageId, 'msg-1');
+    await sleep(40);
+    await manager.outbox.tick();
+    assert.equal(sent.length, 1);
+    assert.notEqual((await db.getOutboxJob('bookkeeping', job.id)).status, 'queued');
+  } finally {
+    db.markOutboxSent = markOutboxSent;
+  }
+});
+
+test('a "to" that is not a string is refused with 400', async () => {
+  const { manager } = fakeManager('http');
+  const router = express.Router();
+  router.post('/sessions/:id/send', (req, res) => queueAndRespond(manager, req, res, req.body.to, { text: 'hi' }));
+  const app = await serve(router);
+  try {
+    for (const to of [255700000001, ['255700000001'], { jid: '255700000001@s.whatsapp.net' }]) {
+      const res = await app.request('POST', '/sessions/http/send', { body: { to } });
+      assert.equal(res.status, 400, JSON.stringify(to));
+      assert.match(res.body.error, /"to" must be/);
+    }
+    assert.equal((await db.listOutboxJobs('http')).length, 0);
+  } finally {
+    await app.close();
+  }
+});
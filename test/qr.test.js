@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { serve } from './helpers.js';
+import registerQrRoutes, { qrState } from '../functions/qr.js';
+
+const pendingQr = () => ({ value: '2@abc,def,ghi', generatedAt: Date.now(), expiresAt: Date.now() + 60000 });
+
+const manager = {
+  events: new EventEmitter(),
+  sockets: new Map([
+    ['waiting', { isConnected: false, qr: null }],
+    ['pending', { isConnected: false, qr: pendingQr() }],
+    ['expired', { isConnected: false, qr: { value: 'old', generatedAt: 1, expiresAt: 2 } }],
+    ['paired', { isConnected: false, sock: { authState: { creds: { account: {} } } } }],
+    ['stream', { isConnected: false, qr: pendingQr() }]
+  ])
+};
+let app;
+
+before(async () => { app = await serve(registerQrRoutes(manager)); });
+after(() => app.close());
+
+test('pairing state follows the socket', () => {
+  assert.deepEqual(qrState(undefined), { state: 'not_running' });
+  assert.equal(qrState(manager.sockets.get('waiting')).state, 'waiting');
+  assert.equal(qrState(manager.sockets.get('pending')).qr, '2@abc,def,ghi');
+  assert.equal(qrState(manager.sockets.get('expired')).state, 'expired');
+  assert.equal(qrState(manager.sockets.get('paired')).state, 'paired');
+  assert.equal(qrState({ isConnected: true, qr: pendingQr() }).state, 'paired');
+});
+
+test('the QR route answers with the state when there is no QR to show', async () => {
+  assert.equal((await app.request('GET', '/sessions/nope/qr')).status, 404);
+  assert.equal((await app.request('GET', '/sessions/waiting/qr')).status, 202);
+  assert.equal((await app.request('GET', '/sessions/expired/qr')).status, 410);
+  assert.equal((await app.request('GET', '/sessions/paired/qr')).status, 409);
+  assert.equal((await app.request('GET', '/sessions/pending/qr?format=gif')).status, 400);
+});
+
+test('a pending QR is rendered in the requested format', async () => {
+  const png = await app.request('GET', '/sessions/pending/qr');
+  assert.equal(png.status, 200);
+  assert.equal(png.headers.get('content-type'), 'image/png');
+  assert.equal(png.headers.get('cache-control'), 'no-store');
+  assert.ok(png.headers.get('x-qr-expires-at'));
+
+  const svg = await app.request('GET', '/sessions/pending/qr?format=svg');
+  assert.match(svg.headers.get('content-type'), /^image\/svg\+xml/);
+  assert.match(svg.body, /^<svg/);
+
+  const json = await app.request('GET', '/sessions/pending/qr?format=json');
+  assert.equal(json.body.state, 'pending');
+  assert.equal(json.body.qr, '2@abc,def,ghi');
+  assert.match(json.body.dataUri, /^data:image\/png;base64,/);
+});
+
+test('only the admin key may read QR codes', async () => {
+  assert.equal((await app.request('GET', '/sessions/pending/qr', { token: null })).status, 401);
+});
+
+test('the stream replays the current QR, follows rotations and ends when paired', async () => {
+  const res = await app.fetch('/sessions/stream/qr/stream');
+  assert.equal(res.headers.get('content-type'), 'text/event-stream');
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  const until = async (pattern) => {
+    while (!pattern.test(text)) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value);
+    }
+  };
+
+  await until(/event: qr\n/);
+  assert.match(text, /"qr":"2@abc,def,ghi"/);
+  manager.events.emit('qr', 'other', { value: 'not ours', expiresAt: Date.now() + 20000 });
+  manager.events.emit('qr', 'stream', { value: '2@rotated', expiresAt: Date.now() + 20000 });
+  await until(/2@rotated/);
+  manager.events.emit('connection', 'stream', { connection: 'open' });
+  await until(/event: paired\n/);
+  const { done } = await reader.read();
+  assert.equal(done, true);
+  assert.doesNotMatch(text, /not ours/);
+  assert.equal(manager.events.listenerCount('qr'), 0);
+});
@@ -0,0 +1,57 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb } from './helpers.js';
+import db from '../db.js';
+
+const group = '120363000000000001@g.us';
+
+before(async () => {
+  await initDb('s1', 's2');
+  await db.saveOutboundMessage('s1', { id: 'out-1', from: '255700000000@s.whatsapp.net', to: '255700000001@s.whatsapp.net', timestamp: 1000, text: 'hi', status: 'server_ack', statusCode: 2 });
+  await db.saveOutboundMessage('s1', { id: 'out-group', to: group, isGroup: true, timestamp: 2000, text: 'team', status: 'server_ack', statusCode: 2 });
+  await db.saveMessage('s1', { id: 'in-1', from: '255700000001@s.whatsapp.net', isGroup: false, timestamp: 3000, text: 'hello' });
+});
+
+test('sent messages start with the status of the send', async () => {
+  const status = await db.getMessageStatus('s1', 'out-1');
+  assert.equal(status.direction, 'outbound');
+  assert.equal(status.to, '255700000001@s.whatsapp.net');
+  assert.equal(status.status, 'server_ack');
+  assert.deepEqual(status.receipts, {});
+});
+
+test('status only moves forward', async () => {
+  assert.equal((await db.updateOutboundStatus('s1', 'out-1', 'delivered', 3)).status, 'delivered');
+  assert.equal((await db.updateOutboundStatus('s1', 'out-1', 'read', 4)).status, 'read');
+  // late delivery ack after the read receipt
+  assert.equal(await db.updateOutboundStatus('s1', 'out-1', 'delivered', 3), null);
+  assert.equal(await db.updateOutboundStatus('s1', 'out-1', 'read', 4), null);
+  assert.equal((await db.getMessageStatus('s1', 'out-1')).status, 'read');
+});
+
+test('only our own messages of the same session get a status', async () => {
+  assert.equal(await db.updateOutboundStatus('s1', 'in-1', 'read', 4), null);
+  assert.equal(await db.updateOutboundStatus('s2', 'out-1', 'played', 5), null);
+  assert.equal(await db.addMessageReceipt('s1', 'in-1', '255700000001@s.whatsapp.net', { status: 'read', timestamp: 1 }), 0);
+  assert.equal(await db.addMessageReceipt('s2', 'out-1', '255700000001@s.whatsapp.net', { status: 'read', timestamp: 1 }), 0);
+  assert.equal((await db.getMessageStatus('s1', 'in-1')).status, null);
+});
+
+test('group messages keep one receipt per participant', async () => {
+  const amina = '255700000001@s.whatsapp.net';
+  const baraka = '255700000002@s.whatsapp.net';
+  assert.equal(await db.addMessageReceipt('s1', 'out-group', amina, { status: 'delivered', timestamp: 10 }), 1);
+  await db.addMessageReceipt('s1', 'out-group', baraka, { status: 'delivered', timestamp: 11 });
+  await db.addMessageReceipt('s1', 'out-group', amina, { status: 'read', timestamp: 12 });
+  assert.deepEqual((await db.getMessageStatus('s1', 'out-group')).receipts, {
+    [amina]: { status: 'read', timestamp: 12 },
+    [baraka]: { status: 'delivered', timestamp: 11 }
+  });
+});
+
+test('message lists are inbound unless another direction is asked for', async () => {
+  assert.deepEqual((await db.getMessages('s1')).map(m => m.id), ['in-1']);
+  assert.deepEqual((await db.getMessages('s1', { direction: 'outbound' })).map(m => m.id), ['out-group', 'out-1']);
+  assert.deepEqual((await db.getMessages('s1', { direction: 'all' })).map(m => m.id), ['in-1', 'out-group', 'out-1']);
+  assert.equal((await db.getMessages('s1', { direction: 'outbound' }))[1].status, 'read');
+});
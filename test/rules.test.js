@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb, serve } from './helpers.js';
+import registerRuleRoutes, { normalizeRule, matchesRule, unsafeRegexReason, inSchedule } from '../functions/rules.js';
+
+const reply = [{ type: 'reply', text: 'hi' }];
+const message = (text, extra = {}) => ({ chatJid: '255700000001@s.whatsapp.net', senderJid: '255700000001@s.whatsapp.net', isGroup: false, text, ...extra });
+
+test('regexes that can backtrack catastrophically are rejected', () => {
+  for (const regex of [
+    '(a+)+$', '(a*)*b', '(\\w+\\s?)+$', '((ab)*c)+', '(x{2,})+', '(?:a+)*', '(a)\\1',
+    '^(a|a)*$', '^(a|aa)+$', '^(\\w|\\d)+$', '(hi|hello)+', '((a|b)c)+', '(?:a|a){30}'
+  ]) {
+    const { error } = normalizeRule({ match: { regex }, actions: reply });
+    assert.match(error || '', /Invalid regex/, regex);
+  }
+  assert.match(normalizeRule({ match: { regex: 'a'.repeat(201) }, actions: reply }).error, /at most 200/);
+  assert.match(normalizeRule({ match: { regex: '(' }, actions: reply }).error, /Invalid regex/);
+});
+
+test('ordinary regexes are accepted', () => {
+  for (const regex of ['^price\\s+\\d+$', '(hi|hello)?!*', 'hi|hello', '[(+*)]+', '(ab)+', 'order #?\\d{3,8}', '(?:yes|no)?\\s*please', '\\(a+\\)+']) {
+    assert.equal(unsafeRegexReason(regex), null, regex);
+    assert.ok(normalizeRule({ match: { regex }, actions: reply }).rule, regex);
+  }
+});
+
+test('matching is fast even for rules stored with an unsafe regex', () => {
+  const started = Date.now();
+  for (const regex of ['(a+)+$', '^(a|a)*$', '^(a|aa)+$']) {
+    assert.equal(matchesRule({ match: { regex } }, message(`${'a'.repeat(40)}!`)), false, regex);
+  }
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('text, regex and keyword conditions', () => {
+  const { rule } = normalizeRule({ match: { regex: '^price\\s+\\d+$', keywords: ['price'] }, actions: reply });
+  assert.equal(matchesRule(rule, message('PRICE 12')), true);
+  assert.equal(matchesRule(rule, message('price list')), false);
+  const exact = normalizeRule({ match: { text: 'Menu', caseSensitive: true }, actions: reply }).rule;
+  assert.equal(matchesRule(exact, message(' Menu ')), true);
+  assert.equal(matchesRule(exact, message('menu')), false);
+  const groups = normalizeRule({ match: { chatType: 'group' }, actions: reply }).rule;
+  assert.equal(matchesRule(groups, message('hi')), false);
+  assert.equal(matchesRule(groups, message('hi', { isGroup: true })), true);
+});
+
+test('schedules wrap past midnight', () => {
+  const night = { from: '18:00', to: '08:00', timezone: 'UTC' };
+  assert.equal(inSchedule(night, new Date('2026-03-06T23:00:00Z')), true);
+  assert.equal(inSchedule(night, new Date('2026-03-06T12:00:00Z')), false);
+});
+
+test('tags with a literal % can be removed', async () => {
+  const db = await initDb('s1');
+  await db.addChatTags('s1', '255700000001@s.whatsapp.net', ['50%E0 off']);
+  const app = await serve(registerRuleRoutes({ rules: { invalidate() {} } }));
+  try {
+    const res = await app.request('DELETE', `/sessions/s1/tags/${encodeURIComponent('255700000001@s.whatsapp.net')}/${encodeURIComponent('50%E0 off')}`);
+    assert.equal(res.status, 200);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,64 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb } from './helpers.js';
+
+process.env.OUTBOX_RATE_PER_MINUTE = '2';
+
+const { default: db } = await import('../db.js');
+const { MessageScheduler, parseCron, nextCronRun } = await import('../functions/schedule.js');
+const { OutboxWorker } = await import('../functions/outbox.js');
+
+before(() => initDb('s1'));
+
+test('parseCron expands ranges, steps, lists and aliases', () => {
+  const spec = parseCron('*/15 9-17 * * 1-5');
+  assert.deepEqual([...spec.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...spec.hour], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...spec.dow], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...parseCron('0 0 * * 7').dow], [0]);
+  assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+  assert.throws(() => parseCron('* * *'), /5 fields/);
+  assert.throws(() => parseCron('61 * * * *'));
+});
+
+test('nextCronRun finds the next match in the job timezone', () => {
+  const after = new Date('2026-03-06T10:30:00Z'); // a Friday
+  assert.equal(nextCronRun('0 9 * * 1-5', 'UTC', after).toISOString(), '2026-03-09T09:00:00.000Z');
+  assert.equal(nextCronRun('*/20 * * * *', 'UTC', after).toISOString(), '2026-03-06T10:40:00.000Z');
+  // 09:00 in Dar es Salaam (UTC+3)
+  assert.equal(nextCronRun('0 9 * * *', 'Africa/Dar_es_Salaam', after).toISOString(), '2026-03-07T06:00:00.000Z');
+  // day-of-month and day-of-week restricted: either matches
+  assert.equal(nextCronRun('0 0 1 * 0', 'UTC', after).toISOString(), '2026-03-08T00:00:00.000Z');
+  assert.equal(nextCronRun('0 0 30 2 *', 'UTC', after), null);
+});
+
+test('due scheduled messages respect the outbox rate limit', async () => {
+  const sent = [];
+  const manager = {
+    sockets: new Map([['s1', { isConnected: true }]]),
+    cluster: { enabled: false },
+    sendContent: async (sessionId, to, content) => {
+      sent.push(to);
+      return { key: { id: `m${sent.length}` } };
+    }
+  };
+  manager.outbox = new OutboxWorker(manager);
+  const scheduler = new MessageScheduler(manager);
+
+  const due = new Date(Date.now() - 1000);
+  for (let i = 1; i <= 3; i++) {
+    await db.createScheduledJob({ id: `job-${i}`, sessionId: 's1', kind: 'message', payload: { to: `25570000000${i}`, content: { text: 'hi' } }, nextRunAt: due });
+  }
+
+  await scheduler.tick();
+  assert.equal(sent.length, 2);
+  const jobs = await Promise.all([1, 2, 3].map(i => db.getScheduledJob('s1', `job-${i}`)));
+  assert.deepEqual(jobs.map(j => j.status).sort(), ['completed', 'completed', 'scheduled']);
+
+  // the budget is used up: nothing is claimed until the window moves on
+  await scheduler.tick();
+  assert.equal(sent.length, 2);
+  manager.outbox.sentAt.set('s1', []);
+  await scheduler.tick();
+  assert.equal(sent.length, 3);
+});
@@ -0,0 +1,130 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb, serve } from './helpers.js';
+import db from '../db.js';
+import registerSessionRoutes, { validateSessionInfo, describeSession } from '../functions/sessions.js';
+
+// SessionManager's lifecycle methods with the socket left out; the stored state goes through the real db
+const manager = {
+  sockets: new Map(),
+  cluster: { enabled: false },
+  calls: [],
+  async startSession(id) { this.calls.push(['start', id]); this.sockets.set(id, { isConnected: false, qr: { value: 'qr' } }); },
+  async stopSession(id) {
+    this.calls.push(['stop', id]);
+    await db.setSessionStopped(id, true);
+    if (this.sockets.delete(id)) await db.recordSessionConnection(id, 'close');
+  },
+  async restartSession(id) {
+    this.calls.push(['restart', id]);
+    await db.setSessionStopped(id, false);
+    this.sockets.delete(id);
+    return this.startSession(id);
+  },
+  async logoutSession(id) {
+    this.calls.push(['logout', id]);
+    this.sockets.delete(id);
+    await db.setSessionStopped(id, true, 'logged_out');
+    await db.recordSessionConnection(id, 'logged_out');
+  }
+};
+let app;
+
+before(async () => {
+  await initDb('sales', 'support');
+  app = await serve(registerSessionRoutes(manager));
+});
+after(() => app.close());
+
+test('session info is validated field by field', () => {
+  assert.deepEqual(validateSessionInfo({}), { info: {} });
+  assert.deepEqual(validateSessionInfo({ name: '  Sales line ', tags: ['a', ' a', 'b'] }).info, { name: 'Sales line', tags: ['a', 'b'] });
+  assert.deepEqual(validateSessionInfo({ name: '   ', tags: null, metadata: null }).info, { name: null, tags: null, metadata: null });
+  assert.match(validateSessionInfo({ name: 'x'.repeat(101) }).error, /"name"/);
+  assert.match(validateSessionInfo({ tags: 'vip' }).error, /"tags"/);
+  assert.match(validateSessionInfo({ tags: Array.from({ length: 21 }, (_, i) => `t${i}`) }).error, /at most 20/);
+  assert.match(validateSessionInfo({ tags: [''] }).error, /"tags"/);
+  assert.match(validateSessionInfo({ metadata: [1] }).error, /"metadata" must be an object/);
+  assert.match(validateSessionInfo({ metadata: { blob: 'x'.repeat(8200) } }).error, /8192 bytes/);
+});
+
+test('the state combines the socket, the stopped flag and the other nodes', () => {
+  const stored = { id: 'x', stopped: false, terminalState: null, connectionState: 'open' };
+  const local = (socket) => ({ sockets: new Map(socket ? [['x', socket]] : []), cluster: { enabled: true, nodeId: 'node-a' } });
+  assert.equal(describeSession(local({ isConnected: true }), stored).state, 'connected');
+  assert.equal(describeSession(local({ isConnected: false, qr: {} }), stored).state, 'pairing');
+  assert.equal(describeSession(local({ isConnected: false }), stored).node, 'node-a');
+  assert.equal(describeSession(local(), { ...stored, stopped: true }).state, 'stopped');
+  assert.equal(describeSession(local(), { ...stored, stopped: true, terminalState: 'banned' }).state, 'banned');
+  const remote = describeSession(local(), stored, { owner: 'node-b' });
+  assert.deepEqual([remote.state, remote.running, remote.node], ['connected', true, 'node-b']);
+  assert.equal(describeSession(local(), stored).state, 'disconnected');
+  assert.equal('connectionState' in remote, false);
+});
+
+test('names, tags and metadata are stored and filter the session list', async () => {
+  const patched = await app.request('PATCH', '/sessions/sales', { body: { name: 'Sales', tags: ['tz', 'vip'], metadata: { crmId: 42 } } });
+  assert.equal(patched.status, 200);
+  assert.deepEqual([patched.body.name, patched.body.tags, patched.body.metadata], ['Sales', ['tz', 'vip'], { crmId: 42 }]);
+
+  // fields left out stay, null clears
+  await app.request('PATCH', '/sessions/sales', { body: { metadata: null } });
+  const stored = await db.getSession('sales');
+  assert.deepEqual([stored.name, stored.tags, stored.metadata], ['Sales', ['tz', 'vip'], {}]);
+
+  assert.equal((await app.request('PATCH', '/sessions/sales', { body: { tags: 'vip' } })).status, 400);
+  assert.equal((await app.request('PATCH', '/sessions/nope', { body: { name: 'x' } })).status, 404);
+  assert.deepEqual((await app.request('GET', '/sessions?tag=vip')).body.map(s => s.id), ['sales']);
+  assert.equal((await app.request('GET', '/sessions')).body.length, 2);
+});
+
+test('stop, start and restart change the stored state and the socket', async () => {
+  manager.sockets.set('support', { isConnected: true });
+  const stopped = await app.request('POST', '/sessions/support/stop');
+  assert.equal(stopped.status, 200);
+  assert.equal(stopped.body.session.state, 'stopped');
+  assert.equal(stopped.body.session.running, false);
+  assert.ok(stopped.body.session.stoppedAt);
+  assert.ok((await db.getSession('support')).lastDisconnectedAt);
+  assert.equal((await db.getUnleasedSessionIds()).includes('support'), false);
+
+  const started = await app.request('POST', '/sessions/support/start');
+  assert.equal(started.body.alreadyRunning, false);
+  assert.equal(started.body.session.state, 'pairing');
+  assert.equal(started.body.session.stopped, false);
+  const again = await app.request('POST', '/sessions/support/start');
+  assert.equal(again.body.alreadyRunning, true);
+
+  manager.calls.length = 0;
+  await db.setSessionStopped('support', true);
+  const restarted = await app.request('POST', '/sessions/support/restart');
+  assert.equal(restarted.body.session.stopped, false);
+  assert.deepEqual(manager.calls, [['restart', 'support'], ['start', 'support']]);
+
+  for (const action of ['stop', 'start', 'restart', 'logout']) {
+    assert.equal((await app.request('POST', `/sessions/nope/${action}`)).status, 404, action);
+  }
+});
+
+test('logout needs a connected session and leaves it stopped as logged_out', async () => {
+  await db.recordSessionConnection('sales', 'open', { phone: '255700000000', pushName: 'Sales' });
+  assert.equal((await app.request('POST', '/sessions/sales/logout')).status, 409);
+
+  manager.sockets.set('sales', { isConnected: true });
+  const res = await app.request('POST', '/sessions/sales/logout');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.session.state, 'logged_out');
+  assert.equal(res.body.session.phone, null);
+  // the session and its info are kept
+  assert.equal(res.body.session.name, 'Sales');
+
+  // starting it again clears the terminal state
+  const started = await app.request('POST', '/sessions/sales/start');
+  assert.equal(started.body.session.terminalState, null);
+  assert.equal(started.body.session.state, 'pairing');
+});
+
+test('lifecycle routes are for the admin key only', async () => {
+  assert.equal((await app.request('POST', '/sessions/sales/stop', { token: null })).status, 401);
+  assert.equal((await app.request('PATCH', '/sessions/sales', { token: 'not-a-key', body: {} })).status, 401);
+});
@@ -0,0 +1,59 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveLocalMediaPath, LocalMediaStorage } from '../functions/storage.js';
+
+let tmp;
+let dir;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  dir = path.join(tmp, 'local_media');
+  fs.mkdirSync(path.join(dir, 'sub'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'photo.jpg'), 'jpg');
+  fs.writeFileSync(path.join(dir, 'sub', 'doc.pdf'), 'pdf');
+  fs.writeFileSync(path.join(tmp, 'creds.json'), '{}');
+  fs.symlinkSync(path.join(tmp, 'creds.json'), path.join(dir, 'link.json'));
+});
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const rejects = (requested, message) => assert.throws(() => resolveLocalMediaPath(requested, dir), err => {
+  assert.equal(err.status, 400);
+  if (message) assert.match(err.message, message);
+  return true;
+});
+
+test('relative and absolute paths inside the media dir resolve', () => {
+  assert.equal(resolveLocalMediaPath('photo.jpg', dir), fs.realpathSync(path.join(dir, 'photo.jpg')));
+  assert.equal(resolveLocalMediaPath(path.join(dir, 'sub', 'doc.pdf'), dir), fs.realpathSync(path.join(dir, 'sub', 'doc.pdf')));
+});
+
+test('paths outside the media dir are refused', () => {
+  rejects('/etc/passwd', /inside LOCAL_MEDIA_DIR/);
+  rejects('../creds.json', /inside LOCAL_MEDIA_DIR/);
+  rejects('sub/../../creds.json', /inside LOCAL_MEDIA_DIR/);
+  rejects(dir, /inside LOCAL_MEDIA_DIR/);
+});
+
+test('symlinks pointing out of the media dir are refused', () => {
+  rejects('link.json', /inside LOCAL_MEDIA_DIR/);
+});
+
+test('missing files, directories and junk input are refused', () => {
+  rejects('nope.jpg', /not found/);
+  rejects('sub', /not found/);
+  rejects('photo.jpg\0.png');
+  rejects('');
+  rejects({ toString: () => '/etc/passwd' });
+});
+
+test('LocalMediaStorage refuses keys escaping its directory', async () => {
+  const storage = new LocalMediaStorage(path.join(tmp, 'media'));
+  await storage.put('s1/m1.jpg', Buffer.from('x'));
+  assert.equal((await storage.get('s1/m1.jpg')).size, 1);
+  assert.equal(await storage.get('s1/none.jpg'), null);
+  assert.throws(() => storage.resolve('../creds.json'), /Invalid media key/);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { initDb, serve } from './helpers.js';
+import registerAuthRoutes from '../functions/auth.js';
+import registerWebhookRoutes, { signWebhookBody, generateWebhookSecret } from '../functions/webhooks.js';
+
+test('deliveries are signed with HMAC-SHA256 of timestamp.body', () => {
+  const headers = signWebhookBody('secret', '{"a":1}', 1700000000);
+  assert.deepEqual(headers, {
+    'X-Webhook-Timestamp': '1700000000',
+    'X-Webhook-Signature': 'sha256=49f24e537407743fa4a0242bb63b94b9a47ee99cbbe071ccd8a22550ae411686'
+  });
+  // the verification snippet from the README accepts it
+  const expected = 'sha256=' + crypto.createHmac('sha256', 'secret').update(`${headers['X-Webhook-Timestamp']}.{"a":1}`).digest('hex');
+  assert.ok(crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(headers['X-Webhook-Signature'])));
+  // body, timestamp and secret all change the signature
+  assert.notEqual(signWebhookBody('secret', '{"a":2}', 1700000000)['X-Webhook-Signature'], headers['X-Webhook-Signature']);
+  assert.notEqual(signWebhookBody('secret', '{"a":1}', 1700000001)['X-Webhook-Signature'], headers['X-Webhook-Signature']);
+  assert.notEqual(signWebhookBody('other', '{"a":1}', 1700000000)['X-Webhook-Signature'], headers['X-Webhook-Signature']);
+});
+
+test('secrets are random 32-byte hex strings', () => {
+  const secret = generateWebhookSecret();
+  assert.match(secret, /^[0-9a-f]{64}$/);
+  assert.notEqual(generateWebhookSecret(), secret);
+});
+
+test('reading and rotating the secret needs the manage-webhooks scope', async () => {
+  await initDb('s1');
+  const manager = { webhookSecrets: new Map(), getWebhookSecret: async (id) => manager.webhookSecrets.get(id) || null };
+  const app = await serve(registerAuthRoutes(manager), registerWebhookRoutes(manager));
+  try {
+    const rotated = await app.request('POST', '/sessions/s1/webhooks/secret');
+    assert.equal(rotated.status, 200);
+    assert.match(rotated.body.secret, /^[0-9a-f]{64}$/);
+    assert.equal((await app.request('GET', '/sessions/s1/webhooks/secret')).body.secret, rotated.body.secret);
+
+    const issue = async (scopes) => (await app.request('POST', '/auth/tokens', { body: { sessionId: 's1', scopes } })).body.token;
+    const sendOnly = await issue(['send']);
+    assert.equal((await app.request('GET', '/sessions/s1/webhooks/secret', { token: sendOnly })).status, 403);
+    assert.equal((await app.request('POST', '/sessions/s1/webhooks/secret', { token: sendOnly })).status, 403);
+    const manage = await issue(['manage-webhooks']);
+    assert.equal((await app.request('GET', '/sessions/s1/webhooks/secret', { token: manage })).status, 200);
+  } finally {
+    await app.close();
+  }
+});